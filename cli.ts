@@ -0,0 +1,8 @@
+#!/usr/bin/env node
+// IMPORTS
+// ================================================================================================
+import { run } from './lib/cli';
+
+// ENTRY POINT
+// ================================================================================================
+process.exitCode = run(process.argv.slice(2));
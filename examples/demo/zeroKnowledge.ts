@@ -0,0 +1,56 @@
+// IMPORTS
+// ================================================================================================
+import * as assert from 'assert';
+import { Stark } from '../../index';
+
+// STARK DEFINITION
+// ================================================================================================
+// masking polynomials are of degree 640 with default security options, so the execution trace
+// must be long enough for the masked trace polynomials to fit into the evaluation domain
+const steps = 2**10, result = 3960436630n;
+
+const fibStark = new Stark(`
+define Fibonacci over prime field (2^32 - 3 * 2^25 + 1) {
+
+    transition 2 registers {
+        for each ($i0) {
+            init [$i0, $i0];
+            for steps [1..${steps - 1}] {
+                a0 <- $r0 + $r1;
+                [a0, a0 + $r1];
+            }
+        }
+    }
+
+    enforce 2 constraints {
+        for all steps {
+            transition($r) = $n;
+        }
+    }
+}`, { zeroKnowledge: true });
+
+// TESTING
+// ================================================================================================
+// set up inputs and assertions
+const inputs = [[1n]];
+const assertions = [
+    { step: 0, register: 0, value: 1n },
+    { step: 0, register: 1, value: 1n },
+    { step: steps-1, register: 1, value: result }
+];
+
+// generate two proofs for the same computation; in zero-knowledge mode they should be different
+const proof1 = fibStark.prove(assertions, inputs);
+console.log('-'.repeat(20));
+const proof2 = fibStark.prove(assertions, inputs);
+console.log('-'.repeat(20));
+
+const buf1 = fibStark.serialize(proof1), buf2 = fibStark.serialize(proof2);
+assert(!buf1.equals(buf2), 'zero-knowledge proofs should be randomized');
+console.log(`Proofs serialized; sizes: ${Math.round(buf1.byteLength / 1024 * 100) / 100} KB and ${Math.round(buf2.byteLength / 1024 * 100) / 100} KB`);
+console.log('-'.repeat(20));
+
+// both proofs should verify after a round-trip through serialization
+assert(fibStark.verify(assertions, fibStark.parse(buf1)));
+assert(fibStark.verify(assertions, fibStark.parse(buf2)));
+console.log('-'.repeat(20));
@@ -67,7 +67,7 @@ console.log('-'.repeat(20));
 let start = Date.now();
 const buf = mimcStark.serialize(proof);
 console.log(`Proof serialized in ${Date.now() - start} ms; size: ${Math.round(buf.byteLength / 1024 * 100) / 100} KB`);
-assert(buf.byteLength === mimcStark.sizeOf(proof));
+assert(buf.byteLength === mimcStark.sizeOf(proof).raw);
 console.log('-'.repeat(20));
 
 // deserialize the proof to make sure everything serialized correctly
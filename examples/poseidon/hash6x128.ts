@@ -95,5 +95,5 @@ console.log('-'.repeat(20));
 // verify the proof
 poseidonStark.verify(assertions, proof);
 console.log('-'.repeat(20));
-console.log(`Proof size: ${Math.round(poseidonStark.sizeOf(proof) / 1024 * 100) / 100} KB`);
+console.log(`Proof size: ${Math.round(poseidonStark.sizeOf(proof).raw / 1024 * 100) / 100} KB`);
 console.log(`Security level: ${poseidonStark.securityLevel}`)
\ No newline at end of file
@@ -97,7 +97,7 @@ console.log('-'.repeat(20));
 // verify that the prover knows the value that hashes to 14354339131598895532
 rescueStark.verify(assertions, proof);
 console.log('-'.repeat(20));
-console.log(`Proof size: ${Math.round(rescueStark.sizeOf(proof) / 1024 * 100) / 100} KB`);
+console.log(`Proof size: ${Math.round(rescueStark.sizeOf(proof).raw / 1024 * 100) / 100} KB`);
 
 // HELPER FUNCTIONS
 // ================================================================================================
@@ -108,7 +108,7 @@ console.log('-'.repeat(20));
 // verify the proof
 rescueStark.verify(assertions, proof);
 console.log('-'.repeat(20));
-console.log(`Proof size: ${Math.round(rescueStark.sizeOf(proof) / 1024 * 100) / 100} KB`);
+console.log(`Proof size: ${Math.round(rescueStark.sizeOf(proof).raw / 1024 * 100) / 100} KB`);
 
 // HELPER FUNCTIONS
 // ================================================================================================
@@ -164,7 +164,7 @@ console.log('-'.repeat(20));
 // verify the proof
 merkleStark.verify(assertions, sProof, [binaryIndex]);
 console.log('-'.repeat(20));
-console.log(`Proof size: ${Math.round(merkleStark.sizeOf(sProof) / 1024 * 100) / 100} KB`);
+console.log(`Proof size: ${Math.round(merkleStark.sizeOf(sProof).raw / 1024 * 100) / 100} KB`);
 console.log(`Security level: ${merkleStark.securityLevel}`);
 
 // HELPER FUNCTIONS
@@ -3,7 +3,7 @@ declare module '@guildofweavers/genstark' {
     // IMPORTS
     // --------------------------------------------------------------------------------------------
     import { FiniteField } from '@guildofweavers/air-script';
-    import { BatchMerkleProof, HashAlgorithm } from '@guildofweavers/merkle';
+    import { BatchMerkleProof, Hash, WasmOptions } from '@guildofweavers/merkle';
 
     // RE-EXPORTS
     // --------------------------------------------------------------------------------------------
@@ -12,6 +12,8 @@ declare module '@guildofweavers/genstark' {
 
     // STARK
     // --------------------------------------------------------------------------------------------
+    export type FriRemainderFormat = 'evaluations' | 'coefficients';
+
     export interface SecurityOptions {
 
         /** Execution trace extension factor; defaults to the smallest power of 2 greater than 2x of max constraint degree */
@@ -23,8 +25,77 @@ declare module '@guildofweavers/genstark' {
         /** Number of queries for low degree proof; defaults to 40 */
         friQueryCount: number;
 
-        /** Hash algorithm for Merkle trees; defaults to sha256 */
-        hashAlgorithm: HashAlgorithm;
+        /** Number of values folded into one at each layer of low degree proof (2, 4, 8, or 16); defaults to 4 */
+        friFoldingFactor?: number;
+
+        /** Max number of values in the last layer of low degree proof; defaults to 256 */
+        friMaxRemainderSize?: number;
+
+        /** Form in which the last layer of low degree proof is included in the proof; defaults to evaluations */
+        friRemainderFormat?: FriRemainderFormat;
+
+        /**
+         * Check constraints at a random out-of-domain point instead of at queried positions; the point
+         * and DEEP composition coefficients are drawn from the extension field (see extensionDegree);
+         * defaults to false
+         */
+        deepSampling?: boolean;
+
+        /**
+         * Degree of the field extension (1, 2, or 3) from which composition coefficients, linear combination
+         * coefficients, DEEP out-of-domain points, and FRI folding challenges are drawn; defaults to 1
+         */
+        extensionDegree?: number;
+
+        /** Number of leading zero bits required from proof-of-work nonce hash; defaults to 0, max is 24 */
+        grindingBits?: number;
+
+        /** Hash algorithm for Merkle trees, Fiat-Shamir transcript, and query index derivation; sha256, blake2s256, rescue, poseidon, or any registered algorithm; defaults to sha256 */
+        hashAlgorithm: string;
+
+        /** Generate proofs which do not reveal execution trace values; defaults to false */
+        zeroKnowledge?: boolean;
+
+        /** Conjectured security level in bits; when set, extension factor and query counts are picked automatically */
+        targetSecurity?: number;
+
+        /** What to minimize when picking parameters for target security; defaults to proofSize */
+        minimize?: SecurityTarget;
+
+        /**
+         * Length of execution traces the STARK is expected to prove; proof sizes of candidate parameters
+         * are compared for traces of this length when minimizing proof size; defaults to 2^16
+         */
+        expectedTraceLength?: number;
+    }
+
+    export type SecurityTarget = 'proofSize' | 'proverTime';
+
+    export interface SecurityReport {
+
+        /** Security provided by execution trace queries, including proof-of-work */
+        exeQueries  : SecurityEstimate;
+
+        /** Security provided by FRI queries, including proof-of-work */
+        friQueries  : SecurityEstimate;
+
+        /** Collision resistance of the hash function */
+        hash        : SecurityEstimate;
+
+        /** Security limit imposed by the size of the field from which random challenges are drawn */
+        field       : SecurityEstimate;
+
+        /** Overall security of the STARK; the minimum of all other components */
+        total       : SecurityEstimate;
+    }
+
+    export interface SecurityEstimate {
+
+        /** Number of bits of security which can be proven */
+        proven      : number;
+
+        /** Number of bits of security under commonly used conjectures */
+        conjectured : number;
     }
 
     export interface OptimizationOptions {
@@ -34,9 +105,12 @@ declare module '@guildofweavers/genstark' {
 
         /** Maximum number of bytes to allocate for WASM optimization */
         maximumMemory: number;
+
+        /** Number of worker threads used by proveAsync() and verifyAsync(); defaults to the number of CPU cores */
+        workerCount: number;
     }
 
-    export class Stark {
+    export class Stark extends StarkVerifier {
 
         /** Estimated security level of the STARK (experimental) */
         readonly securityLevel: number;
@@ -68,25 +142,219 @@ declare module '@guildofweavers/genstark' {
          */
         prove(assertions: Assertion[], inputs: any[], auxPublicInputs?: bigint[][], auxSecretInputs?: bigint[][]): StarkProof;
 
+        /**
+         * Generate a proof of computation for this STARK using a pool of worker threads; the
+         * resulting proof is identical to the proof generated by the prove() method (unless
+         * zero-knowledge mode is enabled, in which case every proof is randomized)
+         * @param assertions Boundary constraints for the computation
+         * @param inputs TODO
+         * @param auxPublicInputs TODO
+         * @param auxSecretInputs TODO
+         */
+        proveAsync(assertions: Assertion[], inputs: any[], auxPublicInputs?: bigint[][], auxSecretInputs?: bigint[][]): Promise<StarkProof>;
+
+        /**
+         * Generate a proof of computation for this STARK, and collect statistics about the computation;
+         * messages are still passed to the logger of this STARK
+         * @param assertions Boundary constraints for the computation
+         * @param inputs TODO
+         * @param auxPublicInputs TODO
+         * @param auxSecretInputs TODO
+         */
+        proveWithStats(assertions: Assertion[], inputs: any[], auxPublicInputs?: bigint[][], auxSecretInputs?: bigint[][]): { proof: StarkProof, stats: ProofStats };
+
+        /**
+         * Generate a proof of computation for this STARK using worker threads, and collect statistics
+         * about the computation; parameters are the same as for proveWithStats()
+         */
+        proveWithStatsAsync(assertions: Assertion[], inputs: any[], auxPublicInputs?: bigint[][], auxSecretInputs?: bigint[][]): Promise<{ proof: StarkProof, stats: ProofStats }>;
+
+        /**
+         * Generate a proof of computation for this STARK from an execution trace computed elsewhere;
+         * neither the transition function nor the AIR's input handling is executed, so values of
+         * input and secret registers must be supplied as well
+         * @param trace Values of mutable registers; one array of trace length values per register
+         * @param assertions Boundary constraints for the computation
+         * @param traceShape Shape of the input tree for the computation, as in ExecutionTrace.shape
+         * @param hiddenRegisters Values of secret registers followed by values of input registers; one
+         * array of trace length values per register; can be omitted if the AIR has no such registers
+         * @param auxPublicInputs Values of public readonly registers, as for prove()
+         */
+        proveTrace(trace: bigint[][], assertions: Assertion[], traceShape: number[], hiddenRegisters?: bigint[][], auxPublicInputs?: bigint[][]): StarkProof;
+
+        /**
+         * Generate a proof of computation from an execution trace computed elsewhere using worker
+         * threads; parameters are the same as for proveTrace()
+         */
+        proveTraceAsync(trace: bigint[][], assertions: Assertion[], traceShape: number[], hiddenRegisters?: bigint[][], auxPublicInputs?: bigint[][]): Promise<StarkProof>;
+
+        /**
+         * Generates the execution trace for the provided inputs and checks assertions and transition
+         * constraints against it step by step, without generating a proof; use this to find out
+         * why prove() fails for a computation
+         * @param assertions Boundary constraints for the computation
+         * @param inputs TODO
+         * @param auxPublicInputs TODO
+         * @param auxSecretInputs TODO
+         */
+        debug(assertions: Assertion[], inputs: any[], auxPublicInputs?: bigint[][], auxSecretInputs?: bigint[][]): DebugReport;
+
+        /**
+         * Generates the execution trace for the provided inputs without generating a proof; the trace
+         * includes values of mutable, static, and input registers at every step
+         * @param inputs TODO
+         * @param auxPublicInputs TODO
+         * @param auxSecretInputs TODO
+         */
+        generateTrace(inputs: any[], auxPublicInputs?: bigint[][], auxSecretInputs?: bigint[][]): ExecutionTrace;
+
         /**
          * Verifies a proof of computation for this STARK
          * @param assertions Boundary constraints for the computation
          * @param proof Proof of the computation
          * @param auxPublicInputs TODO
          */
-        verify(assertions: Assertion[], proof: StarkProof, auxPublicInputs?: bigint[][]): boolean;
+        verify(assertions: Assertion[], proof: StarkProof | LegacyStarkProof, auxPublicInputs?: bigint[][]): boolean;
+
+        /**
+         * Verifies a proof of computation for this STARK in a worker thread
+         * @param assertions Boundary constraints for the computation
+         * @param proof Proof of the computation
+         * @param auxPublicInputs TODO
+         */
+        verifyAsync(assertions: Assertion[], proof: StarkProof | LegacyStarkProof, auxPublicInputs?: bigint[][]): Promise<boolean>;
+
+        /**
+         * Stops worker threads started by proveAsync() and verifyAsync(); pending asynchronous calls are
+         * rejected, and a new pool of worker threads is started if asynchronous methods are called again
+         */
+        terminate(): Promise<void>;
+
+        /** Returns estimated proven and conjectured security of each component of the STARK (experimental) */
+        securityReport(): SecurityReport;
+
+        /**
+         * Returns everything a StarkVerifier needs to verify proofs of this STARK: the AirScript source,
+         * the field modulus, and security options (with any automatically picked parameters filled in);
+         * the key can be converted to JSON and back without losing information
+         */
+        exportVerificationKey(): VerificationKey;
+
+        /**
+         * Returns the size in bytes for the provided proof, serialized with and without compression; the
+         * compressed size is reported only when the statement is provided
+         * @param statement Assertions and public inputs for which the proof was generated
+         */
+        sizeOf(proof: StarkProof, statement?: ProofStatement): ProofSize;
+
+        /**
+         * Returns a breakdown of the size of the provided proof by section: Merkle proofs split into
+         * values and nodes, each FRI layer, the remainder, and the trace shape
+         * @param options When compress is true, sizes are reported for the compressed form of the proof
+         */
+        analyzeProof(proof: StarkProof, options?: SerializeOptions): ProofAnalysis;
+
+        /**
+         * Writes the proof to a buffer, prefixed with a header describing how the proof was generated
+         * @param options When compress is true, Merkle proofs are written without data which can be derived
+         * from query positions, or which they share with each other
+         */
+        serialize(proof: StarkProof, options?: SerializeOptions): Buffer;
+
+        /**
+         * Reads a proof from the provided buffer; throws a ProofFormatError if the proof is malformed,
+         * or if the proof header does not match the configuration of this STARK; compressed proofs
+         * are recognized by their header
+         * @param statement Assertions and public inputs for which the proof was generated; required
+         * to read compressed proofs
+         */
+        parse(proof: Buffer, statement?: ProofStatement): StarkProof;
+
+        /**
+         * Reads a proof in the format which preceded the proof header; such proofs carry no parameters,
+         * so they are read using the query counts of this STARK; throws a ProofFormatError if the proof
+         * is malformed, or if this STARK uses options which did not exist in that format
+         */
+        parseLegacy(proof: Buffer): LegacyStarkProof;
+
+        /** Converts the proof into a JSON-compatible object with all binary values encoded as hex strings */
+        toJSON(proof: StarkProof): StarkProofJson;
+
+        /**
+         * Reads a proof from an object (or a JSON string) produced by toJSON(); throws a ProofFormatError
+         * if the object is malformed or its header does not match the configuration of this STARK
+         */
+        fromJSON(json: StarkProofJson | string): StarkProof;
+    }
+
+    /**
+     * Verifies proofs generated by a Stark without the prover-side machinery (worker threads and
+     * WebAssembly optimization); proofs are parsed and verified exactly as by the Stark itself
+     */
+    export class StarkVerifier {
+
+        /**
+         * Creates a verifier from a key produced by Stark.exportVerificationKey(); throws a TypeError
+         * if the key is malformed; custom hash algorithms must be registered before the key is loaded
+         * @param key Verification key, or its JSON string
+         * @param logger Optional logger; defaults to console logging
+         */
+        constructor(key: VerificationKey | string, logger?: Logger);
+
+        /**
+         * Verifies a proof of computation for the STARK described by the verification key
+         * @param assertions Boundary constraints for the computation
+         * @param proof Proof of the computation
+         * @param auxPublicInputs TODO
+         */
+        verify(assertions: Assertion[], proof: StarkProof | LegacyStarkProof, auxPublicInputs?: bigint[][]): boolean;
+
+        /**
+         * Reads a proof from the provided buffer; throws a ProofFormatError if the proof is malformed,
+         * or if the proof header does not match the verification key
+         * @param statement Assertions and public inputs for which the proof was generated; required
+         * to read compressed proofs
+         */
+        parse(proof: Buffer, statement?: ProofStatement): StarkProof;
 
-        /** Returns the size in bytes for the provided proof */
-        sizeOf(proof: StarkProof): number;
+        /**
+         * Reads a proof in the format which preceded the proof header, using the query counts of the
+         * verification key
+         */
+        parseLegacy(proof: Buffer): LegacyStarkProof;
+    }
 
-        /** Writes the proof to a buffer */
-        serialize(proof: StarkProof): Buffer;
+    export interface VerificationKey {
+        /** Version of the verification key format */
+        version         : number;
 
-        /** Reads a proof from the provided buffer */
-        parse(proof: Buffer): StarkProof;
+        /** AirScript source of the STARK */
+        source          : string;
+
+        /** Modulus of the field over which the STARK is defined, in hex */
+        fieldModulus    : string;
+
+        /** Security options of the STARK, including the hash algorithm */
+        security        : SecurityOptions;
     }
 
     export interface StarkProof {
+        evRoot      : Buffer;
+        evProof     : BatchMerkleProof;
+        cRoot       : Buffer;
+        cProof      : BatchMerkleProof;
+        ldProof     : LowDegreeProof;
+        deepValues? : DeepValues;
+        powNonce    : number;
+        traceShape  : number[];
+    }
+
+    /**
+     * Proof in the format which preceded the proof header: it has no composition tree, out-of-domain
+     * values or proof-of-work nonce, and every FRI layer is folded by 4; such proofs can be verified,
+     * but not serialized
+     */
+    export interface LegacyStarkProof {
         evRoot      : Buffer;
         evProof     : BatchMerkleProof;
         ldProof     : LowDegreeProof;
@@ -106,12 +374,166 @@ declare module '@guildofweavers/genstark' {
         value: bigint;
     }
 
+    // PROOF STATISTICS
+    // --------------------------------------------------------------------------------------------
+    export interface ProofStats {
+        /** Time taken to compute the proof in milliseconds */
+        totalTime           : number;
+
+        /** Steps of the computation in the order of completion, including sub-steps */
+        stages              : ProofStage[];
+
+        /** Number of steps in the execution trace */
+        traceLength         : number;
+
+        /** Size of the domain over which the execution trace is low-degree extended */
+        evaluationDomainSize: number;
+
+        /** Degree of composition polynomial C(x) before it is split into columns */
+        compositionDegree   : number;
+
+        /** Number of FRI layers in the low degree proof, not counting the remainder */
+        friLayerCount       : number;
+
+        /** Number of values (or coefficients) in the last layer of the low degree proof */
+        remainderLength     : number;
+
+        /**
+         * Maximum resident set size in bytes over the lifetime of the process, not only the proof;
+         * worker threads run within the same process, so their memory is included as well
+         */
+        maxRss              : number;
+    }
+
+    export interface ProofStage {
+        /** Name of the step, as passed to the logger */
+        name        : string;
+
+        /** Time taken by the step in milliseconds */
+        duration    : number;
+
+        /** 0 for steps of the proof computation, 1 for sub-steps */
+        depth       : number;
+    }
+
+    // DEBUGGING
+    // --------------------------------------------------------------------------------------------
+    export interface DebugReport {
+        /** True when all assertions and transition constraints hold */
+        isValid                 : boolean;
+
+        /** Number of steps in the execution trace */
+        traceLength             : number;
+
+        /** Assertions which do not agree with the execution trace */
+        assertionFailures       : AssertionFailure[];
+
+        /** Transition constraints which do not hold, ordered by step; at most 100 are listed */
+        constraintFailures      : ConstraintFailure[];
+
+        /** Total number of steps and constraints at which transition constraints do not hold */
+        constraintFailureCount  : number;
+    }
+
+    export interface AssertionFailure {
+        register    : number;
+        step        : number;
+
+        /** Value specified by the assertion */
+        expected    : bigint;
+
+        /** Value of the register at the step in the execution trace */
+        actual      : bigint;
+    }
+
+    export interface ConstraintFailure {
+        /** Index of the constraint in the order in which constraints are defined in AirScript */
+        constraint      : number;
+
+        /** Step at which the constraint does not hold; the constraint relates this step to the next one */
+        step            : number;
+
+        /** Values of mutable registers at the step */
+        registers       : bigint[];
+
+        /** Values of mutable registers at the next step */
+        nextRegisters   : bigint[];
+
+        /** Values of secret and input registers at the step */
+        hiddenRegisters : bigint[];
+
+        /** Value to which the constraint should evaluate; always 0 */
+        expected        : bigint;
+
+        /** Value to which the constraint evaluates */
+        actual          : bigint;
+    }
+
+    // EXECUTION TRACE
+    // --------------------------------------------------------------------------------------------
+    /**
+     * Kind of an execution trace register:
+     * - mutable: register defined by the transition function ($r)
+     * - static: readonly register with public values, declared in the source or provided as public inputs ($k, $p)
+     * - secret: readonly register with values provided as secret inputs ($s)
+     * - input: readonly register holding values of the inputs ($i)
+     */
+    export type TraceRegisterKind = 'mutable' | 'static' | 'secret' | 'input';
+
+    export interface ExecutionTrace {
+        /** Number of steps in the execution trace */
+        length      : number;
+
+        /** Shape of the input tree for the computation */
+        shape       : number[];
+
+        /** Mutable registers followed by static, secret, and input registers */
+        registers   : TraceRegister[];
+    }
+
+    export interface TraceRegister {
+        /** Name of the register as it appears in AirScript source, e.g. $r0 */
+        name        : string;
+        kind        : TraceRegisterKind;
+
+        /** Value of the register at every step of the execution trace */
+        values      : bigint[];
+    }
+
+    export interface ExecutionTraceJson {
+        length      : number;
+        shape       : number[];
+        registers   : { name: string; kind: TraceRegisterKind; values: string[]; }[];
+    }
+
+    // OUT-OF-DOMAIN EVALUATIONS
+    // --------------------------------------------------------------------------------------------
+    /**
+     * Values are extension field elements laid out element by element (k values per element for
+     * extension degree k); every coordinate of a C(x) column is a separate polynomial, and so there
+     * are k elements per column
+     */
+    export interface DeepValues {
+        /** values of P(x) polynomials at out-of-domain point z */
+        pValues     : bigint[];
+
+        /** values of P(x) polynomials at z * g, where g is the generator of execution domain */
+        nValues     : bigint[];
+
+        /** values of S(x) polynomials at z */
+        hValues     : bigint[];
+
+        /** values of composition polynomial C(x) columns at z */
+        cValues     : bigint[];
+    }
+
     // LOW DEGREE PROOF
     // --------------------------------------------------------------------------------------------
     export interface LowDegreeProof {
         lcRoot      : Buffer;
         lcProof     : BatchMerkleProof,
         components  : FriComponent[];
+        /** last FRI layer; for extension fields, each value is represented by consecutive coordinates */
         remainder   : bigint[];
     }
     
@@ -121,6 +543,211 @@ declare module '@guildofweavers/genstark' {
         polyProof   : BatchMerkleProof;
     }
 
+    // SERIALIZATION
+    // --------------------------------------------------------------------------------------------
+    export interface SerializeOptions {
+        /** Derive Merkle paths from query positions and share entries between Merkle proofs; defaults to false */
+        compress?   : boolean;
+
+        /** Statement for which the proof was generated; required when compress is true */
+        statement?  : ProofStatement;
+    }
+
+    /**
+     * Assertions and public inputs for which a proof was generated; query positions are drawn from
+     * them, and so compressed proofs cannot be written or read without them
+     */
+    export interface ProofStatement {
+        assertions          : Assertion[];
+        auxPublicInputs?    : bigint[][];
+    }
+
+    export interface ProofSize {
+        /** Size in bytes of the proof serialized without compression */
+        raw         : number;
+
+        /** Size in bytes of the proof serialized with compression; undefined when no statement is provided */
+        compressed? : number;
+    }
+
+    export interface ProofAnalysis {
+        /** Whether sizes are reported for the compressed form of the proof */
+        compressed  : boolean;
+
+        /** Size of the proof header */
+        header      : number;
+
+        evProof     : MerkleProofSize;
+        cProof      : MerkleProofSize;
+
+        /** Size of out-of-domain evaluations; 0 when DEEP sampling is not used */
+        deepValues  : number;
+
+        ldProof     : LowDegreeProofSize;
+        powNonce    : number;
+        traceShape  : TraceShapeSize;
+
+        /** Size in bytes of the serialized proof */
+        total       : number;
+    }
+
+    export interface MerkleProofSize {
+        /** Size of the root of the tree; 0 when the root is written as a part of another proof */
+        root        : number;
+
+        /** Size of leaf values, including their count */
+        values      : number;
+
+        /** Size of sibling nodes, including column lengths */
+        nodes       : number;
+
+        /** Number of leaves included in the proof */
+        valueCount  : number;
+
+        /** Depth of the tree */
+        depth       : number;
+
+        /** Size of the Merkle proof, including root, layout, values, and nodes */
+        total       : number;
+    }
+
+    export interface LowDegreeProofSize {
+        lcProof     : MerkleProofSize;
+
+        /** Sizes of FRI layers, in the order in which they are folded */
+        layers      : FriLayerSize[];
+
+        /** Size of the last FRI layer, including its length */
+        remainder   : number;
+
+        total       : number;
+    }
+
+    export interface FriLayerSize {
+        columnProof : MerkleProofSize;
+
+        /** Proof against the tree of the previous layer (or the linear combination tree for the first layer) */
+        polyProof   : MerkleProofSize;
+
+        total       : number;
+    }
+
+    export interface TraceShapeSize {
+        /** Shape of the execution trace described by the proof */
+        shape       : number[];
+        size        : number;
+    }
+
+    // ERRORS
+    // --------------------------------------------------------------------------------------------
+    /** Error thrown when a proof cannot be generated, read, or verified */
+    export class StarkError extends Error {
+        constructor(message: string, cause?: Error);
+    }
+
+    /**
+     * Kind of problem found when reading a proof:
+     * - truncated: proof ends before all of its parts have been read
+     * - trailingBytes: proof is followed by unexpected bytes
+     * - invalidLength: a length, count, or depth is outside of the range allowed by the STARK configuration
+     * - nonCanonical: a field element is not smaller than the field modulus, or a length is not minimally encoded
+     * - missingStatement: proof is compressed, and cannot be read without its statement
+     * - malformedHeader: proof header has an unsupported version or unknown flags
+     * - headerMismatch: proof was generated with a configuration different from that of the STARK
+     * - invalidJson: proof JSON does not have the expected structure
+     * - malformed: any other problem
+     */
+    export type ProofErrorCode = 'truncated' | 'trailingBytes' | 'invalidLength' | 'nonCanonical' | 'missingStatement'
+        | 'malformedHeader' | 'headerMismatch' | 'invalidJson' | 'malformed';
+
+    /** Error thrown by Stark.parse(), Stark.parseLegacy() and Stark.fromJSON() when a proof cannot be read */
+    export class ProofFormatError extends StarkError {
+        readonly code: ProofErrorCode;
+        constructor(code: ProofErrorCode, message: string, cause?: Error);
+    }
+
+    // PROOF HEADER
+    // --------------------------------------------------------------------------------------------
+    export interface ProofHeader {
+        /** Version of the proof format */
+        version             : number;
+
+        hashAlgorithm       : string;
+
+        /** First 8 bytes of sha256 hash of the field modulus (written as a hex string), in hex */
+        fieldFingerprint    : string;
+
+        /** First 8 bytes of sha256 hash of the AirScript source, in hex */
+        airFingerprint      : string;
+
+        extensionFactor     : number;
+        exeQueryCount       : number;
+        friQueryCount       : number;
+        friFoldingFactor    : number;
+        extensionDegree     : number;
+        deepSampling        : boolean;
+        zeroKnowledge       : boolean;
+
+        /** FRI remainder and grinding parameters; not included in headers of format versions 1 and 2 */
+        friMaxRemainderSize?: number;
+        friRemainderFormat? : FriRemainderFormat;
+        grindingBits?       : number;
+    }
+
+    /**
+     * Reads the header of a serialized proof without reading the rest of the proof; returns undefined
+     * for proofs serialized without a header, and throws a ProofFormatError if the header is malformed
+     */
+    export function readProofHeader(proof: Buffer): ProofHeader | undefined;
+
+    // JSON PROOFS
+    // --------------------------------------------------------------------------------------------
+    /**
+     * Proof in JSON-compatible form: byte strings (roots, Merkle nodes and leaves) are encoded as
+     * hex strings, and so are field elements; see proof.schema.json for the full schema
+     */
+    export interface StarkProofJson {
+        header      : ProofHeader;
+        evRoot      : string;
+        evProof     : MerkleProofJson;
+        cRoot       : string;
+        cProof      : MerkleProofJson;
+        ldProof     : {
+            lcRoot      : string;
+            lcProof     : MerkleProofJson;
+            components  : { columnRoot: string; columnProof: MerkleProofJson; polyProof: MerkleProofJson; }[];
+            remainder   : string[];
+        };
+        deepValues? : { pValues: string[]; nValues: string[]; hValues: string[]; cValues: string[]; };
+        powNonce    : number;
+        traceShape  : number[];
+    }
+
+    export interface MerkleProofJson {
+        values      : string[];
+        nodes       : string[][];
+        depth       : number;
+    }
+
+    // HASHING
+    // --------------------------------------------------------------------------------------------
+    /**
+     * Creates a Hash object for a STARK defined over the specified field; WASM options are provided
+     * only when WebAssembly optimization is enabled, and a factory may ignore them if it has no
+     * optimized implementation
+     */
+    export type HashFactory = (field: FiniteField, wasmOptions?: WasmOptions) => Hash;
+
+    /**
+     * Makes a hash algorithm available to STARKs under the specified name
+     * @param algorithm Name of the algorithm to be used as hashAlgorithm security option
+     * @param factory Function which creates Hash objects for the algorithm
+     * @param modulePath Absolute path of the module which registers the algorithm; worker threads
+     * load this module to register the algorithm again, so without it proveAsync() and verifyAsync()
+     * cannot be used with the algorithm
+     */
+    export function registerHash(algorithm: string, factory: HashFactory, modulePath?: string): void;
+
     // UTILITIES
     // --------------------------------------------------------------------------------------------
     export const inline: { 
@@ -128,11 +755,94 @@ declare module '@guildofweavers/genstark' {
         matrix(m: bigint[][]): string;
     };
 
+    /** Formats the result of Stark.analyzeProof() as a human-readable table */
+    export function formatProofAnalysis(analysis: ProofAnalysis): string;
+
+    /** Formats an execution trace as CSV with one row per step and one column per register */
+    export function traceToCsv(trace: ExecutionTrace): string;
+
+    /** Converts an execution trace into a JSON-friendly object with values as decimal strings */
+    export function traceToJson(trace: ExecutionTrace): ExecutionTraceJson;
+
     export interface Logger {
         start(message?: string, prefix?: string) : LogFunction;
         sub(message?: string): LogFunction;
         done(log: LogFunction, message?: string): void;
     }
 
-    export type LogFunction = (message: string) => void;
-}
\ No newline at end of file
+    /** Logs completion of a step; data holds optional metrics of the step, such as domain or tree sizes */
+    export type LogFunction = (message: string, data?: LogEventData) => void;
+
+    // STRUCTURED LOGGING
+    // --------------------------------------------------------------------------------------------
+    /**
+     * Logger which emits every step of a computation as a structured event instead of printing it;
+     * events are passed to the provided sink as soon as they occur
+     */
+    export class StructuredLogger implements Logger {
+
+        /**
+         * Creates a new structured logger
+         * @param sink Function which receives log events
+         * @param enableSubLog Emit events for sub-steps (e.g. building of composition polynomial); defaults to true
+         */
+        constructor(sink: LogSink, enableSubLog?: boolean);
+
+        start(message?: string, prefix?: string) : LogFunction;
+        sub(message?: string): LogFunction;
+        done(log: LogFunction, message?: string): void;
+    }
+
+    export type LogSink = (event: LogEvent) => void;
+
+    /** Creates a sink which writes every event to the stream as a line of JSON; defaults to stdout */
+    export function jsonLinesSink(stream?: NodeJS.WritableStream): LogSink;
+
+    /** Sink which discards all events */
+    export function silentSink(event: LogEvent): void;
+
+    /**
+     * Type of a log event:
+     * - start: a computation (or a sub-computation) has started
+     * - step: a step of a computation has been completed
+     * - done: a computation has been completed
+     */
+    export type LogEventType = 'start' | 'step' | 'done';
+
+    export interface LogEvent {
+        type        : LogEventType;
+
+        /** Name of the computation, e.g. 'Starting STARK computation' */
+        scope       : string;
+
+        /** Name of the completed step; for start and done events, name of the computation or its result */
+        stage       : string;
+
+        /** 0 for top-level computations, 1 for sub-computations */
+        depth       : number;
+
+        /** Time of the event in milliseconds since epoch */
+        timestamp   : number;
+
+        /** Duration of the step in milliseconds; for done events, duration of the whole computation */
+        duration    : number;
+
+        /** Milliseconds since the computation has started */
+        elapsed     : number;
+
+        /** Memory usage of the process in bytes at the time of the event */
+        memory      : { rss: number; heapUsed: number; };
+
+        /** Metrics of the step, if any */
+        data?       : LogEventData;
+    }
+
+    export interface LogEventData {
+        [metric: string]: number | string | boolean;
+    }
+}
+
+/** Entry point for services which only verify proofs; it does not load the prover */
+declare module '@guildofweavers/genstark/verifier' {
+    export { StarkVerifier, VerificationKey, registerHash, readProofHeader, StarkError, ProofFormatError } from '@guildofweavers/genstark';
+}
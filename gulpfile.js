@@ -25,6 +25,7 @@ function copyFiles(cb) {
   gulp.src('./genstark.d.ts').pipe(gulp.dest('./bin'));
   gulp.src('./.npmignore').pipe(gulp.dest('./bin'));
   gulp.src('./README.md').pipe(gulp.dest('./bin'));
+  gulp.src('./proof.schema.json').pipe(gulp.dest('./bin'));
   cb();
 }
 
@@ -1,6 +1,10 @@
 // RE-EXPORTS
 // ================================================================================================
 export { Stark } from './lib/Stark';
-export { inline } from './lib/utils';
+export { StarkVerifier } from './lib/StarkVerifier';
+export { inline, formatProofAnalysis, traceToCsv, traceToJson, StructuredLogger, jsonLinesSink, silentSink } from './lib/utils';
+export { registerHash } from './lib/hashes';
+export { readProofHeader } from './lib/Serializer';
+export { StarkError, ProofFormatError } from './lib/StarkError';
 export { MerkleTree, createHash } from '@guildofweavers/merkle';
 export { createPrimeField } from '@guildofweavers/galois';
\ No newline at end of file
@@ -1,9 +1,47 @@
 // IMPORTS
 // ================================================================================================
-import { StarkProof, FriComponent } from "@guildofweavers/genstark";
+import * as crypto from 'crypto';
+import { StarkProof, LegacyStarkProof, FriComponent, FriRemainderFormat, DeepValues, ProofHeader, ProofErrorCode, StarkProofJson, MerkleProofJson, BatchMerkleProof } from "@guildofweavers/genstark";
 import { FiniteField } from '@guildofweavers/air-script';
-import { MAX_ARRAY_LENGTH } from "./utils/sizeof";
-import * as utils from './utils';
+import { MAX_ALGORITHM_NAME_LENGTH } from './hashes';
+import { getMaxRemainderSize, FriCommitments } from './components/FriVerifier';
+import { StarkError, ProofFormatError } from './StarkError';
+import * as utils from './utils/serialization';
+import { ProofReader } from './utils/ProofReader';
+import { MerkleProofCompressor, MerkleQuery } from './utils/compression';
+import { sizeOf } from './utils/sizeof';
+
+// MODULE VARIABLES
+// ================================================================================================
+const PROOF_MAGIC = Buffer.from('gSTK');
+const FORMAT_VERSION = 3;
+const LEGACY_FORMAT_VERSION = 1;
+const LEGACY_MAX_ARRAY_LENGTH = 256;
+const LEGACY_FOLDING_FACTOR = 4;
+const FINGERPRINT_SIZE = 8;
+
+// header ends with field and AIR fingerprints, a number for each of these parameters (with its
+// smallest valid value), and a byte of flags; headers in versions 1 and 2 of the format end their
+// parameters with the extension degree
+const HEADER_PARAMETERS: [keyof ProofHeader, string, number][] = [
+    ['extensionFactor',     'extension factor',             1],
+    ['exeQueryCount',       'execution trace query count',  1],
+    ['friQueryCount',       'FRI query count',              1],
+    ['friFoldingFactor',    'FRI folding factor',           1],
+    ['extensionDegree',     'extension degree',             1],
+    ['friMaxRemainderSize', 'FRI max remainder size',       1],
+    ['grindingBits',        'grinding bits',                0]
+];
+const SHORT_HEADER_PARAMETER_COUNT = 5;
+
+const DEEP_SAMPLING_FLAG = 1;
+const ZERO_KNOWLEDGE_FLAG = 2;
+const COMPRESSED_FLAG = 4;
+const REMAINDER_COEFFICIENTS_FLAG = 8;
+
+const HEX_PATTERN = /^([0-9a-f]{2})*$/i;
+const VALUE_PATTERN = /^[0-9a-f]+$/i;
+const MAX_UINT32 = 0xFFFFFFFF;
 
 // INTERFACES
 // ================================================================================================
@@ -14,6 +52,39 @@ interface SerializerConfig {
     readonly iRegisterCount     : number;
 }
 
+interface LayoutOptions {
+    readonly columnCount        : number;
+    readonly extensionDegree    : number;
+    readonly foldingFactor      : number;
+    readonly saltCount          : number;
+    readonly deepSampling       : boolean;
+}
+
+// commitments of a proof, from which positions at which its Merkle proofs are queried are derived
+export interface ProofCommitments {
+    readonly evRoot             : Buffer;
+    readonly cRoot              : Buffer;
+    readonly deepValues?        : DeepValues;
+    readonly ldProof            : FriCommitments;
+    readonly powNonce           : number;
+    readonly traceShape         : number[];
+}
+
+// returns queries of Merkle proofs in the order in which they appear in the proof: evProof, cProof,
+// lcProof, and column and poly proofs of each FRI layer
+export type QuerySource = (commitments: ProofCommitments) => MerkleQuery[];
+
+interface ProofDescriptor {
+    readonly source             : string;
+    readonly hashAlgorithm      : string;
+    readonly extensionFactor    : number;
+    readonly exeQueryCount      : number;
+    readonly friQueryCount      : number;
+    readonly friMaxRemainderSize: number;
+    readonly friRemainderFormat : FriRemainderFormat;
+    readonly grindingBits       : number;
+}
+
 // CLASS DEFINITION
 // ================================================================================================
 export class Serializer {
@@ -23,125 +94,858 @@ export class Serializer {
     readonly iRegisterCount     : number;
     readonly sRegisterCount     : number;
     readonly hashDigestSize     : number;
+    readonly columnCount        : number;
+    readonly extensionDegree    : number;
+    readonly foldingFactor      : number;
+    readonly saltCount          : number;
+    readonly deepSampling       : boolean;
+    readonly header             : ProofHeader;
+
+    private readonly modulus        : bigint;
+    private readonly headerBuffer   : Buffer;
+    private readonly maxRemainder   : number;
 
     // CONSTRUCTOR
     // --------------------------------------------------------------------------------------------
-    constructor(config: SerializerConfig, hashDigestSize: number) {
+    constructor(config: SerializerConfig, hashDigestSize: number, layout: LayoutOptions, descriptor: ProofDescriptor) {
         this.fieldElementSize = config.field.elementSize;
         this.stateWidth = config.stateWidth;
         this.iRegisterCount = config.iRegisterCount;
         this.sRegisterCount = config.sRegisterCount;
         this.hashDigestSize = hashDigestSize;
+        this.columnCount = layout.columnCount;
+        this.extensionDegree = layout.extensionDegree;
+        this.foldingFactor = layout.foldingFactor;
+        this.saltCount = layout.saltCount;
+        this.deepSampling = layout.deepSampling;
+        this.modulus = config.field.characteristic;
+        this.header = buildHeader(config.field, layout, descriptor);
+        this.headerBuffer = writeHeader(this.header);
+        this.maxRemainder = getMaxRemainderSize({
+            foldingFactor           : layout.foldingFactor,
+            maxRemainderSize        : descriptor.friMaxRemainderSize,
+            remainderCoefficients   : descriptor.friRemainderFormat === 'coefficients',
+            saltCount               : layout.saltCount
+        }, descriptor.extensionFactor);
+    }
+
+    // PUBLIC ACCESSORS
+    // --------------------------------------------------------------------------------------------
+    get headerSize(): number {
+        return this.headerBuffer.byteLength;
     }
 
     // PROOF SERIALIZER
     // --------------------------------------------------------------------------------------------
-    serializeProof(proof: StarkProof): Buffer {
+    serializeProof(proof: StarkProof, queries?: MerkleQuery[]): Buffer {
         
-        const size = utils.sizeOf(proof, this.fieldElementSize, this.hashDigestSize);
+        const size = sizeOf(proof, this.fieldElementSize, this.hashDigestSize, this.headerSize, queries);
         const buffer = Buffer.allocUnsafe(size.total);
 
+        // header; flags are the last byte of the header
+        let offset = this.headerBuffer.copy(buffer, 0);
+        if (queries) {
+            buffer[offset - 1] |= COMPRESSED_FLAG;
+            return this.writeCompressedProof(buffer, offset, proof, queries);
+        }
+
         // root
-        let offset = proof.evRoot.copy(buffer, 0);
+        offset += proof.evRoot.copy(buffer, offset);
 
         // evProof
-        const evLeafSize = this.getValueCount() * this.fieldElementSize;
+        const evLeafSize = (this.getValueCount() + this.saltCount) * this.fieldElementSize;
         offset = utils.writeMerkleProof(buffer, offset, proof.evProof, evLeafSize);
 
-        // ldProof
-        const ldLeafSize = this.fieldElementSize * 4;
-        offset += proof.ldProof.lcRoot.copy(buffer, offset);
-        offset = utils.writeMerkleProof(buffer, offset, proof.ldProof.lcProof, ldLeafSize);
+        // cProof
+        offset += proof.cRoot.copy(buffer, offset);
+        const cLeafSize = (this.columnCount * this.extensionDegree + this.saltCount) * this.fieldElementSize;
+        offset = utils.writeMerkleProof(buffer, offset, proof.cProof, cLeafSize);
 
-        offset = buffer.writeUInt8(proof.ldProof.components.length, offset);
-        for (let component of proof.ldProof.components) {
-            offset += component.columnRoot.copy(buffer, offset);
-            offset = utils.writeMerkleProof(buffer, offset, component.columnProof, ldLeafSize);
-            offset = utils.writeMerkleProof(buffer, offset, component.polyProof, ldLeafSize);
-        }
+        // deepValues
+        offset = this.writeDeepValues(buffer, offset, proof);
 
-        // for remainder array length, zero means 256
-        const remainderLength = (proof.ldProof.remainder.length === 256)
-            ? 0
-            : proof.ldProof.remainder.length;
-        offset = buffer.writeUInt8(remainderLength, offset);
-        for (let value of proof.ldProof.remainder) {
-            offset = utils.writeBigInt(value, buffer, offset, this.fieldElementSize);
-        }
+        // ldProof; component count goes first because it determines which leaves are salted
+        const componentCount = proof.ldProof.components.length;
+        offset = utils.writeVarint(buffer, offset, componentCount);
 
-        // trace shape
-        offset = buffer.writeUInt8(proof.traceShape.length, offset);
-        for (let level of proof.traceShape) {
-            offset = buffer.writeUInt32LE(level, offset);
+        const lcRoot = proof.ldProof.lcRoot;
+        offset += lcRoot.copy(buffer, offset);
+        offset = utils.writeMerkleProof(buffer, offset, proof.ldProof.lcProof, this.getFriLeafSize(0, componentCount));
+
+        for (let i = 0; i < componentCount; i++) {
+            let component = proof.ldProof.components[i];
+            offset += component.columnRoot.copy(buffer, offset);
+            offset = utils.writeMerkleProof(buffer, offset, component.columnProof, this.getFriLeafSize(i + 1, componentCount));
+            offset = utils.writeMerkleProof(buffer, offset, component.polyProof, this.getFriLeafSize(i, componentCount));
         }
 
+        // remainder, proof-of-work nonce, and trace shape
+        offset = this.writeProofTail(buffer, offset, proof);
+
         // return the buffer
         return buffer;
     }
 
     // PROOF PARSER
     // --------------------------------------------------------------------------------------------
-    parseProof(buffer: Buffer): StarkProof {
-        
-        // root
-        const evRoot = Buffer.allocUnsafe(this.hashDigestSize);
-        let offset = buffer.copy(evRoot, 0, 0, this.hashDigestSize);
+    parseProof(buffer: Buffer, getQueries?: QuerySource): StarkProof {
+        try {
+            return this.readProof(buffer, getQueries);
+        }
+        catch (error) {
+            throw toFormatError(error, 'Proof is malformed');
+        }
+    }
 
-        // evProof
-        const evLeafSize = this.getValueCount() * this.fieldElementSize;
-        const evProof = utils.readMerkleProof(buffer, offset, evLeafSize, this.hashDigestSize);
-        offset = evProof.offset;
+    parseLegacyProof(buffer: Buffer): LegacyStarkProof {
+        try {
+            return this.readLegacyProof(buffer);
+        }
+        catch (error) {
+            throw toFormatError(error, 'Proof is malformed');
+        }
+    }
+
+    // JSON CONVERSION
+    // --------------------------------------------------------------------------------------------
+    proofToJson(proof: StarkProof): StarkProofJson {
+        const json: StarkProofJson = {
+            header      : { ...this.header },
+            evRoot      : proof.evRoot.toString('hex'),
+            evProof     : merkleProofToJson(proof.evProof),
+            cRoot       : proof.cRoot.toString('hex'),
+            cProof      : merkleProofToJson(proof.cProof),
+            ldProof     : {
+                lcRoot      : proof.ldProof.lcRoot.toString('hex'),
+                lcProof     : merkleProofToJson(proof.ldProof.lcProof),
+                components  : proof.ldProof.components.map(c => ({
+                    columnRoot  : c.columnRoot.toString('hex'),
+                    columnProof : merkleProofToJson(c.columnProof),
+                    polyProof   : merkleProofToJson(c.polyProof)
+                })),
+                remainder   : proof.ldProof.remainder.map(bigIntToHex)
+            },
+            powNonce    : proof.powNonce,
+            traceShape  : proof.traceShape.slice()
+        };
+
+        if (this.deepSampling) {
+            const deepValues = proof.deepValues;
+            if (!deepValues) throw new Error(`Proof does not contain out-of-domain evaluations`);
+            json.deepValues = {
+                pValues : deepValues.pValues.map(bigIntToHex),
+                nValues : deepValues.nValues.map(bigIntToHex),
+                hValues : deepValues.hValues.map(bigIntToHex),
+                cValues : deepValues.cValues.map(bigIntToHex)
+            };
+        }
+
+        return json;
+    }
+
+    proofFromJson(json: StarkProofJson): StarkProof {
+        try {
+            return this.readProofJson(json);
+        }
+        catch (error) {
+            throw toFormatError(error, 'Invalid proof JSON');
+        }
+    }
+
+    private readProofJson(json: StarkProofJson): StarkProof {
+        const reader = new JsonReader(this.fieldElementSize, this.hashDigestSize, this.modulus);
+        reader.check(isObject(json), 'proof', 'must be an object');
+
+        // header
+        reader.check(isObject(json.header), 'header', 'must be an object');
+        this.checkHeader(json.header);
+        const { exeQueryCount, friQueryCount } = this.header;
+        const readMerkleProof = (proof: any, path: string, leafSize: number, valueCount: number, maxValueCount: number) => {
+            const result = reader.readMerkleProof(proof, path, leafSize, maxValueCount);
+            const leafIdx = this.findNonCanonicalLeaf(result, valueCount);
+            reader.check(leafIdx === -1, `${path}.values[${leafIdx}]`, 'contains a non-canonical field element', 'nonCanonical');
+            return result;
+        };
+
+        // evaluation and composition trees
+        const evLeafSize = (this.getValueCount() + this.saltCount) * this.fieldElementSize;
+        const evMaxValueCount = this.deepSampling ? exeQueryCount : exeQueryCount * 2;
+        const cValueCount = this.columnCount * this.extensionDegree;
+        const cLeafSize = (cValueCount + this.saltCount) * this.fieldElementSize;
+        const evRoot = reader.readDigest(json.evRoot, 'evRoot');
+        const evProof = readMerkleProof(json.evProof, 'evProof', evLeafSize, this.getValueCount(), evMaxValueCount);
+        const cRoot = reader.readDigest(json.cRoot, 'cRoot');
+        const cProof = readMerkleProof(json.cProof, 'cProof', cLeafSize, cValueCount, exeQueryCount);
+
+        // deepValues
+        let deepValues: DeepValues | undefined;
+        if (this.deepSampling) {
+            const values = json.deepValues!;
+            reader.check(isObject(values), 'deepValues', 'must be an object');
+            const [pCount, hCount, cCount] = this.getDeepValueCounts();
+            deepValues = {
+                pValues : reader.readValues(values.pValues, 'deepValues.pValues', pCount),
+                nValues : reader.readValues(values.nValues, 'deepValues.nValues', pCount),
+                hValues : reader.readValues(values.hValues, 'deepValues.hValues', hCount),
+                cValues : reader.readValues(values.cValues, 'deepValues.cValues', cCount)
+            };
+        }
+        else {
+            reader.check(json.deepValues === undefined, 'deepValues', 'must be absent when DEEP sampling is not used');
+        }
 
         // ldProof
-        const ldLeafSize = this.fieldElementSize * 4;
-        const lcRoot = Buffer.allocUnsafe(this.hashDigestSize);
-        offset += buffer.copy(lcRoot, 0, offset, offset + this.hashDigestSize);
-        let lcProof = utils.readMerkleProof(buffer, offset, ldLeafSize, this.hashDigestSize);
-        offset = lcProof.offset;
-
-        const componentCount = buffer.readUInt8(offset); offset += 1;
-        const friComponents = new Array<FriComponent>(componentCount);
-        for (let i = 0; i < componentCount; i++) {
-            let columnRoot = Buffer.allocUnsafe(this.hashDigestSize);
-            offset += buffer.copy(columnRoot, 0, offset, offset + this.hashDigestSize);
-            let columnProofInfo = utils.readMerkleProof(buffer, offset, ldLeafSize, this.hashDigestSize);
-            offset = columnProofInfo.offset;
-            let polyProofInfo = utils.readMerkleProof(buffer, offset, ldLeafSize, this.hashDigestSize);
-            offset = polyProofInfo.offset;
-            friComponents[i] = { columnRoot, columnProof: columnProofInfo.proof, polyProof: polyProofInfo.proof };
+        const ldProof = json.ldProof;
+        reader.check(isObject(ldProof), 'ldProof', 'must be an object');
+        reader.check(Array.isArray(ldProof.components), 'ldProof.components', 'must be an array');
+        const componentCount = ldProof.components.length;
+        reader.check(componentCount <= utils.MAX_MERKLE_DEPTH, 'ldProof.components', `cannot contain more than ${utils.MAX_MERKLE_DEPTH} components`, 'invalidLength');
+        const friValueCount = this.foldingFactor * this.extensionDegree;
+        const lcRoot = reader.readDigest(ldProof.lcRoot, 'ldProof.lcRoot');
+        const lcProof = readMerkleProof(ldProof.lcProof, 'ldProof.lcProof', this.getFriLeafSize(0, componentCount), friValueCount, exeQueryCount);
+        const components = ldProof.components.map((component, i) => {
+            const path = `ldProof.components[${i}]`;
+            reader.check(isObject(component), path, 'must be an object');
+            const columnLeafSize = this.getFriLeafSize(i + 1, componentCount), polyLeafSize = this.getFriLeafSize(i, componentCount);
+            return {
+                columnRoot  : reader.readDigest(component.columnRoot, `${path}.columnRoot`),
+                columnProof : readMerkleProof(component.columnProof, `${path}.columnProof`, columnLeafSize, friValueCount, friQueryCount),
+                polyProof   : readMerkleProof(component.polyProof, `${path}.polyProof`, polyLeafSize, friValueCount, friQueryCount)
+            };
+        });
+        reader.check(Array.isArray(ldProof.remainder), 'ldProof.remainder', 'must be an array');
+        reader.check(ldProof.remainder.length <= this.maxRemainder * this.extensionDegree, 'ldProof.remainder', `cannot contain more than ${this.maxRemainder * this.extensionDegree} values`, 'invalidLength');
+        const remainder = reader.readValues(ldProof.remainder, 'ldProof.remainder');
+        reader.check(remainder.length > 0 && remainder.length % this.extensionDegree === 0, 'ldProof.remainder', `must contain a non-zero multiple of ${this.extensionDegree} values`, 'invalidLength');
+        reader.check(this.isLastLayer(componentCount, remainder.length), 'ldProof.components', `cannot contain more layers than needed to reach the remainder`, 'invalidLength');
+
+        // proof-of-work nonce and trace shape
+        const powNonce = reader.readInteger(json.powNonce, 'powNonce');
+        reader.check(Array.isArray(json.traceShape) && json.traceShape.length > 0, 'traceShape', 'must be a non-empty array');
+        const traceShape = json.traceShape.map((level, i) => {
+            const value = reader.readInteger(level, `traceShape[${i}]`);
+            reader.check(value > 0, `traceShape[${i}]`, 'cannot be zero', 'invalidLength');
+            return value;
+        });
+
+        return {
+            evRoot, evProof, cRoot, cProof,
+            ldProof: { lcRoot, lcProof, components, remainder },
+            deepValues, powNonce, traceShape
+        };
+    }
+
+    // PRIVATE METHODS
+    // --------------------------------------------------------------------------------------------
+    private readProof(buffer: Buffer, getQueries?: QuerySource): StarkProof {
+
+        // header; proofs in version 1 of the format use single-byte lengths
+        if (!hasHeader(buffer)) {
+            throw new ProofFormatError('malformedHeader', `Proof does not start with a header; proofs in the format which preceded the header can be read with parseLegacy()`);
         }
+        const header = readHeader(buffer);
+        this.checkHeader(header.header);
+        const legacy = (header.header.version === LEGACY_FORMAT_VERSION);
+        const compressed = header.compressed;
 
-        // for remainder array length, zero means 256
-        const friRemainderLength = buffer.readUInt8(offset) || MAX_ARRAY_LENGTH; offset += 1;
-        const friRemainder = new Array<bigint>(friRemainderLength);
-        for (let i = 0; i < friRemainderLength; i++, offset += this.fieldElementSize) {
-            friRemainder[i] = utils.readBigInt(buffer, offset, this.fieldElementSize);
+        // every length is checked against the configuration before anything is allocated for it
+        const reader = new ProofReader(buffer, header.offset, legacy);
+        if (compressed) {
+            if (!getQueries) {
+                throw new ProofFormatError('missingStatement', `Compressed proofs cannot be read without the statement for which they were generated`);
+            }
+            return this.readCompressedProof(reader, getQueries);
         }
 
-        // trace shape
-        const traceDepth = buffer.readUInt8(offset); offset += 1;
-        const traceShape = new Array<number>(traceDepth);
-        for (let i = 0; i < traceDepth; i++) {
-            traceShape[i] = buffer.readUInt32LE(offset); offset += 4;
+        const { exeQueryCount, friQueryCount } = this.header;
+        const readMerkleProof = (leafSize: number, valueCount: number, maxValueCount: number, label: string) => {
+            const proof = utils.readMerkleProof(reader, leafSize, this.hashDigestSize, maxValueCount, label);
+            this.checkLeaves(proof, valueCount, label);
+            return proof;
+        };
+
+        // evProof; when constraints are not checked out of domain, next state of each position is also queried
+        const evRoot = reader.readBytes(this.hashDigestSize, 'evRoot');
+        const evLeafSize = (this.getValueCount() + this.saltCount) * this.fieldElementSize;
+        const evMaxValueCount = this.deepSampling ? exeQueryCount : exeQueryCount * 2;
+        const evProof = readMerkleProof(evLeafSize, this.getValueCount(), evMaxValueCount, 'evProof');
+
+        // cProof
+        const cRoot = reader.readBytes(this.hashDigestSize, 'cRoot');
+        const cValueCount = this.columnCount * this.extensionDegree;
+        const cLeafSize = (cValueCount + this.saltCount) * this.fieldElementSize;
+        const cProof = readMerkleProof(cLeafSize, cValueCount, exeQueryCount, 'cProof');
+
+        // deepValues
+        const deepValues = this.readDeepValues(reader);
+
+        // ldProof; each FRI layer is at least half the size of the previous one
+        const componentCount = reader.readLength('ldProof.components length', 0, utils.MAX_MERKLE_DEPTH);
+        const friValueCount = this.foldingFactor * this.extensionDegree;
+
+        const lcRoot = reader.readBytes(this.hashDigestSize, 'ldProof.lcRoot');
+        const lcLeafSize = this.getFriLeafSize(0, componentCount);
+        const lcProof = readMerkleProof(lcLeafSize, friValueCount, exeQueryCount, 'ldProof.lcProof');
+
+        const components = new Array<FriComponent>(componentCount);
+        for (let i = 0; i < componentCount; i++) {
+            let path = `ldProof.components[${i}]`;
+            let columnRoot = reader.readBytes(this.hashDigestSize, `${path}.columnRoot`);
+            let columnLeafSize = this.getFriLeafSize(i + 1, componentCount);
+            let columnProof = readMerkleProof(columnLeafSize, friValueCount, friQueryCount, `${path}.columnProof`);
+            let polyLeafSize = this.getFriLeafSize(i, componentCount);
+            let polyProof = readMerkleProof(polyLeafSize, friValueCount, friQueryCount, `${path}.polyProof`);
+            components[i] = { columnRoot, columnProof, polyProof };
         }
 
+        // remainder, proof-of-work nonce, and trace shape
+        const { remainder, powNonce, traceShape } = this.readProofTail(reader, componentCount, legacy);
+
+        reader.expectEnd();
+
         // build and return the proof
         return {
             evRoot          : evRoot,
-            evProof         : evProof.proof,
+            evProof         : evProof,
+            cRoot           : cRoot,
+            cProof          : cProof,
             ldProof: {
                 lcRoot      : lcRoot,
-                lcProof     : lcProof.proof,
-                components  : friComponents, 
-                remainder   : friRemainder
+                lcProof     : lcProof,
+                components  : components, 
+                remainder   : remainder
             },
+            deepValues      : deepValues,
+            powNonce        : powNonce,
             traceShape      : traceShape
         };
     }
 
-    // PRIVATE METHODS
-    // --------------------------------------------------------------------------------------------
+    private readLegacyProof(buffer: Buffer): LegacyStarkProof {
+
+        // proofs without a header carry no parameters, so they are read with this serializer's
+        // query counts; lengths in these proofs are single bytes, and 0 stands for 256 in array lengths
+        const reader = new ProofReader(buffer, 0, true);
+        const { exeQueryCount, friQueryCount } = this.header;
+        const readMerkleProof = (leafSize: number, valueCount: number, maxValueCount: number, label: string) => {
+            const proof = utils.readMerkleProof(reader, leafSize, this.hashDigestSize, maxValueCount, label);
+            this.checkLeaves(proof, valueCount, label);
+            return proof;
+        };
+
+        // evProof; next state of each position is also queried
+        const evRoot = reader.readBytes(this.hashDigestSize, 'evRoot');
+        const evProof = readMerkleProof(this.getValueCount() * this.fieldElementSize, this.getValueCount(), exeQueryCount * 2, 'evProof');
+
+        // ldProof; every FRI layer is folded by 4, and all of its Merkle proofs have rows of 4 values
+        const friLeafSize = LEGACY_FOLDING_FACTOR * this.fieldElementSize;
+        const lcRoot = reader.readBytes(this.hashDigestSize, 'ldProof.lcRoot');
+        const lcProof = readMerkleProof(friLeafSize, LEGACY_FOLDING_FACTOR, exeQueryCount, 'ldProof.lcProof');
+
+        const componentCount = reader.readLength('ldProof.components length', 0, utils.MAX_MERKLE_DEPTH);
+        const components = new Array<FriComponent>(componentCount);
+        for (let i = 0; i < componentCount; i++) {
+            let path = `ldProof.components[${i}]`;
+            let columnRoot = reader.readBytes(this.hashDigestSize, `${path}.columnRoot`);
+            let columnProof = readMerkleProof(friLeafSize, LEGACY_FOLDING_FACTOR, friQueryCount, `${path}.columnProof`);
+            let polyProof = readMerkleProof(friLeafSize, LEGACY_FOLDING_FACTOR, friQueryCount, `${path}.polyProof`);
+            components[i] = { columnRoot, columnProof, polyProof };
+        }
+
+        // remainder and trace shape; there is no proof-of-work nonce
+        const remainderLength = reader.readLength('ldProof.remainder length', 1, LEGACY_MAX_ARRAY_LENGTH, true);
+        const remainder = this.readValues(reader, remainderLength, 'ldProof.remainder');
+        const traceShape = this.readTraceShape(reader);
+
+        reader.expectEnd();
+
+        return {
+            evRoot          : evRoot,
+            evProof         : evProof,
+            ldProof: {
+                lcRoot      : lcRoot,
+                lcProof     : lcProof,
+                components  : components,
+                remainder   : remainder
+            },
+            traceShape      : traceShape
+        };
+    }
+
+    private writeCompressedProof(buffer: Buffer, offset: number, proof: StarkProof, queries: MerkleQuery[]): Buffer {
+
+        // commitments go first, so that positions at which Merkle proofs are queried can be derived
+        // from them before Merkle proofs are read
+        offset += proof.evRoot.copy(buffer, offset);
+        offset += proof.cRoot.copy(buffer, offset);
+        offset = this.writeDeepValues(buffer, offset, proof);
+        offset = utils.writeVarint(buffer, offset, proof.ldProof.components.length);
+        offset += proof.ldProof.lcRoot.copy(buffer, offset);
+        for (let component of proof.ldProof.components) {
+            offset += component.columnRoot.copy(buffer, offset);
+        }
+        offset = this.writeProofTail(buffer, offset, proof);
+
+        // Merkle proofs, in the same order as their queries
+        const compressor = new MerkleProofCompressor(this.hashDigestSize);
+        forEachMerkleProof(proof, (merkleProof, root, i) => {
+            offset = compressor.write(buffer, offset, merkleProof, root, queries[i]);
+        });
+
+        return buffer;
+    }
+
+    private readCompressedProof(reader: ProofReader, getQueries: QuerySource): StarkProof {
+
+        // commitments
+        const evRoot = reader.readBytes(this.hashDigestSize, 'evRoot');
+        const cRoot = reader.readBytes(this.hashDigestSize, 'cRoot');
+        const deepValues = this.readDeepValues(reader);
+        const componentCount = reader.readLength('ldProof.components length', 0, utils.MAX_MERKLE_DEPTH);
+        const lcRoot = reader.readBytes(this.hashDigestSize, 'ldProof.lcRoot');
+        const columnRoots = new Array<Buffer>(componentCount);
+        for (let i = 0; i < componentCount; i++) {
+            columnRoots[i] = reader.readBytes(this.hashDigestSize, `ldProof.components[${i}].columnRoot`);
+        }
+        const { remainder, powNonce, traceShape } = this.readProofTail(reader, componentCount, false);
+
+        // query positions determine which leaves and nodes each Merkle proof contains
+        const queries = getQueries({
+            evRoot, cRoot, deepValues, powNonce, traceShape,
+            ldProof: { lcRoot, components: columnRoots.map(columnRoot => ({ columnRoot })), remainder }
+        });
+
+        const compressor = new MerkleProofCompressor(this.hashDigestSize);
+        let queryIdx = 0;
+        const readMerkleProof = (root: Buffer, leafSize: number, valueCount: number, label: string) => {
+            const proof = compressor.read(reader, root, leafSize, queries[queryIdx++], label);
+            this.checkLeaves(proof, valueCount, label);
+            return proof;
+        };
+
+        const evLeafSize = (this.getValueCount() + this.saltCount) * this.fieldElementSize;
+        const evProof = readMerkleProof(evRoot, evLeafSize, this.getValueCount(), 'evProof');
+        const cValueCount = this.columnCount * this.extensionDegree;
+        const cLeafSize = (cValueCount + this.saltCount) * this.fieldElementSize;
+        const cProof = readMerkleProof(cRoot, cLeafSize, cValueCount, 'cProof');
+
+        const friValueCount = this.foldingFactor * this.extensionDegree;
+        const lcProof = readMerkleProof(lcRoot, this.getFriLeafSize(0, componentCount), friValueCount, 'ldProof.lcProof');
+        const components = new Array<FriComponent>(componentCount);
+        for (let i = 0; i < componentCount; i++) {
+            let path = `ldProof.components[${i}]`;
+            let pRoot = (i === 0) ? lcRoot : columnRoots[i - 1];
+            let columnProof = readMerkleProof(columnRoots[i], this.getFriLeafSize(i + 1, componentCount), friValueCount, `${path}.columnProof`);
+            let polyProof = readMerkleProof(pRoot, this.getFriLeafSize(i, componentCount), friValueCount, `${path}.polyProof`);
+            components[i] = { columnRoot: columnRoots[i], columnProof, polyProof };
+        }
+
+        reader.expectEnd();
+
+        return {
+            evRoot, evProof, cRoot, cProof,
+            ldProof: { lcRoot, lcProof, components, remainder },
+            deepValues, powNonce, traceShape
+        };
+    }
+
+    private writeDeepValues(buffer: Buffer, offset: number, proof: StarkProof): number {
+        if (!this.deepSampling) return offset;
+
+        const deepValues = proof.deepValues;
+        if (!deepValues) throw new Error(`Proof does not contain out-of-domain evaluations`);
+        const { pValues, nValues, hValues, cValues } = deepValues;
+        for (let value of [...pValues, ...nValues, ...hValues, ...cValues]) {
+            offset = utils.writeBigInt(value, buffer, offset, this.fieldElementSize);
+        }
+        return offset;
+    }
+
+    private readDeepValues(reader: ProofReader): DeepValues | undefined {
+        if (!this.deepSampling) return undefined;
+
+        const [pCount, hCount, cCount] = this.getDeepValueCounts();
+        return {
+            pValues : this.readValues(reader, pCount, 'deepValues.pValues'),
+            nValues : this.readValues(reader, pCount, 'deepValues.nValues'),
+            hValues : this.readValues(reader, hCount, 'deepValues.hValues'),
+            cValues : this.readValues(reader, cCount, 'deepValues.cValues')
+        };
+    }
+
+    private writeProofTail(buffer: Buffer, offset: number, proof: StarkProof): number {
+
+        // remainder
+        offset = utils.writeVarint(buffer, offset, proof.ldProof.remainder.length);
+        for (let value of proof.ldProof.remainder) {
+            offset = utils.writeBigInt(value, buffer, offset, this.fieldElementSize);
+        }
+
+        // proof-of-work nonce
+        offset = buffer.writeUInt32LE(proof.powNonce, offset);
+
+        // trace shape
+        offset = utils.writeVarint(buffer, offset, proof.traceShape.length);
+        for (let level of proof.traceShape) {
+            offset = buffer.writeUInt32LE(level, offset);
+        }
+
+        return offset;
+    }
+
+    private readProofTail(reader: ProofReader, componentCount: number, legacy: boolean) {
+
+        // remainder; in legacy format, its length is a number of extension field elements
+        const remainderStart = reader.offset;
+        let remainderLength: number;
+        if (legacy) {
+            remainderLength = reader.readLength('ldProof.remainder length', 1, Math.min(this.maxRemainder, LEGACY_MAX_ARRAY_LENGTH), true) * this.extensionDegree;
+        }
+        else {
+            remainderLength = reader.readLength('ldProof.remainder length', 1, this.maxRemainder * this.extensionDegree);
+            if (remainderLength % this.extensionDegree !== 0) {
+                reader.fail('invalidLength', `ldProof.remainder length must be a multiple of ${this.extensionDegree}`, remainderStart);
+            }
+        }
+        if (!this.isLastLayer(componentCount, remainderLength)) {
+            reader.fail('invalidLength', `ldProof.components cannot contain more layers than needed to reach the remainder`, remainderStart);
+        }
+        const remainder = this.readValues(reader, remainderLength, 'ldProof.remainder');
+
+        // proof-of-work nonce
+        const powNonce = reader.readUInt32('powNonce');
+
+        // trace shape
+        const traceShape = this.readTraceShape(reader);
+
+        return { remainder, powNonce, traceShape };
+    }
+
+    private readTraceShape(reader: ProofReader): number[] {
+        const traceDepth = reader.readLength('traceShape length', 1, Math.max(1, Math.floor(reader.remaining / 4)));
+        const traceShape = new Array<number>(traceDepth);
+        for (let i = 0; i < traceDepth; i++) {
+            let start = reader.offset;
+            traceShape[i] = reader.readUInt32('traceShape');
+            if (traceShape[i] === 0) reader.fail('invalidLength', `traceShape[${i}] cannot be zero`, start);
+        }
+        return traceShape;
+    }
+
+    private readValues(reader: ProofReader, count: number, label: string): bigint[] {
+        reader.ensure(count * this.fieldElementSize, label);
+        const values = new Array<bigint>(count);
+        for (let i = 0; i < count; i++) {
+            let start = reader.offset;
+            values[i] = utils.readBigInt(reader.readBytes(this.fieldElementSize, label), 0, this.fieldElementSize);
+            if (values[i] >= this.modulus) {
+                reader.fail('nonCanonical', `${label}[${i}] is not a canonical field element`, start);
+            }
+        }
+        return values;
+    }
+
+    private checkLeaves(proof: BatchMerkleProof, valueCount: number, label: string) {
+        const leafIdx = this.findNonCanonicalLeaf(proof, valueCount);
+        if (leafIdx !== -1) {
+            throw new ProofFormatError('nonCanonical', `${label}.values[${leafIdx}] contains a non-canonical field element`);
+        }
+    }
+
+    private findNonCanonicalLeaf(proof: BatchMerkleProof, valueCount: number): number {
+        // only the values are checked; salt which follows them need not be a field element
+        for (let i = 0; i < proof.values.length; i++) {
+            for (let j = 0, offset = 0; j < valueCount; j++, offset += this.fieldElementSize) {
+                if (utils.readBigInt(proof.values[i], offset, this.fieldElementSize) >= this.modulus) return i;
+            }
+        }
+        return -1;
+    }
+
+    private checkHeader(header: ProofHeader) {
+        const expected = this.header;
+        if (!isSupportedVersion(header.version)) {
+            throw new ProofFormatError('malformedHeader', `Proof format version ${header.version} is not supported; expected version ${expected.version}`);
+        }
+        else if (header.hashAlgorithm !== expected.hashAlgorithm) {
+            throw new ProofFormatError('headerMismatch', `Proof was generated with ${header.hashAlgorithm} hash algorithm, but this STARK uses ${expected.hashAlgorithm}`);
+        }
+        else if (header.fieldFingerprint !== expected.fieldFingerprint) {
+            throw new ProofFormatError('headerMismatch', `Proof was generated for a different field`);
+        }
+        else if (header.airFingerprint !== expected.airFingerprint) {
+            throw new ProofFormatError('headerMismatch', `Proof was generated for a different AIR`);
+        }
+
+        // headers of older versions do not describe FRI remainder and grinding, so proofs in these
+        // versions are assumed to match this STARK's configuration of them
+        for (let [key, label] of getHeaderParameters(header.version)) {
+            if (header[key] !== expected[key]) {
+                throw new ProofFormatError('headerMismatch', `Proof was generated with ${label} ${header[key]}, but this STARK uses ${expected[key]}`);
+            }
+        }
+
+        if (header.version === FORMAT_VERSION && header.friRemainderFormat !== expected.friRemainderFormat) {
+            throw new ProofFormatError('headerMismatch', `Proof was generated with FRI remainder format ${header.friRemainderFormat}, but this STARK uses ${expected.friRemainderFormat}`);
+        }
+
+        if (header.deepSampling !== expected.deepSampling || header.zeroKnowledge !== expected.zeroKnowledge) {
+            throw new ProofFormatError('headerMismatch', `Proof was generated with ${describeModes(header)}, but this STARK uses ${describeModes(expected)}`);
+        }
+    }
+
+    private getDeepValueCounts(): [number, number, number] {
+        // out-of-domain values are extension field elements; every coordinate of a C(x) column is
+        // evaluated at the out-of-domain point as a separate polynomial
+        const k = this.extensionDegree;
+        return [this.stateWidth * k, (this.sRegisterCount + this.iRegisterCount) * k, this.columnCount * k * k];
+    }
+
     private getValueCount(): number {
         return this.stateWidth + this.sRegisterCount + this.iRegisterCount;
     }
-}
\ No newline at end of file
+
+    private isLastLayer(componentCount: number, remainderLength: number): boolean {
+        // the layer before an evaluation remainder is folded only if it is larger than the max remainder
+        // size; without the domain size, this is all that can be checked before the proof is verified
+        if (this.header.friRemainderFormat === 'coefficients' || componentCount === 0) return true;
+        return remainderLength / this.extensionDegree * this.foldingFactor > this.header.friMaxRemainderSize!;
+    }
+
+    private getFriLeafSize(depth: number, componentCount: number): number {
+        // leaves of all FRI layers are salted except for the last one, which is revealed as the remainder
+        const saltCount = (depth < componentCount) ? this.saltCount : 0;
+        return (this.foldingFactor * this.extensionDegree + saltCount) * this.fieldElementSize;
+    }
+}
+
+// HEADER
+// ================================================================================================
+export function readProofHeader(buffer: Buffer): ProofHeader | undefined {
+    // proofs without a header carry no information about how they were generated
+    if (!hasHeader(buffer)) return undefined;
+    try {
+        return readHeader(buffer).header;
+    }
+    catch (error) {
+        throw toFormatError(error, 'Proof header is malformed');
+    }
+}
+
+function buildHeader(field: FiniteField, layout: LayoutOptions, descriptor: ProofDescriptor): ProofHeader {
+    return {
+        version             : FORMAT_VERSION,
+        hashAlgorithm       : descriptor.hashAlgorithm,
+        fieldFingerprint    : fingerprint(field.characteristic.toString(16)),
+        airFingerprint      : fingerprint(descriptor.source),
+        extensionFactor     : descriptor.extensionFactor,
+        exeQueryCount       : descriptor.exeQueryCount,
+        friQueryCount       : descriptor.friQueryCount,
+        friFoldingFactor    : layout.foldingFactor,
+        extensionDegree     : layout.extensionDegree,
+        friMaxRemainderSize : descriptor.friMaxRemainderSize,
+        grindingBits        : descriptor.grindingBits,
+        friRemainderFormat  : descriptor.friRemainderFormat,
+        deepSampling        : layout.deepSampling,
+        zeroKnowledge       : layout.saltCount > 0
+    };
+}
+
+function writeHeader(header: ProofHeader): Buffer {
+    const hashAlgorithm = Buffer.from(header.hashAlgorithm);
+    const flags = (header.deepSampling ? DEEP_SAMPLING_FLAG : 0) | (header.zeroKnowledge ? ZERO_KNOWLEDGE_FLAG : 0)
+        | (header.friRemainderFormat === 'coefficients' ? REMAINDER_COEFFICIENTS_FLAG : 0);
+    const parameters = HEADER_PARAMETERS.map(([key]) => header[key] as number);
+
+    const size = PROOF_MAGIC.byteLength + 1 + utils.sizeOfVarint(hashAlgorithm.byteLength) + hashAlgorithm.byteLength
+        + 2 * FINGERPRINT_SIZE + parameters.reduce((sum, p) => sum + utils.sizeOfVarint(p), 0) + 1;
+    const buffer = Buffer.allocUnsafe(size);
+
+    let offset = PROOF_MAGIC.copy(buffer, 0);
+    offset = buffer.writeUInt8(header.version, offset);
+    offset = utils.writeVarint(buffer, offset, hashAlgorithm.byteLength);
+    offset += hashAlgorithm.copy(buffer, offset);
+    offset += buffer.write(header.fieldFingerprint, offset, FINGERPRINT_SIZE, 'hex');
+    offset += buffer.write(header.airFingerprint, offset, FINGERPRINT_SIZE, 'hex');
+    for (let parameter of parameters) {
+        offset = utils.writeVarint(buffer, offset, parameter);
+    }
+    buffer.writeUInt8(flags, offset);
+
+    return buffer;
+}
+
+function readHeader(buffer: Buffer): { header: ProofHeader, compressed: boolean, offset: number } {
+    // magic has already been checked by the caller; in version 1 of the format, lengths and
+    // parameters are single bytes
+    let reader = new ProofReader(buffer, PROOF_MAGIC.byteLength, false);
+    const version = reader.readUInt8('format version');
+    if (!isSupportedVersion(version)) {
+        reader.fail('malformedHeader', `Proof format version ${version} is not supported; expected version ${FORMAT_VERSION}`, reader.offset - 1);
+    }
+    const legacy = (version === LEGACY_FORMAT_VERSION);
+    reader = new ProofReader(buffer, reader.offset, legacy);
+
+    const hashLength = reader.readLength('hash algorithm name length', 1, MAX_ALGORITHM_NAME_LENGTH);
+    const hashAlgorithm = reader.readBytes(hashLength, 'hash algorithm name').toString('utf8');
+    const fieldFingerprint = reader.readBytes(FINGERPRINT_SIZE, 'field fingerprint').toString('hex');
+    const airFingerprint = reader.readBytes(FINGERPRINT_SIZE, 'AIR fingerprint').toString('hex');
+
+    const parameters: any = {};
+    for (let [key, label, min] of getHeaderParameters(version)) {
+        parameters[key] = reader.readLength(label, min, MAX_UINT32);
+    }
+
+    const flags = reader.readUInt8('flags');
+    const knownFlags = DEEP_SAMPLING_FLAG | ZERO_KNOWLEDGE_FLAG | COMPRESSED_FLAG
+        | (version === FORMAT_VERSION ? REMAINDER_COEFFICIENTS_FLAG : 0);
+    if (flags & ~knownFlags) {
+        reader.fail('malformedHeader', `Proof header contains unknown flags ${flags}`, reader.offset - 1);
+    }
+
+    const header: ProofHeader = {
+        version, hashAlgorithm, fieldFingerprint, airFingerprint, ...parameters,
+        deepSampling        : (flags & DEEP_SAMPLING_FLAG) !== 0,
+        zeroKnowledge       : (flags & ZERO_KNOWLEDGE_FLAG) !== 0
+    };
+    if (version === FORMAT_VERSION) {
+        header.friRemainderFormat = (flags & REMAINDER_COEFFICIENTS_FLAG) ? 'coefficients' : 'evaluations';
+    }
+
+    // compression describes how the proof is encoded rather than how it was generated, and so it
+    // is not a part of the header object
+    const compressed = (flags & COMPRESSED_FLAG) !== 0;
+    if (compressed && legacy) {
+        reader.fail('malformedHeader', 'Compression is not supported in version 1 of the format', reader.offset - 1);
+    }
+    return { header, compressed, offset: reader.offset };
+}
+
+function isSupportedVersion(version: number): boolean {
+    return Number.isInteger(version) && version >= LEGACY_FORMAT_VERSION && version <= FORMAT_VERSION;
+}
+
+function getHeaderParameters(version: number) {
+    return (version === FORMAT_VERSION) ? HEADER_PARAMETERS : HEADER_PARAMETERS.slice(0, SHORT_HEADER_PARAMETER_COUNT);
+}
+
+function hasHeader(buffer: Buffer): boolean {
+    return buffer.byteLength >= PROOF_MAGIC.byteLength
+        && buffer.slice(0, PROOF_MAGIC.byteLength).equals(PROOF_MAGIC);
+}
+
+function fingerprint(value: string): string {
+    return crypto.createHash('sha256').update(value).digest().toString('hex', 0, FINGERPRINT_SIZE);
+}
+
+function describeModes(header: ProofHeader): string {
+    const deep = header.deepSampling ? 'DEEP sampling' : 'no DEEP sampling';
+    const zk = header.zeroKnowledge ? 'zero-knowledge' : 'no zero-knowledge';
+    return `${deep} and ${zk}`;
+}
+
+// JSON
+// ================================================================================================
+class JsonReader {
+
+    readonly elementSize    : number;
+    readonly digestSize     : number;
+    readonly modulus        : bigint;
+
+    constructor(elementSize: number, digestSize: number, modulus: bigint) {
+        this.elementSize = elementSize;
+        this.digestSize = digestSize;
+        this.modulus = modulus;
+    }
+
+    check(condition: boolean, path: string, message: string, code: ProofErrorCode = 'invalidJson'): void {
+        if (!condition) throw new ProofFormatError(code, `Invalid proof JSON: ${path} ${message}`);
+    }
+
+    readBytes(value: any, path: string, size: number): Buffer {
+        this.check(typeof value === 'string' && HEX_PATTERN.test(value), path, 'must be a hex string');
+        this.check(value.length === size * 2, path, `must be ${size} bytes long`);
+        return Buffer.from(value, 'hex');
+    }
+
+    readDigest(value: any, path: string): Buffer {
+        return this.readBytes(value, path, this.digestSize);
+    }
+
+    readValue(value: any, path: string): bigint {
+        this.check(typeof value === 'string' && VALUE_PATTERN.test(value), path, 'must be a hex string');
+        this.check(value.length <= this.elementSize * 2, path, `must fit into ${this.elementSize} bytes`);
+        const result = BigInt(`0x${value}`);
+        this.check(result < this.modulus, path, 'must be a canonical field element', 'nonCanonical');
+        return result;
+    }
+
+    readValues(values: any, path: string, count?: number): bigint[] {
+        this.check(Array.isArray(values), path, 'must be an array');
+        if (count !== undefined) {
+            this.check(values.length === count, path, `must contain ${count} values`, 'invalidLength');
+        }
+        return values.map((value: any, i: number) => this.readValue(value, `${path}[${i}]`));
+    }
+
+    readInteger(value: any, path: string): number {
+        this.check(Number.isInteger(value) && value >= 0 && value <= MAX_UINT32, path, 'must be a 32-bit unsigned integer');
+        return value;
+    }
+
+    readMerkleProof(proof: any, path: string, leafSize: number, maxValueCount: number): BatchMerkleProof {
+        this.check(isObject(proof), path, 'must be an object');
+        this.check(Array.isArray(proof.values), `${path}.values`, 'must be an array');
+        this.check(Array.isArray(proof.nodes), `${path}.nodes`, 'must be an array');
+        const values = proof.values.map((value: any, i: number) => this.readBytes(value, `${path}.values[${i}]`, leafSize));
+        const nodes = proof.nodes.map((column: any, i: number) => {
+            this.check(Array.isArray(column), `${path}.nodes[${i}]`, 'must be an array');
+            return column.map((node: any, j: number) => {
+                // the first node in a column can be a sibling leaf rather than an internal node
+                const nodePath = `${path}.nodes[${i}][${j}]`;
+                const isLeaf = (j === 0 && typeof node === 'string' && node.length === leafSize * 2);
+                return isLeaf ? this.readBytes(node, nodePath, leafSize) : this.readDigest(node, nodePath);
+            });
+        });
+        const depth = this.readInteger(proof.depth, `${path}.depth`);
+
+        const error = utils.checkMerkleLayout(values.length, nodes.map((column: Buffer[]) => column.length), depth, maxValueCount);
+        this.check(error === undefined, path, error!, 'invalidLength');
+        return { values, nodes, depth };
+    }
+}
+
+function merkleProofToJson(proof: BatchMerkleProof): MerkleProofJson {
+    return {
+        values  : proof.values.map(v => v.toString('hex')),
+        nodes   : proof.nodes.map(column => column.map(n => n.toString('hex'))),
+        depth   : proof.depth
+    };
+}
+
+function forEachMerkleProof(proof: StarkProof, callback: (merkleProof: BatchMerkleProof, root: Buffer, index: number) => void) {
+    callback(proof.evProof, proof.evRoot, 0);
+    callback(proof.cProof, proof.cRoot, 1);
+    callback(proof.ldProof.lcProof, proof.ldProof.lcRoot, 2);
+
+    // poly proof of each FRI layer is against the tree of the previous layer
+    let pRoot = proof.ldProof.lcRoot, index = 3;
+    for (let component of proof.ldProof.components) {
+        callback(component.columnProof, component.columnRoot, index++);
+        callback(component.polyProof, pRoot, index++);
+        pRoot = component.columnRoot;
+    }
+}
+
+function toFormatError(error: Error, message: string): StarkError {
+    // all problems should be caught by the readers, but proofs may come from anywhere
+    return (error instanceof StarkError) ? error : new ProofFormatError('malformed', message, error);
+}
+
+function bigIntToHex(value: bigint): string {
+    return value.toString(16);
+}
+
+function isObject(value: any): boolean {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
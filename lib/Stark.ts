@@ -1,40 +1,40 @@
 // IMPORTS
 // ================================================================================================
-import { SecurityOptions, Assertion, HashAlgorithm, StarkProof, OptimizationOptions, Logger as ILogger } from '@guildofweavers/genstark';
-import { MerkleTree, createHash, Hash, WasmOptions } from '@guildofweavers/merkle';
-import { parseScript, Vector, Matrix, AirModule } from '@guildofweavers/air-script';
-import { CompositionPolynomial, LowDegreeProver, LinearCombination, QueryIndexGenerator } from './components';
-import { Logger, sizeOf, powLog2, readBigInt, rehashMerkleProofValues, noop } from './utils';
-import { Serializer } from './Serializer';
-import { StarkError } from './StarkError';
+import * as os from 'os';
+import * as crypto from 'crypto';
+import { SecurityOptions, SecurityReport, SecurityTarget, Assertion, StarkProof, LegacyStarkProof, StarkProofJson, ProofSize, ProofAnalysis, SerializeOptions, ProofStatement, VerificationKey, DebugReport, AssertionFailure, ConstraintFailure, ExecutionTrace, TraceRegister, ProofStats, LowDegreeProof, DeepValues, OptimizationOptions, Logger as ILogger } from '@guildofweavers/genstark';
+import { MerkleTree, Hash, WasmOptions } from '@guildofweavers/merkle';
+import { parseScript, FiniteField, Vector, Matrix, AirModule, AirObject, ProofObject, VerificationObject } from '@guildofweavers/air-script';
+import { CompositionPolynomial, ConstraintChecker, LowDegreeProver, LinearCombination, DeepComposition } from './components';
+import { sizeOf, isPowerOf2, MerkleQuery, estimateSecurity, estimateProofSize, readReadonlyRegisters, expandReadonlyRegister, ProofStatsCollector } from './utils';
+import { instantiateHash, isBuiltInHash, getHashModulePath, getCollisionResistance } from './hashes';
+import { WorkerPool, ProofSteps, ProofInputs, TraceInputs, runTasks, extendPolys, buildMerkleTree, evaluateConstraints } from './workers';
+import { StarkVerifier, VerifierSetup, validateSecurityOptions, validateStatement, MAX_EXE_QUERY_COUNT, MAX_FRI_QUERY_COUNT, VERIFICATION_KEY_VERSION } from './StarkVerifier';
+import { StarkError, ProofFormatError } from './StarkError';
 
 // MODULE VARIABLES
 // ================================================================================================
-const DEFAULT_EXE_QUERY_COUNT = 80;
-const DEFAULT_FRI_QUERY_COUNT = 40;
+const MAX_EXTENSION_FACTOR = 32;
 
-const MAX_EXE_QUERY_COUNT = 128;
-const MAX_FRI_QUERY_COUNT = 64;
+const SECURITY_TARGETS: SecurityTarget[] = ['proofSize', 'proverTime'];
+const DEFAULT_SECURITY_TARGET: SecurityTarget = 'proofSize';
+const DEFAULT_EXPECTED_TRACE_LENGTH = 2**16;
 
 const WASM_PAGE_SIZE = 65536;                               // 64 KB
 const DEFAULT_INITIAL_MEMORY = 32 * 2**20;                  // 32 MB
 const DEFAULT_MAXIMUM_MEMORY = 2 * 2**30 - WASM_PAGE_SIZE;  // 2 GB less one page
 
-const HASH_ALGORITHMS: HashAlgorithm[] = ['sha256', 'blake2s256'];
-const DEFAULT_HASH_ALGORITHM: HashAlgorithm = 'sha256';
+const DEFAULT_WORKER_COUNT = os.cpus().length || 1;
+
+const MAX_REPORTED_FAILURES = 100;                          // constraint failures listed by debug()
 
 // CLASS DEFINITION
 // ================================================================================================
-export class Stark {
-
-    readonly air                : AirModule;
-    readonly hash               : Hash;
-
-    readonly extensionFactor    : number;
+export class Stark extends StarkVerifier {
 
-    readonly indexGenerator     : QueryIndexGenerator;
-    readonly serializer         : Serializer;
-    readonly logger             : ILogger;
+    private readonly optimization?      : boolean | Partial<OptimizationOptions>;
+    private readonly workerCount        : number;
+    private workerPool?                 : WorkerPool;
 
     // CONSTRUCTOR
     // --------------------------------------------------------------------------------------------
@@ -44,254 +44,592 @@ export class Stark {
         if (!source.trim()) throw new TypeError('Source script cannot be an empty string');
 
         let extensionFactor = security ? security.extensionFactor : undefined;
-        let sOptions: SecurityOptions;
+        const target = validateTargetSecurity(security);
+        let air: AirModule, hash: Hash, sOptions: SecurityOptions;
         if (optimization) {
             const wasmOptions = buildWasmOptions(optimization);
 
             // instantiate AIR module
-            this.air = parseScript(source, { wasmOptions, extensionFactor });
-            if (!this.air.field.isOptimized) {
+            air = parseScript(source, { wasmOptions, extensionFactor });
+            if (!air.field.isOptimized) {
                 console.warn(`WARNING: WebAssembly optimization is not available for the specified field`);
             }
 
             // instantiate Hash object
-            sOptions = validateSecurityOptions(security, this.air.extensionFactor);
+            sOptions = validateSecurityOptions(security, air.extensionFactor);
             const wasmOptions2 = buildWasmOptions(optimization); // TODO: use the same options as for AIR
-            this.hash = createHash(sOptions.hashAlgorithm, wasmOptions2);
-            if (!this.hash.isOptimized) {
+            hash = instantiateHash(sOptions.hashAlgorithm, air.field, wasmOptions2);
+            if (!hash.isOptimized) {
                 console.warn(`WARNING: WebAssembly optimization is not available for ${sOptions.hashAlgorithm} hash algorithm`);
             }
         }
         else {
-            this.air = parseScript(source, { extensionFactor });
-            sOptions = validateSecurityOptions(security, this.air.extensionFactor);
-            this.hash = createHash(sOptions.hashAlgorithm, false);
+            air = parseScript(source, { extensionFactor });
+            sOptions = validateSecurityOptions(security, air.extensionFactor);
+            hash = instantiateHash(sOptions.hashAlgorithm, air.field);
+        }
+
+        // when target security is specified, extension factor and query counts are picked automatically;
+        // AIR module needs to be instantiated again if the extension factor has changed
+        if (target) {
+            const tuned = tuneSecurityOptions(target, sOptions, air, hash);
+            if (tuned.extensionFactor !== air.extensionFactor) {
+                extensionFactor = tuned.extensionFactor;
+                air = optimization
+                    ? parseScript(source, { wasmOptions: buildWasmOptions(optimization), extensionFactor })
+                    : parseScript(source, { extensionFactor });
+            }
+            sOptions = { ...sOptions, ...tuned };
         }
 
-        this.extensionFactor = sOptions.extensionFactor;
-        this.indexGenerator = new QueryIndexGenerator(sOptions);
-        this.serializer = new Serializer(this.air, this.hash.digestSize);
-        this.logger = logger || new Logger();
+        super(new VerifierSetup(source, air, hash, sOptions), logger);
+
+        // worker threads are started only when they are needed for the first time
+        this.optimization = optimization;
+        this.workerCount = validateWorkerCount(optimization);
     }
 
     // ACCESSORS
     // --------------------------------------------------------------------------------------------
     get securityLevel(): number {
-        const extensionFactor = this.extensionFactor;
-
-        // execution trace security
-        const exeQueryCount = this.indexGenerator.exeQueryCount;
-        const es = powLog2(extensionFactor / this.air.maxConstraintDegree, exeQueryCount);
-
-        // FRI proof security
-        const friQueryCount = this.indexGenerator.friQueryCount;
-        const fs = Math.log2(extensionFactor) * friQueryCount;
+        return Math.floor(this.securityReport().total.conjectured);
+    }
 
-        // collision resistance of hash function
-        const hs = this.hash.digestSize * 4;
+    securityReport(): SecurityReport {
+        const options = this.securityOptions;
+        return estimateSecurity({
+            extensionFactor     : this.extensionFactor,
+            exeQueryCount       : this.indexGenerator.exeQueryCount,
+            friQueryCount       : this.indexGenerator.friQueryCount,
+            grindingBits        : this.indexGenerator.grindingBits,
+            deepSampling        : options.deepSampling!,
+            maxConstraintDegree : this.air.maxConstraintDegree,
+            fieldModulus        : this.air.field.characteristic,
+            extensionDegree     : this.extensionField.degree,
+            hashCollisionBits   : getCollisionResistance(this.hash)
+        });
+    }
 
-        return Math.floor(Math.min(es, fs, hs));
+    exportVerificationKey(): VerificationKey {
+        return {
+            version         : VERIFICATION_KEY_VERSION,
+            source          : this.source,
+            fieldModulus    : this.air.field.characteristic.toString(16),
+            security        : { ...this.securityOptions }
+        };
     }
 
     // PROVER
     // --------------------------------------------------------------------------------------------
     prove(assertions: Assertion[], inputs: any[], auxPublicInputs?: bigint[][], auxSecretInputs?: bigint[][]): StarkProof {
+        const steps = this.buildProof(assertions, { inputs, auxPublicInputs: auxPublicInputs || [], auxSecretInputs: auxSecretInputs || [] });
+        return runTasks(steps, this.air.field, this.hash);
+    }
+
+    async proveAsync(assertions: Assertion[], inputs: any[], auxPublicInputs?: bigint[][], auxSecretInputs?: bigint[][]): Promise<StarkProof> {
+        const steps = this.buildProof(assertions, { inputs, auxPublicInputs: auxPublicInputs || [], auxSecretInputs: auxSecretInputs || [] });
+        return this.getWorkerPool().run(steps);
+    }
+
+    proveTrace(trace: bigint[][], assertions: Assertion[], traceShape: number[], hiddenRegisters?: bigint[][], auxPublicInputs?: bigint[][]): StarkProof {
+        const steps = this.buildProof(assertions, { trace, traceShape, hiddenRegisters: hiddenRegisters || [], auxPublicInputs: auxPublicInputs || [] });
+        return runTasks(steps, this.air.field, this.hash);
+    }
+
+    async proveTraceAsync(trace: bigint[][], assertions: Assertion[], traceShape: number[], hiddenRegisters?: bigint[][], auxPublicInputs?: bigint[][]): Promise<StarkProof> {
+        const steps = this.buildProof(assertions, { trace, traceShape, hiddenRegisters: hiddenRegisters || [], auxPublicInputs: auxPublicInputs || [] });
+        return this.getWorkerPool().run(steps);
+    }
+
+    proveWithStats(assertions: Assertion[], inputs: any[], auxPublicInputs?: bigint[][], auxSecretInputs?: bigint[][]): { proof: StarkProof, stats: ProofStats } {
+        const collector = new ProofStatsCollector(this.logger);
+        const steps = this.buildProof(assertions, { inputs, auxPublicInputs: auxPublicInputs || [], auxSecretInputs: auxSecretInputs || [] }, collector);
+        const proof = runTasks(steps, this.air.field, this.hash);
+        return { proof, stats: collector.getStats(proof) };
+    }
+
+    async proveWithStatsAsync(assertions: Assertion[], inputs: any[], auxPublicInputs?: bigint[][], auxSecretInputs?: bigint[][]): Promise<{ proof: StarkProof, stats: ProofStats }> {
+        const collector = new ProofStatsCollector(this.logger);
+        const steps = this.buildProof(assertions, { inputs, auxPublicInputs: auxPublicInputs || [], auxSecretInputs: auxSecretInputs || [] }, collector);
+        const proof = await this.getWorkerPool().run(steps);
+        return { proof, stats: collector.getStats(proof) };
+    }
+
+    debug(assertions: Assertion[], inputs: any[], auxPublicInputs?: bigint[][], auxSecretInputs?: bigint[][]): DebugReport {
+
+        const log = this.logger.start('Starting constraint debugging');
 
-        const log = this.logger.start('Starting STARK computation');
-    
         // 0 ----- validate parameters
         if (!Array.isArray(assertions)) throw new TypeError('Assertions parameter must be an array');
-        if (assertions.length === 0) throw new TypeError('At least one assertion must be provided');
         if (!Array.isArray(inputs)) throw new TypeError('Initialization values parameter must be an array');
 
-        // 1 ----- set up evaluation context
+        // 1 ----- generate execution trace and check assertions against it
         const field = this.air.field;
         const context = this.air.initProof(inputs, auxPublicInputs || [], auxSecretInputs || []);
-        const evaluationDomainSize = context.evaluationDomain.length;
-        log('Set up evaluation context');
+        let executionTrace: Matrix;
+        try {
+            executionTrace = context.generateExecutionTrace();
+        }
+        catch (error) {
+            throw new StarkError(`Failed to generate the execution trace`, error);
+        }
+        const assertionFailures = checkAssertions(executionTrace, assertions);
+        log('Generated execution trace and checked assertions');
+
+        // 2 ----- evaluate transition constraints at every step of the execution domain; constraints
+        // relate each step to the next one, and so they do not apply to the last step
+        const vContext = this.air.initVerification(context.traceShape, auxPublicInputs || []);
+        const traceLength = context.traceLength;
+        const registerCount = executionTrace.rowCount;
+        const hTraces = context.hiddenRegisterTraces.map(v => field.pluckVector(v, this.extensionFactor, traceLength));
+        const xStep = field.exp(vContext.rootOfUnity, BigInt(this.extensionFactor));
+
+        const constraintFailures: ConstraintFailure[] = [];
+        let failureCount = 0, x = field.one;
+        let rValues = getTraceColumn(executionTrace, 0, registerCount);
+        for (let step = 0; step < traceLength - 1; step++, x = field.mul(x, xStep)) {
+            let nValues = getTraceColumn(executionTrace, step + 1, registerCount);
+            let hValues = hTraces.map(v => v.getValue(step));
+            let qValues = vContext.evaluateConstraintsAt(x, rValues, nValues, hValues);
+
+            for (let i = 0; i < qValues.length; i++) {
+                if (qValues[i] === field.zero) continue;
+                failureCount++;
+                if (constraintFailures.length < MAX_REPORTED_FAILURES) {
+                    constraintFailures.push({
+                        constraint      : i,
+                        step            : step,
+                        registers       : rValues,
+                        nextRegisters   : nValues,
+                        hiddenRegisters : hValues,
+                        expected        : field.zero,
+                        actual          : qValues[i]
+                    });
+                }
+            }
+            rValues = nValues;
+        }
+        log(`Evaluated ${this.air.constraints.length} transition constraints at ${traceLength - 1} steps`);
+
+        const isValid = (assertionFailures.length === 0 && failureCount === 0);
+        this.logger.done(log, isValid ? 'All constraints hold' : `Found ${assertionFailures.length + failureCount} failures`);
+        return {
+            isValid, traceLength, assertionFailures, constraintFailures,
+            constraintFailureCount: failureCount
+        };
+    }
 
-        // 2 ----- generate execution trace and make sure it is correct
+    generateTrace(inputs: any[], auxPublicInputs?: bigint[][], auxSecretInputs?: bigint[][]): ExecutionTrace {
+
+        // 0 ----- validate parameters
+        if (!Array.isArray(inputs)) throw new TypeError('Initialization values parameter must be an array');
+
+        // 1 ----- generate values of mutable registers
+        const field = this.air.field;
+        const context = this.air.initProof(inputs, auxPublicInputs || [], auxSecretInputs || []);
         let executionTrace: Matrix;
         try {
             executionTrace = context.generateExecutionTrace();
-            validateAssertions(executionTrace, assertions);
         }
         catch (error) {
             throw new StarkError(`Failed to generate the execution trace`, error);
         }
-        log('Generated execution trace');
+
+        const traceLength = context.traceLength;
+        const registers: TraceRegister[] = [];
+        for (let i = 0; i < executionTrace.rowCount; i++) {
+            let values = new Array<bigint>(traceLength);
+            for (let step = 0; step < traceLength; step++) {
+                values[step] = executionTrace.getValue(i, step);
+            }
+            registers.push({ name: `$r${i}`, kind: 'mutable', values });
+        }
+
+        // 2 ----- recover values of readonly registers; values of static registers are either declared
+        // in the source or provided as public inputs, while secret and input registers are hidden from
+        // the verifier, and so the AIR module evaluates them over the evaluation domain
+        let specs: ReturnType<typeof readReadonlyRegisters>;
+        try {
+            specs = readReadonlyRegisters(this.source);
+        }
+        catch (error) {
+            throw new StarkError(`Failed to read readonly register declarations`, error);
+        }
+        const secretCount = specs.filter(spec => spec.name.startsWith('$s')).length;
+        if (secretCount !== this.air.sRegisterCount) {
+            throw new StarkError(`Failed to read readonly register declarations: AIR has ${this.air.sRegisterCount} secret registers, but ${secretCount} were declared`);
+        }
+
+        const hTraces = context.hiddenRegisterTraces.map(v => field.pluckVector(v, this.extensionFactor, traceLength));
+        for (let spec of specs) {
+            if (spec.name.startsWith('$s')) continue;
+            let index = Number.parseInt(spec.name.slice(2), 10), values: bigint[];
+            if (spec.values) {
+                values = expandReadonlyRegister(spec, spec.values, traceLength);
+            }
+            else {
+                if (!spec.name.startsWith('$p') || !auxPublicInputs || !auxPublicInputs[index]) {
+                    throw new StarkError(`Values for readonly register ${spec.name} were not provided`);
+                }
+                values = expandReadonlyRegister(spec, auxPublicInputs[index], traceLength);
+            }
+            registers.push({ name: spec.name, kind: 'static', values });
+        }
+
+        for (let i = 0; i < this.air.sRegisterCount; i++) {
+            registers.push({ name: `$s${i}`, kind: 'secret', values: hTraces[i].toValues() });
+        }
+
+        for (let i = 0; i < this.air.iRegisterCount; i++) {
+            let values = hTraces[this.air.sRegisterCount + i].toValues();
+            registers.push({ name: `$i${i}`, kind: 'input', values });
+        }
+
+        return { length: traceLength, shape: context.traceShape.slice(), registers };
+    }
+
+    private *buildProof(assertions: Assertion[], proofInputs: ProofInputs | TraceInputs, logger = this.logger): ProofSteps<StarkProof> {
+
+        const log = logger.start('Starting STARK computation');
+    
+        // 0 ----- validate parameters
+        if (!Array.isArray(assertions)) throw new TypeError('Assertions parameter must be an array');
+        if (assertions.length === 0) throw new TypeError('At least one assertion must be provided');
+        if ('trace' in proofInputs) {
+            if (!Array.isArray(proofInputs.trace)) throw new TypeError('Execution trace parameter must be an array');
+            if (!Array.isArray(proofInputs.traceShape)) throw new TypeError('Trace shape parameter must be an array');
+            if (!Array.isArray(proofInputs.hiddenRegisters)) throw new TypeError('Hidden registers parameter must be an array');
+        }
+        else if (!Array.isArray(proofInputs.inputs)) {
+            throw new TypeError('Initialization values parameter must be an array');
+        }
+
+        // 1 ----- set up evaluation context; when the execution trace is supplied, the AIR module is
+        // not given any inputs, and so the context is built from the shape of the trace alone
+        const field = this.air.field;
+        const auxPublicInputs = proofInputs.auxPublicInputs;
+        let context: AirObject, executionDomain: Vector, evaluationDomain: Vector | undefined;
+        let pContext: ProofObject | undefined, sContext: VerificationObject | undefined;
+        if ('trace' in proofInputs) {
+            try {
+                context = sContext = this.air.initVerification(proofInputs.traceShape, auxPublicInputs);
+            }
+            catch (error) {
+                throw new StarkError(`Failed to set up evaluation context for the supplied execution trace`, error);
+            }
+            const traceRoot = field.exp(context.rootOfUnity, BigInt(this.extensionFactor));
+            executionDomain = field.getPowerSeries(traceRoot, context.traceLength);
+        }
+        else {
+            context = pContext = this.air.initProof(proofInputs.inputs, auxPublicInputs, proofInputs.auxSecretInputs);
+            executionDomain = pContext.executionDomain;
+            evaluationDomain = pContext.evaluationDomain;
+        }
+        const traceLength = context.traceLength;
+        const evaluationDomainSize = traceLength * this.extensionFactor;
+        // masked trace polynomials must fit into the evaluation domain, and so this is checked before
+        // they are extended
+        ConstraintChecker.checkDegree(this.air.maxConstraintDegree, traceLength, this.extensionFactor, this.maskDegree);
+        const domain = this.buildEvaluationDomain(context.rootOfUnity, evaluationDomainSize, evaluationDomain);
+        const transcript = this.initTranscript(assertions, context.traceShape, auxPublicInputs);
+        log('Set up evaluation context', {
+            traceLength             : traceLength,
+            evaluationDomainSize    : evaluationDomainSize
+        });
+
+        // 2 ----- generate execution trace (unless it was supplied) and make sure it is correct
+        let executionTrace: Matrix, hTraces: Vector[] | undefined;
+        if (!pContext) {
+            const { trace, hiddenRegisters } = proofInputs as TraceInputs;
+            try {
+                executionTrace = buildTraceMatrix(trace, this.air.stateWidth, traceLength, field, 'Execution trace');
+                const hRegisterCount = this.air.sRegisterCount + this.air.iRegisterCount;
+                hTraces = field.matrixRowsToVectors(buildTraceMatrix(hiddenRegisters, hRegisterCount, traceLength, field, 'Hidden registers'));
+                validateAssertions(executionTrace, assertions);
+            }
+            catch (error) {
+                throw new StarkError(`Supplied execution trace is invalid`, error);
+            }
+            log('Read supplied execution trace', { registers: executionTrace.rowCount, steps: executionTrace.colCount });
+        }
+        else {
+            try {
+                executionTrace = pContext.generateExecutionTrace();
+                validateAssertions(executionTrace, assertions);
+            }
+            catch (error) {
+                throw new StarkError(`Failed to generate the execution trace`, error);
+            }
+            log('Generated execution trace', { registers: executionTrace.rowCount, steps: executionTrace.colCount });
+        }
         
         // 3 ----- compute P(x) polynomials and low-degree extend them
-        const pPolys = field.interpolateRoots(context.executionDomain, executionTrace);
+        let pPolys = field.interpolateRoots(executionDomain, executionTrace);
+        if (this.maskDegree) {
+            pPolys = this.maskTracePolys(pPolys);
+        }
         log('Computed execution trace polynomials P(x)');
 
-        const pEvaluations = field.evalPolysAtRoots(pPolys, context.evaluationDomain);
+        const pEvaluations: Matrix = yield extendPolys(pPolys, domain);
         log('Low-degree extended P(x) polynomials over evaluation domain');
 
-        // 4 ----- build merkle tree for evaluations of P(x) and S(x)
-        const hEvaluations = context.hiddenRegisterTraces;
-        const eVectors = [...field.matrixRowsToVectors(pEvaluations), ...hEvaluations];
-        const hashedEvaluations = this.hash.mergeVectorRows(eVectors);
-        log('Serialized evaluations of P(x) and S(x) polynomials');
+        // when hidden register traces are derived from inputs, they are extended by AIR module over
+        // the original evaluation domain; in zero-knowledge mode S(x) polynomials are masked in the same
+        // way as P(x) polynomials, and so need to be extended over the coset again; S(x) polynomials are
+        // also needed to evaluate S(x) at out-of-domain point; supplied traces are always extended here
+        const deepSampling = this.securityOptions.deepSampling;
+        let hEvaluations = pContext ? pContext.hiddenRegisterTraces : [];
+        let hPolys: Vector[] = [];
+        if (pContext && (this.maskDegree || deepSampling)) {
+            hTraces = hEvaluations.map(v => field.pluckVector(v, this.extensionFactor, traceLength));
+        }
+        if (hTraces && hTraces.length > 0) {
+            let hMatrix = field.interpolateRoots(executionDomain, field.newMatrixFromVectors(hTraces));
+            if (this.maskDegree) {
+                hMatrix = this.maskTracePolys(hMatrix);
+            }
+            if (this.maskDegree || !pContext) {
+                const hcEvaluations: Matrix = yield extendPolys(hMatrix, domain);
+                hEvaluations = field.matrixRowsToVectors(hcEvaluations);
+                log('Low-degree extended S(x) polynomials over evaluation domain');
+            }
+            hPolys = field.matrixRowsToVectors(hMatrix);
+        }
 
-        const eTree = MerkleTree.create(hashedEvaluations, this.hash);
-        log('Built evaluation merkle tree');
+        // 4 ----- build merkle tree for evaluations of P(x) and S(x), and evaluate transition
+        // constraints Q(x) over evaluation domain; these computations are independent of each other
+        const vContext = sContext || this.air.initVerification(context.traceShape, auxPublicInputs);
+        const eVectors = [...field.matrixRowsToVectors(pEvaluations), ...hEvaluations, ...this.getSaltVectors(evaluationDomainSize)];
+        const [eTree, qEvaluations]: [MerkleTree, Matrix] = yield [
+            buildMerkleTree(eVectors),
+            evaluateConstraints(pEvaluations, hEvaluations, domain, vContext, auxPublicInputs)
+        ];
+        log('Built evaluation merkle tree and computed transition constraint polynomials Q(x)', {
+            treeLeaves  : evaluationDomainSize,
+            treeColumns : eVectors.length,
+            constraints : this.air.constraints.length
+        });
 
         // 5 ----- compute composition polynomial C(x)
-        const cLogger = this.logger.sub('Computing composition polynomial');
-        const cPoly = new CompositionPolynomial(this.air.constraints, assertions, eTree.root, context, cLogger);
-        const cEvaluations = cPoly.evaluateAll(pPolys, pEvaluations, context);
-        this.logger.done(cLogger);
-        log('Computed composition polynomial C(x)');
-
-        // 6 ---- compute random linear combination of evaluations
-        const lCombination = new LinearCombination(eTree.root, cPoly.compositionDegree, cPoly.coefficientCount, context);
-        const lEvaluations = lCombination.computeMany(cEvaluations, pEvaluations, hEvaluations);
-        log('Combined P(x) and S(x) evaluations with C(x) evaluations');
-
-        // 7 ----- Compute low-degree proof
-        let ldProof;
+        transcript.absorb('evaluation root', eTree.root);
+        const cLogger = logger.sub('Computing composition polynomial');
+        const cPoly = new CompositionPolynomial(this.air.constraints, assertions, transcript, context, this.extensionField, this.maskDegree, cLogger);
+        const cEvaluations = cPoly.evaluateAll(qEvaluations, pEvaluations, domain);
+        const cColumnPolys = cPoly.splitColumns(cEvaluations, domain);
+        logger.done(cLogger);
+        log('Computed composition polynomial C(x)', { compositionDegree: cPoly.combinationDegree, columns: cPoly.columnCount });
+
+        // 6 ----- low-degree extend columns of C(x) and build merkle tree for their evaluations
+        const cColumns: Matrix = yield extendPolys(cColumnPolys, domain);
+        const cColumnVectors = field.matrixRowsToVectors(cColumns);
+        const cVectors = [...cColumnVectors, ...this.getSaltVectors(evaluationDomainSize)];
+        const cTree: MerkleTree = yield buildMerkleTree(cVectors);
+        transcript.absorb('composition root', cTree.root);
+        log(`Low-degree extended ${cPoly.columnCount} columns of C(x) and built composition merkle tree`, {
+            treeLeaves  : evaluationDomainSize,
+            treeColumns : cVectors.length
+        });
+
+        // 7 ---- compute random linear combination of evaluations
+        let lCombination: LinearCombination | DeepComposition;
+        let deepValues: DeepValues | undefined;
+        if (deepSampling) {
+            // evaluate P(x), S(x) and columns of C(x) at an out-of-domain point
+            // z is an extension field element, and so are the values; they are laid out element by element
+            const extension = this.extensionField;
+            const deep = new DeepComposition(transcript, traceLength, domain, extension);
+            const evaluate = (polys: Vector[], x: bigint[]) => ([] as bigint[]).concat(...polys.map(poly => extension.evalPolyAt(poly, x)));
+            const pVectors = field.matrixRowsToVectors(pPolys);
+            const pValues = evaluate(pVectors, deep.z);
+            const nValues = evaluate(pVectors, deep.zg);
+            const hValues = evaluate(hPolys, deep.z);
+            const cValues = evaluate(field.matrixRowsToVectors(cColumnPolys), deep.z);
+            deepValues = { pValues, nValues, hValues, cValues };
+            deep.setValues(deepValues);
+            lCombination = deep;
+            log('Computed out-of-domain evaluations of P(x), S(x), and C(x) columns');
+        }
+        else {
+            lCombination = new LinearCombination(transcript, this.extensionField);
+        }
+        const lEvaluations = lCombination.computeMany(cColumnVectors, pEvaluations, hEvaluations);
+        log('Combined P(x) and S(x) evaluations with C(x) column evaluations');
+
+        // 8 ----- Compute low-degree proof
+        let ldProof: LowDegreeProof, positions: number[], powNonce: number;
         try {
-            const ldLogger = this.logger.sub('Computing low degree proof');
-            const ldProver = new LowDegreeProver(this.indexGenerator, this.hash, context, ldLogger);
-            ldProof = ldProver.prove(lEvaluations, context.evaluationDomain, cPoly.compositionDegree);
-            this.logger.done(ldLogger);
+            const ldLogger = logger.sub('Computing low degree proof');
+            const ldProver = new LowDegreeProver(this.indexGenerator, this.hash, transcript, domain, this.extensionField, this.getFriOptions(), ldLogger);
+            const ldResult = ldProver.prove(lEvaluations, cPoly.traceDegree);
+            ldProof = ldResult.proof;
+            positions = ldResult.positions;
+            powNonce = ldResult.nonce;
+            logger.done(ldLogger);
             log('Computed low-degree proof');
         }
         catch (error) {
             throw new StarkError('Low degree proof failed', error);
         }
 
-        // 8 ----- query evaluation tree at pseudo-random positions
-        const positions = this.indexGenerator.getExeIndexes(ldProof.lcRoot, evaluationDomainSize);
-        const augmentedPositions = this.getAugmentedPositions(positions, evaluationDomainSize);
+        // 9 ----- query evaluation and composition trees at pseudo-random positions drawn by the
+        // low-degree prover; when constraints are checked out of domain, next state of the trace is not needed
+        const augmentedPositions = deepSampling
+            ? positions
+            : this.getAugmentedPositions(positions, evaluationDomainSize);
         const eValues = this.mergeValues(eVectors, augmentedPositions);
         const eProof = eTree.proveBatch(augmentedPositions);
         eProof.values = eValues;
-        log(`Computed ${positions.length} evaluation spot checks`);
 
-        this.logger.done(log, 'STARK computed');
+        const cProof = cTree.proveBatch(positions);
+        cProof.values = this.mergeValues(cVectors, positions);
+        log(`Computed ${positions.length} evaluation spot checks`, { positions: augmentedPositions.length });
+
+        logger.done(log, 'STARK computed');
 
         // build and return the proof object
         return {
             evRoot      : eTree.root,
             evProof     : eProof,
+            cRoot       : cTree.root,
+            cProof      : cProof,
             ldProof     : ldProof,
+            deepValues  : deepValues,
+            powNonce    : powNonce,
             traceShape  : context.traceShape
         };
     }
 
     // VERIFIER
     // --------------------------------------------------------------------------------------------
-    verify(assertions: Assertion[], proof: StarkProof, auxPublicInputs?: bigint[][]) {
+    async verifyAsync(assertions: Assertion[], proof: StarkProof | LegacyStarkProof, auxPublicInputs?: bigint[][]): Promise<boolean> {
+
+        // legacy proofs cannot be serialized to be handed over to a worker thread, and so they are
+        // verified on this thread
+        if (!('cRoot' in proof)) return this.verify(assertions, proof, auxPublicInputs);
 
         const log = this.logger.start('Starting STARK verification');
-        
+
         // 0 ----- validate parameters
         if (assertions.length < 1) throw new TypeError('At least one assertion must be provided');
-        
-        // 1 ----- set up evaluation context
-        const field = this.air.field;
-        const eRoot = proof.evRoot;
-        const extensionFactor = this.extensionFactor;
-        const context = this.air.initVerification(proof.traceShape, auxPublicInputs || []);
-        const evaluationDomainSize = context.traceLength * extensionFactor;
-
-        const cPoly = new CompositionPolynomial(this.air.constraints, assertions, eRoot, context, noop);
-        const lCombination = new LinearCombination(eRoot, cPoly.compositionDegree, cPoly.coefficientCount, context);
-        log('Set up evaluation context');
-
-        // 2 ----- compute positions for evaluation spot-checks
-        const positions = this.indexGenerator.getExeIndexes(proof.ldProof.lcRoot, evaluationDomainSize);
-        const augmentedPositions = this.getAugmentedPositions(positions, evaluationDomainSize);
-        log(`Computed positions for evaluation spot checks`);
-
-        // 3 ----- decode evaluation spot-checks
-        const pEvaluations = new Map<number, bigint[]>();
-        const hEvaluations = new Map<number, bigint[]>();
-
-        for (let i = 0; i < proof.evProof.values.length; i++) {
-            let mergedEvaluations = proof.evProof.values[i];
-            let position = augmentedPositions[i];
-            let [p, h] = this.parseValues(mergedEvaluations);
-            
-            pEvaluations.set(position, p);
-            hEvaluations.set(position, h);
-        }
-        log(`Decoded evaluation spot checks`);
-
-        // 4 ----- verify merkle proof for evaluation tree
-        try {
-            const evProof = rehashMerkleProofValues(proof.evProof, this.hash);
-            if (!MerkleTree.verifyBatch(eRoot, augmentedPositions, evProof, this.hash)) {
-                throw new StarkError(`Verification of evaluation Merkle proof failed`);
-            }
-        }
-        catch (error) {
-            if (error instanceof StarkError === false) {
-                error = new StarkError(`Verification of evaluation Merkle proof failed`, error);
-            }
-            throw error;
-        }
-        log(`Verified evaluation merkle proof`);
-
-        // 5 ----- compute linear combinations of C, P, and S values for all spot checks
-        const lcValues = new Array<bigint>(positions.length);
-        for (let i = 0; i < positions.length; i++) {
-            let step = positions[i];
-            let x = field.exp(context.rootOfUnity, BigInt(step));
 
-            let pValues = pEvaluations.get(step)!;
-            let nValues = pEvaluations.get((step + extensionFactor) % evaluationDomainSize)!;
-            let hValues = hEvaluations.get(step)!;
+        // 1 ----- hand the proof over to a worker thread and wait for the result
+        const buffer = this.serialize(proof);
+        const result = await this.getWorkerPool().verify(assertions, buffer, auxPublicInputs || []);
 
-            // evaluate composition polynomial at x
-            let cValue = cPoly.evaluateAt(x, pValues, nValues, hValues, context);
-
-            // combine composition polynomial evaluation with values of P(x) and S(x)
-            lcValues[i] = lCombination.computeOne(x, cValue, pValues, hValues);
-        }
-        log(`Verified transition and boundary constraints`);
+        this.logger.done(log, 'STARK verified');
+        return result;
+    }
 
-        // 6 ----- verify low-degree proof
-        try {
-            const ldProver = new LowDegreeProver(this.indexGenerator, this.hash, context, noop);
-            ldProver.verify(proof.ldProof, lcValues, positions, cPoly.compositionDegree);
-        }
-        catch (error) {
-            throw new StarkError('Verification of low degree failed', error);
+    async terminate(): Promise<void> {
+        // a new pool is started if asynchronous methods are called again
+        const workerPool = this.workerPool;
+        this.workerPool = undefined;
+        if (workerPool) {
+            await workerPool.terminate();
         }
-        log(`Verified low-degree proof`);
-
-        this.logger.done(log, 'STARK verified');
-        return true;
     }
 
     // UTILITIES
     // --------------------------------------------------------------------------------------------
-    sizeOf(proof: StarkProof): number {
-        const size = sizeOf(proof, this.air.field.elementSize, this.hash.digestSize);
-        return size.total;
+    sizeOf(proof: StarkProof, statement?: ProofStatement): ProofSize {
+        validateStatement(statement);
+        const elementSize = this.air.field.elementSize, headerSize = this.serializer.headerSize;
+        const raw = sizeOf(proof, elementSize, this.hash.digestSize, headerSize);
+        if (!statement) return { raw: raw.total };
+
+        const queries = this.getMerkleQueries(statement.assertions, proof, statement.auxPublicInputs);
+        const compressed = sizeOf(proof, elementSize, this.hash.digestSize, headerSize, queries);
+        return { raw: raw.total, compressed: compressed.total };
+    }
+
+    analyzeProof(proof: StarkProof, options?: SerializeOptions): ProofAnalysis {
+        const queries = this.getSerializeQueries(proof, options);
+        const elementSize = this.air.field.elementSize, headerSize = this.serializer.headerSize;
+        return sizeOf(proof, elementSize, this.hash.digestSize, headerSize, queries);
+    }
+
+    serialize(proof: StarkProof, options?: SerializeOptions) {
+        const queries = this.getSerializeQueries(proof, options);
+        return this.serializer.serializeProof(proof, queries);
     }
 
-    serialize(proof: StarkProof) {
-        return this.serializer.serializeProof(proof);
+    toJSON(proof: StarkProof): StarkProofJson {
+        return this.serializer.proofToJson(proof);
     }
 
-    parse(buffer: Buffer): StarkProof {
-        return this.serializer.parseProof(buffer);
+    fromJSON(json: StarkProofJson | string): StarkProof {
+        if (typeof json === 'string') {
+            try {
+                json = JSON.parse(json) as StarkProofJson;
+            }
+            catch (error) {
+                throw new ProofFormatError('invalidJson', 'Invalid proof JSON', error);
+            }
+        }
+        return this.serializer.proofFromJson(json);
     }
 
     // HELPER METHODS
     // --------------------------------------------------------------------------------------------
-    private getAugmentedPositions(positions: number[], evaluationDomainSize: number): number[] {
-        const skip = this.extensionFactor;
-        const augmentedPositionSet = new Set<number>();
-        for (let i = 0; i < positions.length; i++) {
-            augmentedPositionSet.add(positions[i]);
-            augmentedPositionSet.add((positions[i] + skip) % evaluationDomainSize);
+    private getSerializeQueries(proof: StarkProof, options: SerializeOptions | undefined): MerkleQuery[] | undefined {
+        const compress = options ? options.compress : undefined;
+        if (compress !== undefined && typeof compress !== 'boolean') {
+            throw new TypeError(`Compress option must be a boolean`);
+        }
+        if (!compress) return undefined;
+
+        // paths of compressed Merkle proofs are derived from query positions, which depend on the statement
+        const statement = options!.statement;
+        if (!statement) throw new TypeError(`Statement must be provided to compress a proof`);
+        validateStatement(statement);
+        return this.getMerkleQueries(statement.assertions, proof, statement.auxPublicInputs);
+    }
+
+    private getSaltVectors(domainSize: number): Vector[] {
+        const result: Vector[] = [];
+        for (let i = 0; i < this.saltCount; i++) {
+            result.push(this.air.field.prng(crypto.randomBytes(32), domainSize));
+        }
+        return result;
+    }
+
+    private maskTracePolys(pPolys: Matrix): Matrix {
+        // P'(x) = P(x) + (x^n - 1) * R(x), where R(x) is a random polynomial of degree maskDegree - 1;
+        // P'(x) agrees with P(x) over the execution domain, but its evaluations outside of it are random;
+        // the same masking is applied to S(x) polynomials
+        const field = this.air.field;
+        const traceLength = pPolys.colCount;
+
+        const masked = new Array<bigint[]>(pPolys.rowCount);
+        for (let i = 0; i < pPolys.rowCount; i++) {
+            let coefficients = new Array<bigint>(traceLength + this.maskDegree).fill(0n);
+            for (let j = 0; j < traceLength; j++) {
+                coefficients[j] = pPolys.getValue(i, j);
+            }
+            for (let j = 0; j < this.maskDegree; j++) {
+                let r = field.rand();
+                coefficients[j] = field.sub(coefficients[j], r);
+                coefficients[traceLength + j] = field.add(coefficients[traceLength + j], r);
+            }
+            masked[i] = coefficients;
+        }
+        return field.newMatrixFrom(masked);
+    }
+
+    private getWorkerPool(): WorkerPool {
+        // a pool which failed because its workers could not be started is replaced on the next call
+        if (!this.workerPool || this.workerPool.isClosed) {
+            // worker threads have their own module registries, so custom hash algorithms can be used
+            // in them only if they can be registered again by loading the module which registered them
+            const hashAlgorithm = this.securityOptions.hashAlgorithm;
+            const hashModule = getHashModulePath(hashAlgorithm);
+            if (!hashModule && !isBuiltInHash(hashAlgorithm)) {
+                throw new Error(`Hash algorithm ${hashAlgorithm} cannot be used in worker threads because it was registered without a module path`);
+            }
+            const config = { source: this.source, security: this.securityOptions, optimization: this.optimization, hashModule };
+            this.workerPool = new WorkerPool(this.workerCount, this.air.field, this.hash, config);
         }
-        return Array.from(augmentedPositionSet);
+        return this.workerPool;
     }
 
     private mergeValues(values: Vector[], positions: number[]): Buffer[] {
@@ -308,58 +646,115 @@ export class Stark {
         return result;
     }
 
-    private parseValues(buffer: Buffer): [bigint[], bigint[]] {
-        const elementSize = this.air.field.elementSize;
-        const stateWidth = this.air.stateWidth;
-        const sRegisterCount = this.air.sRegisterCount;
-        const iRegisterCount = this.air.iRegisterCount;
-
-        let offset = 0;
+}
 
-        const pValues = new Array<bigint>(stateWidth);
-        for (let i = 0; i < pValues.length; i++, offset += elementSize) {
-            pValues[i] = readBigInt(buffer, offset, elementSize);
+// HELPER FUNCTIONS
+// ================================================================================================
+function validateTargetSecurity(options: Partial<SecurityOptions> | undefined) {
+
+    const targetSecurity = options ? options.targetSecurity : undefined;
+    const minimize = (options ? options.minimize : undefined) || DEFAULT_SECURITY_TARGET;
+    const expectedTraceLength = (options ? options.expectedTraceLength : undefined) || DEFAULT_EXPECTED_TRACE_LENGTH;
+    if (targetSecurity === undefined) {
+        if (options && options.minimize) {
+            throw new TypeError(`Minimize option can be used only together with target security`);
         }
-
-        const hValues = new Array<bigint>(sRegisterCount + iRegisterCount);
-        for (let i = 0; i < hValues.length; i++, offset += elementSize) {
-            hValues[i] = readBigInt(buffer, offset, elementSize);
+        if (options && options.expectedTraceLength) {
+            throw new TypeError(`Expected trace length can be specified only together with target security`);
         }
+        return undefined;
+    }
 
-        return [pValues, hValues];
+    if (targetSecurity < 1 || !Number.isInteger(targetSecurity)) {
+        throw new TypeError(`Target security must be a positive integer`);
     }
-}
 
-// HELPER FUNCTIONS
-// ================================================================================================
-function validateSecurityOptions(options: Partial<SecurityOptions> | undefined, extensionFactor: number): SecurityOptions {
+    if (!SECURITY_TARGETS.includes(minimize)) {
+        throw new TypeError(`Minimize option must be one of the following values: ${SECURITY_TARGETS.join(', ')}`);
+    }
 
-    // execution trace spot checks
-    const exeQueryCount = (options ? options.exeQueryCount : undefined) || DEFAULT_EXE_QUERY_COUNT;
-    if (exeQueryCount < 1 || exeQueryCount > MAX_EXE_QUERY_COUNT || !Number.isInteger(exeQueryCount)) {
-        throw new TypeError(`Execution sample size must be an integer between 1 and ${MAX_EXE_QUERY_COUNT}`);
+    if (!Number.isInteger(expectedTraceLength) || !isPowerOf2(expectedTraceLength)) {
+        throw new TypeError(`Expected trace length must be a power of 2`);
     }
 
-    // low degree evaluation spot checks
-    const friQueryCount = (options ? options.friQueryCount : undefined) || DEFAULT_FRI_QUERY_COUNT;
-    if (friQueryCount < 1 || friQueryCount > MAX_FRI_QUERY_COUNT || !Number.isInteger(friQueryCount)) {
-        throw new TypeError(`FRI sample size must be an integer between 1 and ${MAX_FRI_QUERY_COUNT}`);
+    // parameters which are picked automatically cannot be specified explicitly
+    if (options!.extensionFactor || options!.exeQueryCount || options!.friQueryCount) {
+        throw new TypeError(`Extension factor and query counts cannot be specified together with target security`);
     }
 
-    // hash function
-    const hashAlgorithm = (options ? options.hashAlgorithm : undefined) || DEFAULT_HASH_ALGORITHM;
-    if (!HASH_ALGORITHMS.includes(hashAlgorithm)) {
-        throw new TypeError(`Hash algorithm ${hashAlgorithm} is not supported`);
+    return { targetSecurity, minimize, expectedTraceLength };
+}
+
+function tuneSecurityOptions(target: { targetSecurity: number, minimize: SecurityTarget, expectedTraceLength: number }, options: SecurityOptions, air: AirModule, hash: Hash) {
+    const { targetSecurity, minimize } = target;
+    const maxConstraintDegree = air.maxConstraintDegree;
+    const estimate = (extensionFactor: number, exeQueryCount: number, friQueryCount: number) => estimateSecurity({
+        extensionFactor, exeQueryCount, friQueryCount, maxConstraintDegree,
+        fieldModulus        : air.field.characteristic,
+        hashCollisionBits   : getCollisionResistance(hash),
+        grindingBits        : options.grindingBits!,
+        deepSampling        : options.deepSampling!,
+        extensionDegree     : options.extensionDegree!
+    });
+
+    // hash function and field size put a cap on security which no number of queries can overcome
+    const caps = estimate(MAX_EXTENSION_FACTOR, MAX_EXE_QUERY_COUNT, MAX_FRI_QUERY_COUNT);
+    if (caps.hash.conjectured < targetSecurity) {
+        throw new TypeError(`Target security cannot exceed ${caps.hash.conjectured} bits for ${options.hashAlgorithm} hash algorithm`);
+    }
+    else if (caps.field.conjectured < targetSecurity) {
+        throw new TypeError(`Target security cannot exceed ${Math.floor(caps.field.conjectured)} bits for the specified field and extension degree`);
+    }
+
+    // for every valid extension factor, find the smallest query counts which reach the target
+    const candidates: { extensionFactor: number, exeQueryCount: number, friQueryCount: number }[] = [];
+    const minExtensionFactor = 2**Math.ceil(Math.log2(2 * maxConstraintDegree));
+    for (let extensionFactor = minExtensionFactor; extensionFactor <= MAX_EXTENSION_FACTOR; extensionFactor *= 2) {
+        let exeQueryCount = 1, friQueryCount = 1;
+        while (exeQueryCount <= MAX_EXE_QUERY_COUNT && estimate(extensionFactor, exeQueryCount, 1).exeQueries.conjectured < targetSecurity) {
+            exeQueryCount++;
+        }
+        while (friQueryCount <= MAX_FRI_QUERY_COUNT && estimate(extensionFactor, 1, friQueryCount).friQueries.conjectured < targetSecurity) {
+            friQueryCount++;
+        }
+
+        if (exeQueryCount <= MAX_EXE_QUERY_COUNT && friQueryCount <= MAX_FRI_QUERY_COUNT) {
+            candidates.push({ extensionFactor, exeQueryCount, friQueryCount });
+        }
     }
 
-    // extension factor
-    if (!extensionFactor) {
-        throw new TypeError(`Extension factor is undefined`);
+    if (candidates.length === 0) {
+        throw new TypeError(`Target security of ${targetSecurity} bits cannot be reached with any valid extension factor and query counts`);
     }
 
-    return { extensionFactor, exeQueryCount, friQueryCount, hashAlgorithm };
+    // prover time grows with the extension factor; proof size depends on the number of queries as
+    // well as on the depth of Merkle trees and the number of FRI layers, both of which grow with the
+    // extension factor, and so it is estimated for a trace of the expected length
+    if (minimize === 'proverTime') return candidates[0];
+    const proofSize = (c: typeof candidates[0]) => estimateProofSize({ ...c,
+        traceLength             : target.expectedTraceLength,
+        evValueCount            : air.stateWidth + air.sRegisterCount + air.iRegisterCount,
+        cValueCount             : ConstraintChecker.getColumnCount(maxConstraintDegree) * options.extensionDegree!,
+        deepSampling            : options.deepSampling!,
+        extensionDegree         : options.extensionDegree!,
+        foldingFactor           : options.friFoldingFactor!,
+        maxRemainderSize        : options.friMaxRemainderSize!,
+        remainderCoefficients   : options.friRemainderFormat === 'coefficients',
+        fieldElementSize        : air.field.elementSize,
+        hashDigestSize          : hash.digestSize
+    });
+    return candidates.reduce((best, c) => (proofSize(c) < proofSize(best)) ? c : best);
+}
+
+function validateWorkerCount(options: Partial<OptimizationOptions> | boolean | undefined): number {
+    const workerCount = (typeof options === 'object' ? options.workerCount : undefined) || DEFAULT_WORKER_COUNT;
+    if (workerCount < 1 || !Number.isInteger(workerCount)) {
+        throw new TypeError(`Worker count must be a positive integer`);
+    }
+    return workerCount;
 }
 
+
 function buildWasmOptions(options: Partial<OptimizationOptions> | boolean): WasmOptions {
     if (typeof options === 'boolean') {
         return {
@@ -378,9 +773,18 @@ function buildWasmOptions(options: Partial<OptimizationOptions> | boolean): Wasm
 }
 
 function validateAssertions(trace: Matrix, assertions: Assertion[]) {
+    const failures = checkAssertions(trace, assertions);
+    if (failures.length > 0) {
+        const a = failures[0];
+        throw new StarkError(`Assertion at step ${a.step}, register ${a.register} conflicts with execution trace`);
+    }
+}
+
+function checkAssertions(trace: Matrix, assertions: Assertion[]): AssertionFailure[] {
     const registers = trace.rowCount;
     const steps = trace.colCount;
 
+    const failures: AssertionFailure[] = [];
     for (let a of assertions) {
         // make sure register references are correct
         if (a.register < 0 || a.register >= registers) {
@@ -393,8 +797,43 @@ function validateAssertions(trace: Matrix, assertions: Assertion[]) {
         }
 
         // make sure assertions don't contradict execution trace
-        if (trace.getValue(a.register, a.step) !== a.value) {
-            throw new StarkError(`Assertion at step ${a.step}, register ${a.register} conflicts with execution trace`);
+        let actual = trace.getValue(a.register, a.step);
+        if (actual !== a.value) {
+            failures.push({ register: a.register, step: a.step, expected: a.value, actual });
         }
     }
-}
\ No newline at end of file
+    return failures;
+}
+
+function buildTraceMatrix(trace: bigint[][], registerCount: number, traceLength: number, field: FiniteField, label: string): Matrix {
+    if (trace.length !== registerCount) {
+        throw new Error(`${label} must have ${registerCount} registers, but ${trace.length} were provided`);
+    }
+
+    for (let i = 0; i < registerCount; i++) {
+        let values = trace[i];
+        if (!Array.isArray(values)) {
+            throw new Error(`Values of register ${i} must be an array`);
+        }
+        else if (values.length !== traceLength) {
+            throw new Error(`Register ${i} must have ${traceLength} values, but ${values.length} were provided`);
+        }
+
+        for (let step = 0; step < traceLength; step++) {
+            let value = values[step];
+            if (typeof value !== 'bigint' || !field.isElement(value)) {
+                throw new Error(`Value of register ${i} at step ${step} is not a valid field element`);
+            }
+        }
+    }
+
+    return field.newMatrixFrom(trace);
+}
+
+function getTraceColumn(trace: Matrix, step: number, registerCount: number): bigint[] {
+    const values = new Array<bigint>(registerCount);
+    for (let i = 0; i < registerCount; i++) {
+        values[i] = trace.getValue(i, step);
+    }
+    return values;
+}
@@ -1,4 +1,8 @@
-// CLASS DEFINITION
+// IMPORTS
+// ================================================================================================
+import { ProofErrorCode } from '@guildofweavers/genstark';
+
+// CLASS DEFINITIONS
 // ================================================================================================
 export class StarkError extends Error {
 
@@ -11,4 +15,15 @@ export class StarkError extends Error {
         }
     }
     
+}
+
+// thrown when a serialized proof (or a proof in JSON form) cannot be read; code identifies the problem
+export class ProofFormatError extends StarkError {
+
+    readonly code   : ProofErrorCode;
+
+    constructor(code: ProofErrorCode, message: string, cause?: Error) {
+        super(message, cause);
+        this.code = code;
+    }
 }
\ No newline at end of file
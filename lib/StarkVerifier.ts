@@ -0,0 +1,545 @@
+// IMPORTS
+// ================================================================================================
+import { SecurityOptions, Assertion, StarkProof, LegacyStarkProof, ProofStatement, VerificationKey, FriRemainderFormat, Logger as ILogger } from '@guildofweavers/genstark';
+import { MerkleTree, Hash } from '@guildofweavers/merkle';
+import { parseScript, Vector, AirModule } from '@guildofweavers/air-script';
+// components are imported directly rather than through the components module, so that standalone
+// verifiers do not load any of the prover-only components
+import { ConstraintChecker } from './components/ConstraintChecker';
+import { FriVerifier, FriOptions, getAugmentedPositions } from './components/FriVerifier';
+import { LinearCombination } from './components/LinearCombination';
+import { DeepComposition } from './components/DeepComposition';
+import { QueryIndexGenerator } from './components/QueryIndexGenerator';
+import { Transcript } from './components/Transcript';
+import { EvaluationDomain } from './components/EvaluationDomain';
+import { ExtensionField } from './components/ExtensionField';
+// utilities are imported from their modules for the same reason
+import { Logger } from './utils/Logger';
+import { isPowerOf2 } from './utils/math';
+import { rehashMerkleProofValues } from './utils/merkle';
+import { MerkleQuery } from './utils/compression';
+import { readBigInt, writeBigInts, writeNumbers } from './utils/serialization';
+import { instantiateHash, isHashRegistered } from './hashes';
+import { LegacyVerifier, findLegacyMismatch } from './legacy/LegacyVerifier';
+import { Serializer, ProofCommitments } from './Serializer';
+import { StarkError, ProofFormatError } from './StarkError';
+
+// MODULE VARIABLES
+// ================================================================================================
+const DEFAULT_EXE_QUERY_COUNT = 80;
+const DEFAULT_FRI_QUERY_COUNT = 40;
+
+export const MAX_EXE_QUERY_COUNT = 512;
+export const MAX_FRI_QUERY_COUNT = 256;
+// nonces are 32-bit numbers; the chance that none of them satisfies 24 grinding bits is exp(-256)
+const MAX_GRINDING_BITS = 24;
+
+const FRI_FOLDING_FACTORS = [2, 4, 8, 16];
+const DEFAULT_FRI_FOLDING_FACTOR = 4;
+
+const MAX_FRI_REMAINDER_SIZE = 256;
+const FRI_REMAINDER_FORMATS: FriRemainderFormat[] = ['evaluations', 'coefficients'];
+const DEFAULT_FRI_REMAINDER_FORMAT: FriRemainderFormat = 'evaluations';
+
+const EXTENSION_DEGREES = [1, 2, 3];
+
+const TRANSCRIPT_PROTOCOL = 'genSTARK';
+
+const SALT_ENTROPY = 128;                                   // bits of randomness in each Merkle leaf salt
+
+const DEFAULT_HASH_ALGORITHM = 'sha256';
+
+export const VERIFICATION_KEY_VERSION = 1;
+
+// CLASS DEFINITIONS
+// ================================================================================================
+// AIR module, hash function, and security options from which a verifier is built; Stark builds
+// these itself (with WebAssembly optimization, if requested), while standalone verifiers read them
+// from a verification key
+export class VerifierSetup {
+
+    readonly source             : string;
+    readonly air                : AirModule;
+    readonly hash               : Hash;
+    readonly securityOptions    : SecurityOptions;
+
+    constructor(source: string, air: AirModule, hash: Hash, securityOptions: SecurityOptions) {
+        this.source = source;
+        this.air = air;
+        this.hash = hash;
+        this.securityOptions = securityOptions;
+    }
+}
+
+export class StarkVerifier {
+
+    readonly air                : AirModule;
+    readonly hash               : Hash;
+
+    readonly extensionFactor    : number;
+    readonly extensionField     : ExtensionField;
+
+    readonly indexGenerator     : QueryIndexGenerator;
+    readonly serializer         : Serializer;
+    readonly logger             : ILogger;
+
+    protected readonly source           : string;
+    protected readonly securityOptions  : SecurityOptions;
+    protected readonly maskDegree       : number;
+    protected readonly saltCount        : number;
+
+    private legacyVerifier?             : LegacyVerifier;
+
+    // CONSTRUCTOR
+    // --------------------------------------------------------------------------------------------
+    constructor(key: VerificationKey | string | VerifierSetup, logger?: ILogger) {
+
+        const setup = (key instanceof VerifierSetup) ? key : loadVerificationKey(key);
+        const sOptions = setup.securityOptions;
+        this.air = setup.air;
+        this.hash = setup.hash;
+
+        this.extensionFactor = sOptions.extensionFactor;
+        this.extensionField = new ExtensionField(this.air.field, sOptions.extensionDegree!);
+        this.indexGenerator = new QueryIndexGenerator(this.hash, sOptions);
+
+        // in zero-knowledge mode, trace polynomials are masked with random polynomials of high enough
+        // degree to hide all revealed values, and Merkle leaves are salted with random field elements
+        if (sOptions.zeroKnowledge) {
+            const { exeQueryCount, friQueryCount, deepSampling } = sOptions;
+            this.maskDegree = 2 * exeQueryCount + 4 * (exeQueryCount + friQueryCount) + (deepSampling ? 2 : 0);
+            this.saltCount = Math.ceil(SALT_ENTROPY / (this.air.field.characteristic.toString(2).length - 1));
+        }
+        else {
+            this.maskDegree = 0;
+            this.saltCount = 0;
+        }
+        this.serializer = new Serializer(this.air, this.hash.digestSize, {
+            columnCount     : ConstraintChecker.getColumnCount(this.air.maxConstraintDegree),
+            extensionDegree : sOptions.extensionDegree!,
+            foldingFactor   : sOptions.friFoldingFactor!,
+            saltCount       : this.saltCount,
+            deepSampling    : sOptions.deepSampling!
+        }, {
+            source              : setup.source,
+            hashAlgorithm       : sOptions.hashAlgorithm,
+            extensionFactor     : sOptions.extensionFactor,
+            exeQueryCount       : sOptions.exeQueryCount,
+            friQueryCount       : sOptions.friQueryCount,
+            friMaxRemainderSize : sOptions.friMaxRemainderSize!,
+            friRemainderFormat  : sOptions.friRemainderFormat!,
+            grindingBits        : sOptions.grindingBits!
+        });
+        this.logger = logger || new Logger();
+
+        this.source = setup.source;
+        this.securityOptions = sOptions;
+    }
+
+    // VERIFIER
+    // --------------------------------------------------------------------------------------------
+    verify(assertions: Assertion[], proof: StarkProof | LegacyStarkProof, auxPublicInputs?: bigint[][]) {
+
+        const log = this.logger.start('Starting STARK verification');
+        
+        // 0 ----- validate parameters
+        if (assertions.length < 1) throw new TypeError('At least one assertion must be provided');
+
+        // proofs in the format which preceded the proof header (the only ones without a composition
+        // tree) are verified by the protocol of that format
+        if (!('cRoot' in proof)) {
+            const mismatch = findLegacyMismatch(this.securityOptions);
+            if (mismatch) throw new StarkError(`Legacy proofs cannot be verified by a STARK with ${mismatch}`);
+            this.getLegacyVerifier().verify(assertions, proof, auxPublicInputs || [], log);
+            this.logger.done(log, 'STARK verified');
+            return true;
+        }
+        
+        // 1 ----- set up evaluation context and replay the transcript up to query positions
+        const extensionFactor = this.extensionFactor;
+        const { context, domain, cPoly, lCombination, friVerifier, ldQueries } = this.replayTranscript(assertions, proof, auxPublicInputs || []);
+        const evaluationDomainSize = domain.size;
+        log('Set up evaluation context', { traceLength: context.traceLength, evaluationDomainSize });
+
+        // 2 ----- when constraints are checked out of domain, verify them at the out-of-domain point
+        if (lCombination instanceof DeepComposition) {
+            const deepValues = proof.deepValues!;
+            const cValue = cPoly.evaluateOutOfDomain(lCombination.z, deepValues.pValues, deepValues.nValues, deepValues.hValues, context);
+            if (!this.extensionField.isEqual(cValue, cPoly.mergeOutOfDomainColumns(lCombination.z, deepValues.cValues))) {
+                throw new StarkError(`Verification of out-of-domain constraint evaluations failed`);
+            }
+            log(`Verified transition and boundary constraints at out-of-domain point`);
+        }
+
+        // 3 ----- positions for evaluation spot-checks were drawn only after all commitments of the
+        // low-degree proof had been absorbed into the transcript and the proof-of-work nonce was checked
+        const positions = ldQueries.exePositions;
+        const augmentedPositions = this.securityOptions.deepSampling
+            ? positions
+            : this.getAugmentedPositions(positions, evaluationDomainSize);
+        log(`Computed positions for evaluation spot checks`);
+
+        // 4 ----- decode evaluation spot-checks
+        if (proof.evProof.values.length !== augmentedPositions.length || proof.cProof.values.length !== positions.length) {
+            throw new StarkError(`Number of evaluation spot checks does not match the number of queried positions`);
+        }
+        const pEvaluations = new Map<number, bigint[]>();
+        const hEvaluations = new Map<number, bigint[]>();
+
+        for (let i = 0; i < proof.evProof.values.length; i++) {
+            let mergedEvaluations = proof.evProof.values[i];
+            let position = augmentedPositions[i];
+            let [p, h] = this.parseValues(mergedEvaluations);
+            
+            pEvaluations.set(position, p);
+            hEvaluations.set(position, h);
+        }
+
+        const cValueCount = cPoly.columnCount * this.extensionField.degree;
+        const cEvaluations = proof.cProof.values.map(buffer => this.parseColumnValues(buffer, cValueCount));
+        log(`Decoded evaluation spot checks`);
+
+        // 5 ----- verify merkle proofs for evaluation and composition trees
+        try {
+            const evProof = rehashMerkleProofValues(proof.evProof, this.hash);
+            if (!MerkleTree.verifyBatch(proof.evRoot, augmentedPositions, evProof, this.hash)) {
+                throw new StarkError(`Verification of evaluation Merkle proof failed`);
+            }
+
+            const cProof = rehashMerkleProofValues(proof.cProof, this.hash);
+            if (!MerkleTree.verifyBatch(proof.cRoot, positions, cProof, this.hash)) {
+                throw new StarkError(`Verification of composition Merkle proof failed`);
+            }
+        }
+        catch (error) {
+            if (error instanceof StarkError === false) {
+                error = new StarkError(`Verification of evaluation Merkle proof failed`, error);
+            }
+            throw error;
+        }
+        log(`Verified evaluation and composition merkle proofs`);
+
+        // 6 ----- compute linear combinations of C, P, and S values for all spot checks
+        const lcValues = new Array<bigint[]>(positions.length);
+        for (let i = 0; i < positions.length; i++) {
+            let step = positions[i];
+            let x = domain.getPoint(step);
+
+            let pValues = pEvaluations.get(step)!;
+            let hValues = hEvaluations.get(step)!;
+            let cValues = cEvaluations[i];
+
+            // unless constraints were checked out of domain, make sure columns of C(x) agree with
+            // constraints evaluated at x
+            if (lCombination instanceof LinearCombination) {
+                let nValues = pEvaluations.get((step + extensionFactor) % evaluationDomainSize)!;
+                let cValue = cPoly.evaluateAt(x, pValues, nValues, hValues, context);
+                if (!this.extensionField.isEqual(cValue, cPoly.mergeColumns(x, cValues))) {
+                    throw new StarkError(`Verification of transition and boundary constraints failed at step ${step}`);
+                }
+            }
+
+            // combine composition polynomial columns with values of P(x) and S(x)
+            lcValues[i] = lCombination.computeOne(x, cValues, pValues, hValues);
+        }
+        log(this.securityOptions.deepSampling ? `Computed DEEP quotients` : `Verified transition and boundary constraints`);
+
+        // 7 ----- verify low-degree proof
+        try {
+            friVerifier.verify(proof.ldProof, lcValues, ldQueries, cPoly.traceDegree);
+        }
+        catch (error) {
+            throw new StarkError('Verification of low degree failed', error);
+        }
+        log(`Verified low-degree proof`);
+
+        this.logger.done(log, 'STARK verified');
+        return true;
+    }
+
+    // UTILITIES
+    // --------------------------------------------------------------------------------------------
+    parse(buffer: Buffer, statement?: ProofStatement): StarkProof {
+        // compressed proofs can be read only once query positions are known
+        validateStatement(statement);
+        const getQueries = statement
+            ? (commitments: ProofCommitments) => this.getMerkleQueries(statement.assertions, commitments, statement.auxPublicInputs)
+            : undefined;
+        return this.serializer.parseProof(buffer, getQueries);
+    }
+
+    parseLegacy(buffer: Buffer): LegacyStarkProof {
+        const mismatch = findLegacyMismatch(this.securityOptions);
+        if (mismatch) {
+            throw new ProofFormatError('headerMismatch', `Proofs without a header cannot be read by a STARK with ${mismatch}`);
+        }
+        return this.serializer.parseLegacyProof(buffer);
+    }
+
+    // HELPER METHODS
+    // --------------------------------------------------------------------------------------------
+    protected getMerkleQueries(assertions: Assertion[], proof: ProofCommitments, auxPublicInputs?: bigint[][]): MerkleQuery[] {
+        // positions are listed in the same order as Merkle proofs in the proof; FRI layers are
+        // committed to in rows of foldingFactor values
+        const foldingFactor = this.securityOptions.friFoldingFactor!;
+        const { domain, ldQueries } = this.replayTranscript(assertions, proof, auxPublicInputs || []);
+        const positions = ldQueries.exePositions;
+        const depth = Math.log2(domain.size);
+
+        const queries: MerkleQuery[] = [
+            { positions: this.securityOptions.deepSampling ? positions : this.getAugmentedPositions(positions, domain.size), depth },
+            { positions, depth },
+            { positions: getAugmentedPositions(positions, domain.size, foldingFactor), depth: depth - Math.log2(foldingFactor) }
+        ];
+
+        let columnLength = domain.size / foldingFactor;
+        for (let friPositions of ldQueries.friPositions) {
+            let rowCount = columnLength / foldingFactor;
+            queries.push({ positions: getAugmentedPositions(friPositions, columnLength, foldingFactor), depth: Math.log2(rowCount) });
+            queries.push({ positions: friPositions, depth: Math.log2(columnLength) });
+            columnLength = rowCount;
+        }
+
+        return queries;
+    }
+
+    protected getLegacyVerifier(): LegacyVerifier {
+        if (!this.legacyVerifier) {
+            const { extensionFactor, exeQueryCount, friQueryCount } = this.securityOptions;
+            this.legacyVerifier = new LegacyVerifier(this.air, this.hash, extensionFactor, exeQueryCount, friQueryCount);
+        }
+        return this.legacyVerifier;
+    }
+
+    protected replayTranscript(assertions: Assertion[], proof: ProofCommitments, auxPublicInputs: bigint[][]) {
+        const context = this.air.initVerification(proof.traceShape, auxPublicInputs);
+        const domain = this.buildEvaluationDomain(context.rootOfUnity, context.traceLength * this.extensionFactor);
+
+        const transcript = this.initTranscript(assertions, proof.traceShape, auxPublicInputs);
+        transcript.absorb('evaluation root', proof.evRoot);
+        const cPoly = new ConstraintChecker(this.air.constraints, assertions, transcript, context, this.extensionField, this.maskDegree);
+
+        // out-of-domain values are absorbed before coefficients of DEEP composition are drawn
+        transcript.absorb('composition root', proof.cRoot);
+        let lCombination: LinearCombination | DeepComposition;
+        if (this.securityOptions.deepSampling) {
+            if (!proof.deepValues) throw new StarkError(`Proof does not contain out-of-domain evaluations`);
+            const deep = new DeepComposition(transcript, context.traceLength, domain, this.extensionField);
+            deep.setValues(proof.deepValues);
+            lCombination = deep;
+        }
+        else {
+            lCombination = new LinearCombination(transcript, this.extensionField);
+        }
+
+        // query positions are drawn after all commitments of the low-degree proof are absorbed
+        const friVerifier = new FriVerifier(this.indexGenerator, this.hash, transcript, domain, this.extensionField, this.getFriOptions());
+        friVerifier.checkShape(proof.ldProof, cPoly.traceDegree);
+        const ldQueries = friVerifier.replayCommitments(proof.ldProof, proof.powNonce);
+
+        return { context, domain, cPoly, lCombination, friVerifier, ldQueries };
+    }
+
+    protected initTranscript(assertions: Assertion[], traceShape: number[], auxPublicInputs: bigint[][]): Transcript {
+        const elementSize = this.air.field.elementSize;
+        const transcript = new Transcript(this.hash, TRANSCRIPT_PROTOCOL);
+
+        // absorb the statement being proven: the AIR, the parameters of the proof, and all public inputs
+        transcript.absorb('air', Buffer.from(this.source));
+        transcript.absorb('field modulus', writeBigInts([this.air.field.characteristic], elementSize));
+        const { extensionFactor, exeQueryCount, friQueryCount, friFoldingFactor, friMaxRemainderSize, friRemainderFormat,
+            deepSampling, grindingBits, hashAlgorithm, zeroKnowledge, extensionDegree } = this.securityOptions;
+        transcript.absorb('security options', writeNumbers([
+            extensionFactor, exeQueryCount, friQueryCount, friFoldingFactor!, friMaxRemainderSize!,
+            FRI_REMAINDER_FORMATS.indexOf(friRemainderFormat!), deepSampling ? 1 : 0, grindingBits!, zeroKnowledge ? 1 : 0,
+            extensionDegree!
+        ]));
+        transcript.absorb('hash algorithm', Buffer.from(hashAlgorithm));
+        transcript.absorb('trace shape', writeNumbers(traceShape));
+
+        const aRegisters = assertions.map(a => a.register), aSteps = assertions.map(a => a.step);
+        transcript.absorb('assertion registers', writeNumbers(aRegisters));
+        transcript.absorb('assertion steps', writeNumbers(aSteps));
+        transcript.absorb('assertion values', writeBigInts(assertions.map(a => a.value), elementSize));
+
+        for (let values of auxPublicInputs) {
+            transcript.absorb('public inputs', writeBigInts(values, elementSize));
+        }
+
+        return transcript;
+    }
+
+    protected buildEvaluationDomain(rootOfUnity: bigint, domainSize: number, roots?: Vector): EvaluationDomain {
+        const field = this.air.field;
+        const offset = this.securityOptions.zeroKnowledge
+            ? EvaluationDomain.findCosetOffset(field, domainSize)
+            : field.one;
+        return new EvaluationDomain(field, rootOfUnity, domainSize, offset, roots);
+    }
+
+    protected getFriOptions(): FriOptions {
+        return {
+            foldingFactor           : this.securityOptions.friFoldingFactor!,
+            maxRemainderSize        : this.securityOptions.friMaxRemainderSize!,
+            remainderCoefficients   : this.securityOptions.friRemainderFormat === 'coefficients',
+            saltCount               : this.saltCount
+        };
+    }
+
+    protected getAugmentedPositions(positions: number[], evaluationDomainSize: number): number[] {
+        const skip = this.extensionFactor;
+        const augmentedPositionSet = new Set<number>();
+        for (let i = 0; i < positions.length; i++) {
+            augmentedPositionSet.add(positions[i]);
+            augmentedPositionSet.add((positions[i] + skip) % evaluationDomainSize);
+        }
+        return Array.from(augmentedPositionSet);
+    }
+
+    protected parseValues(buffer: Buffer): [bigint[], bigint[]] {
+        const elementSize = this.air.field.elementSize;
+        const stateWidth = this.air.stateWidth;
+        const sRegisterCount = this.air.sRegisterCount;
+        const iRegisterCount = this.air.iRegisterCount;
+
+        let offset = 0;
+
+        const pValues = new Array<bigint>(stateWidth);
+        for (let i = 0; i < pValues.length; i++, offset += elementSize) {
+            pValues[i] = readBigInt(buffer, offset, elementSize);
+        }
+
+        const hValues = new Array<bigint>(sRegisterCount + iRegisterCount);
+        for (let i = 0; i < hValues.length; i++, offset += elementSize) {
+            hValues[i] = readBigInt(buffer, offset, elementSize);
+        }
+
+        return [pValues, hValues];
+    }
+
+    protected parseColumnValues(buffer: Buffer, valueCount: number): bigint[] {
+        const elementSize = this.air.field.elementSize;
+        const cValues = new Array<bigint>(valueCount);
+        for (let i = 0, offset = 0; i < valueCount; i++, offset += elementSize) {
+            cValues[i] = readBigInt(buffer, offset, elementSize);
+        }
+        return cValues;
+    }
+}
+
+// HELPER FUNCTIONS
+// ================================================================================================
+export function validateSecurityOptions(options: Partial<SecurityOptions> | undefined, extensionFactor: number): SecurityOptions {
+
+    // execution trace spot checks
+    const exeQueryCount = (options ? options.exeQueryCount : undefined) || DEFAULT_EXE_QUERY_COUNT;
+    if (exeQueryCount < 1 || exeQueryCount > MAX_EXE_QUERY_COUNT || !Number.isInteger(exeQueryCount)) {
+        throw new TypeError(`Execution sample size must be an integer between 1 and ${MAX_EXE_QUERY_COUNT}`);
+    }
+
+    // low degree evaluation spot checks
+    const friQueryCount = (options ? options.friQueryCount : undefined) || DEFAULT_FRI_QUERY_COUNT;
+    if (friQueryCount < 1 || friQueryCount > MAX_FRI_QUERY_COUNT || !Number.isInteger(friQueryCount)) {
+        throw new TypeError(`FRI sample size must be an integer between 1 and ${MAX_FRI_QUERY_COUNT}`);
+    }
+
+    // FRI folding factor
+    const friFoldingFactor = (options ? options.friFoldingFactor : undefined) || DEFAULT_FRI_FOLDING_FACTOR;
+    if (!FRI_FOLDING_FACTORS.includes(friFoldingFactor)) {
+        throw new TypeError(`FRI folding factor must be one of the following values: ${FRI_FOLDING_FACTORS.join(', ')}`);
+    }
+
+    // FRI remainder; the last layer must be large enough to be committed to in at least two rows
+    const friMaxRemainderSize = (options ? options.friMaxRemainderSize : undefined) || MAX_FRI_REMAINDER_SIZE;
+    const minRemainderSize = friFoldingFactor**2;
+    if (friMaxRemainderSize < minRemainderSize || friMaxRemainderSize > MAX_FRI_REMAINDER_SIZE || !isPowerOf2(friMaxRemainderSize)) {
+        throw new TypeError(`FRI max remainder size must be a power of 2 between ${minRemainderSize} and ${MAX_FRI_REMAINDER_SIZE}`);
+    }
+
+    const friRemainderFormat = (options ? options.friRemainderFormat : undefined) || DEFAULT_FRI_REMAINDER_FORMAT;
+    if (!FRI_REMAINDER_FORMATS.includes(friRemainderFormat)) {
+        throw new TypeError(`FRI remainder format ${friRemainderFormat} is not supported`);
+    }
+
+    // out-of-domain sampling
+    const deepSampling = (options ? options.deepSampling : undefined) || false;
+    if (typeof deepSampling !== 'boolean') {
+        throw new TypeError(`DEEP sampling option must be a boolean`);
+    }
+
+    // extension field for random challenges (including DEEP out-of-domain points)
+    const extensionDegree = (options ? options.extensionDegree : undefined) || 1;
+    if (!EXTENSION_DEGREES.includes(extensionDegree)) {
+        throw new TypeError(`Extension degree must be one of the following values: ${EXTENSION_DEGREES.join(', ')}`);
+    }
+
+    // proof-of-work
+    const grindingBits = (options ? options.grindingBits : undefined) || 0;
+    if (grindingBits < 0 || grindingBits > MAX_GRINDING_BITS || !Number.isInteger(grindingBits)) {
+        throw new TypeError(`Grinding bits must be an integer between 0 and ${MAX_GRINDING_BITS}`);
+    }
+
+    // hash function
+    const hashAlgorithm = (options ? options.hashAlgorithm : undefined) || DEFAULT_HASH_ALGORITHM;
+    if (!isHashRegistered(hashAlgorithm)) {
+        throw new TypeError(`Hash algorithm ${hashAlgorithm} is not supported`);
+    }
+
+    // extension factor
+    if (!extensionFactor) {
+        throw new TypeError(`Extension factor is undefined`);
+    }
+
+    // zero-knowledge
+    const zeroKnowledge = (options ? options.zeroKnowledge : undefined) || false;
+    if (typeof zeroKnowledge !== 'boolean') {
+        throw new TypeError(`Zero-knowledge option must be a boolean`);
+    }
+
+    return {
+        extensionFactor, exeQueryCount, friQueryCount, friFoldingFactor, friMaxRemainderSize, friRemainderFormat,
+        deepSampling, extensionDegree, grindingBits, hashAlgorithm, zeroKnowledge
+    };
+}
+
+export function validateStatement(statement: ProofStatement | undefined) {
+    if (statement === undefined) return;
+    if (typeof statement !== 'object' || statement === null || !Array.isArray(statement.assertions)) {
+        throw new TypeError('Statement must be an object with an array of assertions');
+    }
+    if (statement.assertions.length < 1) throw new TypeError('At least one assertion must be provided');
+}
+
+function loadVerificationKey(key: VerificationKey | string): VerifierSetup {
+    if (typeof key === 'string') {
+        try {
+            key = JSON.parse(key) as VerificationKey;
+        }
+        catch (error) {
+            throw new TypeError(`Verification key is not valid JSON: ${error.message}`);
+        }
+    }
+
+    if (typeof key !== 'object' || key === null) throw new TypeError('Verification key must be an object');
+    if (key.version !== VERIFICATION_KEY_VERSION) {
+        throw new TypeError(`Verification key version ${key.version} is not supported; expected version ${VERIFICATION_KEY_VERSION}`);
+    }
+    if (typeof key.source !== 'string' || !key.source.trim()) throw new TypeError('Verification key source must be a non-empty string');
+    if (typeof key.security !== 'object' || key.security === null) throw new TypeError('Verification key security options must be an object');
+
+    // defaults of omitted options may change between versions, so parameters of the proof must be
+    // recorded in the key explicitly
+    const { extensionFactor, exeQueryCount, friQueryCount, hashAlgorithm } = key.security;
+    if (!extensionFactor || !exeQueryCount || !friQueryCount || !hashAlgorithm) {
+        throw new TypeError('Verification key must specify extension factor, query counts, and hash algorithm');
+    }
+
+    const air = parseScript(key.source, { extensionFactor });
+    if (key.fieldModulus !== air.field.characteristic.toString(16)) {
+        throw new TypeError(`Verification key field modulus does not match the field of the AIR definition`);
+    }
+
+    const securityOptions = validateSecurityOptions(key.security, air.extensionFactor);
+    const hash = instantiateHash(securityOptions.hashAlgorithm, air.field);
+    return new VerifierSetup(key.source, air, hash, securityOptions);
+}
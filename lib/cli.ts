@@ -0,0 +1,346 @@
+// IMPORTS
+// ================================================================================================
+import * as fs from 'fs';
+import { SecurityOptions, Assertion, StarkProof, LegacyStarkProof, ProofStatement, ProofHeader, Logger as ILogger } from '@guildofweavers/genstark';
+import { Stark } from './Stark';
+import { StarkError } from './StarkError';
+import { readProofHeader } from './Serializer';
+import { formatProofAnalysis, Logger, noop } from './utils';
+
+// MODULE VARIABLES
+// ================================================================================================
+const EXIT_VALID = 0;
+const EXIT_INVALID = 1;
+const EXIT_ERROR = 2;
+
+const VALUE_OPTIONS = new Set(['security', 'output']);
+const FLAG_OPTIONS = new Set(['json', 'compress', 'wasm', 'verbose', 'help']);
+const SHORT_OPTIONS: { [key: string]: string } = { s: 'security', o: 'output', v: 'verbose', h: 'help' };
+
+const silentLogger: ILogger = {
+    start   : () => noop,
+    sub     : () => noop,
+    done    : noop
+};
+
+const USAGE =
+`Usage: genstark <command> [options]
+
+Commands:
+  prove <script> <inputs>           Generates a proof for the AirScript in <script> using inputs and
+                                    assertions from the JSON file <inputs>
+  verify <script> <inputs> <proof>  Verifies the proof against assertions and public inputs from <inputs>;
+                                    exits with code 0 if the proof is valid, and with code 1 if it is not
+  inspect <script> <proof> [inputs] Prints proof parameters, security estimates, and size breakdown;
+                                    <inputs> is required for compressed proofs and with --compress
+
+Options:
+  -s, --security <file>   JSON file with security options; verify requires the options used by prove,
+                          while inspect takes missing options from the proof header
+  -o, --output <file>     File to which the proof is written; defaults to proof.bin (proof.json with --json)
+      --json              Write the proof as JSON instead of binary
+      --compress          Write a compressed binary proof; with inspect, show sizes of the compressed proof
+      --wasm              Enable WebAssembly optimization
+  -v, --verbose           Log progress of proof generation and verification
+  -h, --help              Print this message
+
+Inputs file:
+  { "inputs": [...], "assertions": [{ "register": 0, "step": 0, "value": "3" }, ...],
+    "auxPublicInputs": [[...]], "auxSecretInputs": [[...]] }
+  field elements are written as decimal or 0x-prefixed hex strings, or as integer numbers`;
+
+// INTERFACES
+// ================================================================================================
+interface CommandLine {
+    readonly command    : string;
+    readonly args       : string[];
+    readonly options    : { [key: string]: string | boolean };
+}
+
+interface Statement {
+    readonly inputs             : any[];
+    readonly assertions         : Assertion[];
+    readonly auxPublicInputs?   : bigint[][];
+    readonly auxSecretInputs?   : bigint[][];
+}
+
+// PUBLIC FUNCTIONS
+// ================================================================================================
+export function run(argv: string[]): number {
+    try {
+        const cl = parseCommandLine(argv);
+        if (cl.options.help || !cl.command) {
+            console.log(USAGE);
+            return cl.command || cl.options.help ? EXIT_VALID : EXIT_ERROR;
+        }
+
+        switch (cl.command) {
+            case 'prove':   return prove(cl);
+            case 'verify':  return verify(cl);
+            case 'inspect': return inspect(cl);
+            default: throw new UsageError(`Unknown command '${cl.command}'`);
+        }
+    }
+    catch (error) {
+        console.error(`Error: ${error.message}`);
+        if (error instanceof UsageError) {
+            console.error(`Run 'genstark --help' for usage`);
+        }
+        return EXIT_ERROR;
+    }
+}
+
+// COMMANDS
+// ================================================================================================
+function prove(cl: CommandLine): number {
+    const [scriptFile, inputsFile] = getArgs(cl, 2);
+    const statement = readStatement(inputsFile);
+    const stark = createStark(cl, scriptFile, readSecurityOptions(cl));
+
+    const proof = stark.prove(statement.assertions, statement.inputs, statement.auxPublicInputs, statement.auxSecretInputs);
+
+    const output = (cl.options.output as string) || (cl.options.json ? 'proof.json' : 'proof.bin');
+    const data = cl.options.json
+        ? JSON.stringify(stark.toJSON(proof), null, 2)
+        : stark.serialize(proof, { compress: cl.options.compress === true, statement });
+    fs.writeFileSync(output, data);
+
+    console.log(`Proof written to ${output} (${formatSize(Buffer.byteLength(data))})`);
+    return EXIT_VALID;
+}
+
+function verify(cl: CommandLine): number {
+    const [scriptFile, inputsFile, proofFile] = getArgs(cl, 3);
+    const statement = readStatement(inputsFile);
+    const buffer = fs.readFileSync(proofFile);
+    const stark = createStark(cl, scriptFile, readSecurityOptions(cl));
+
+    // a proof which cannot be read is as invalid as a proof which fails verification
+    try {
+        const proof = readProof(stark, buffer, statement);
+        stark.verify(statement.assertions, proof, statement.auxPublicInputs);
+    }
+    catch (error) {
+        if (!(error instanceof StarkError)) throw error;
+        console.log(`Proof is invalid: ${error.message}`);
+        return EXIT_INVALID;
+    }
+
+    console.log('Proof is valid');
+    return EXIT_VALID;
+}
+
+function inspect(cl: CommandLine): number {
+    const [scriptFile, proofFile, inputsFile] = getArgs(cl, 2, 3);
+    const statement = inputsFile ? readStatement(inputsFile) : undefined;
+    if (cl.options.compress && !statement) {
+        throw new UsageError(`Command 'inspect' requires an inputs file to show sizes of the compressed proof`);
+    }
+
+    // options which are not specified are taken from the proof header, if the proof has one
+    const buffer = fs.readFileSync(proofFile);
+    const header = readHeader(buffer);
+    const security = header
+        ? { ...getHeaderOptions(header), ...readSecurityOptions(cl) }
+        : readSecurityOptions(cl);
+    const stark = createStark(cl, scriptFile, security);
+    const proof = readProof(stark, buffer, statement);
+
+    const lines: string[] = [];
+    if (header) {
+        lines.push(`Proof format version ${header.version}`);
+        lines.push(`  hash algorithm          ${header.hashAlgorithm}`);
+        lines.push(`  extension factor        ${header.extensionFactor}`);
+        lines.push(`  exe query count         ${header.exeQueryCount}`);
+        lines.push(`  FRI query count         ${header.friQueryCount}`);
+        lines.push(`  FRI folding factor      ${header.friFoldingFactor}`);
+        lines.push(`  extension degree        ${header.extensionDegree}`);
+        if (header.friRemainderFormat) {
+            lines.push(`  FRI max remainder size  ${header.friMaxRemainderSize}`);
+            lines.push(`  FRI remainder format    ${header.friRemainderFormat}`);
+            lines.push(`  grinding bits           ${header.grindingBits}`);
+        }
+        lines.push(`  DEEP sampling           ${header.deepSampling ? 'yes' : 'no'}`);
+        lines.push(`  zero-knowledge          ${header.zeroKnowledge ? 'yes' : 'no'}`);
+        lines.push(`  field fingerprint       ${header.fieldFingerprint}`);
+        lines.push(`  AIR fingerprint         ${header.airFingerprint}`);
+    }
+    else {
+        lines.push(`Proof has no header; it is in the legacy format, and its parameters are taken from security options`);
+    }
+
+    const report = stark.securityReport();
+    lines.push(`Security (proven / conjectured bits)`);
+    lines.push(`  exe queries             ${report.exeQueries.proven} / ${report.exeQueries.conjectured}`);
+    lines.push(`  FRI queries             ${report.friQueries.proven} / ${report.friQueries.conjectured}`);
+    lines.push(`  hash                    ${report.hash.proven} / ${report.hash.conjectured}`);
+    lines.push(`  field                   ${report.field.proven} / ${report.field.conjectured}`);
+    lines.push(`  total                   ${report.total.proven} / ${report.total.conjectured}`);
+
+    // legacy proofs cannot be serialized, and so their size cannot be broken down
+    if ('cRoot' in proof) {
+        lines.push(formatProofAnalysis(stark.analyzeProof(proof, { compress: cl.options.compress === true, statement })));
+    }
+    else {
+        lines.push(`Proof size ${formatSize(buffer.byteLength)}`);
+    }
+    console.log(lines.join('\n'));
+    return EXIT_VALID;
+}
+
+// COMMAND LINE
+// ================================================================================================
+class UsageError extends Error {}
+
+function parseCommandLine(argv: string[]): CommandLine {
+    const args: string[] = [];
+    const options: { [key: string]: string | boolean } = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        let arg = argv[i];
+        if (!arg.startsWith('-') || arg === '-') {
+            args.push(arg);
+            continue;
+        }
+
+        let name = arg.startsWith('--') ? arg.slice(2) : SHORT_OPTIONS[arg.slice(1)];
+        if (VALUE_OPTIONS.has(name)) {
+            if (i + 1 >= argv.length) throw new UsageError(`Option ${arg} requires a value`);
+            options[name] = argv[++i];
+        }
+        else if (FLAG_OPTIONS.has(name)) {
+            options[name] = true;
+        }
+        else {
+            throw new UsageError(`Unknown option ${arg}`);
+        }
+    }
+
+    return { command: args[0], args: args.slice(1), options };
+}
+
+function getArgs(cl: CommandLine, count: number, maxCount = count): string[] {
+    if (cl.args.length < count || cl.args.length > maxCount) {
+        const expected = (maxCount > count) ? `${count} or ${maxCount}` : `${count}`;
+        throw new UsageError(`Command '${cl.command}' expects ${expected} arguments, but ${cl.args.length} were provided`);
+    }
+    return cl.args;
+}
+
+function createStark(cl: CommandLine, scriptFile: string, security: Partial<SecurityOptions>): Stark {
+    const source = fs.readFileSync(scriptFile, 'utf8');
+    const logger = cl.options.verbose ? new Logger(false) : silentLogger;
+    return new Stark(source, security, cl.options.wasm === true, logger);
+}
+
+// FILES
+// ================================================================================================
+function readJson(file: string): any {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+    catch (error) {
+        throw (error instanceof SyntaxError) ? new Error(`${file} is not valid JSON: ${error.message}`) : error;
+    }
+}
+
+function readSecurityOptions(cl: CommandLine): Partial<SecurityOptions> {
+    const file = cl.options.security as string | undefined;
+    if (!file) return {};
+
+    const options = readJson(file);
+    if (typeof options !== 'object' || options === null || Array.isArray(options)) {
+        throw new Error(`${file} must contain a JSON object with security options`);
+    }
+    return options;
+}
+
+function readStatement(file: string): Statement {
+    const json = readJson(file);
+    if (typeof json !== 'object' || json === null || Array.isArray(json)) {
+        throw new Error(`${file} must contain a JSON object`);
+    }
+
+    if (!Array.isArray(json.assertions)) throw new Error(`${file}: assertions must be an array`);
+    const assertions = json.assertions.map((assertion: any, i: number) => {
+        if (typeof assertion !== 'object' || assertion === null) {
+            throw new Error(`${file}: assertions[${i}] must be an object`);
+        }
+        return {
+            register    : toInteger(assertion.register, `${file}: assertions[${i}].register`),
+            step        : toInteger(assertion.step, `${file}: assertions[${i}].step`),
+            value       : toBigInt(assertion.value, `${file}: assertions[${i}].value`)
+        };
+    });
+
+    return {
+        inputs          : (json.inputs === undefined) ? [] : toBigInts(json.inputs, `${file}: inputs`),
+        assertions      : assertions,
+        auxPublicInputs : (json.auxPublicInputs === undefined) ? undefined : toBigInts(json.auxPublicInputs, `${file}: auxPublicInputs`),
+        auxSecretInputs : (json.auxSecretInputs === undefined) ? undefined : toBigInts(json.auxSecretInputs, `${file}: auxSecretInputs`)
+    };
+}
+
+function readProof(stark: Stark, buffer: Buffer, statement?: ProofStatement): StarkProof | LegacyStarkProof {
+    if (isJsonProof(buffer)) return stark.fromJSON(buffer.toString('utf8'));
+
+    // binary proofs without a header are in the format which preceded the header
+    return readProofHeader(buffer) ? stark.parse(buffer, statement) : stark.parseLegacy(buffer);
+}
+
+function readHeader(buffer: Buffer): ProofHeader | undefined {
+    if (!isJsonProof(buffer)) return readProofHeader(buffer);
+
+    // problems with JSON proofs are reported when the proof itself is read
+    try {
+        const json = JSON.parse(buffer.toString('utf8'));
+        return (typeof json === 'object' && json !== null) ? json.header : undefined;
+    }
+    catch (error) {
+        return undefined;
+    }
+}
+
+function isJsonProof(buffer: Buffer): boolean {
+    // JSON proofs are objects, while binary proofs start with a header or with a Merkle root
+    return buffer.toString('utf8').trimLeft().startsWith('{');
+}
+
+// HELPER FUNCTIONS
+// ================================================================================================
+function getHeaderOptions(header: ProofHeader): Partial<SecurityOptions> {
+    return {
+        hashAlgorithm       : header.hashAlgorithm,
+        extensionFactor     : header.extensionFactor,
+        exeQueryCount       : header.exeQueryCount,
+        friQueryCount       : header.friQueryCount,
+        friFoldingFactor    : header.friFoldingFactor,
+        extensionDegree     : header.extensionDegree,
+        friMaxRemainderSize : header.friMaxRemainderSize,
+        friRemainderFormat  : header.friRemainderFormat,
+        grindingBits        : header.grindingBits,
+        deepSampling        : header.deepSampling,
+        zeroKnowledge       : header.zeroKnowledge
+    };
+}
+
+function toBigInts(value: any, label: string): any[] {
+    if (!Array.isArray(value)) throw new Error(`${label} must be an array`);
+    return value.map((v, i) => Array.isArray(v) ? toBigInts(v, `${label}[${i}]`) : toBigInt(v, `${label}[${i}]`));
+}
+
+function toBigInt(value: any, label: string): bigint {
+    if ((typeof value === 'number' && Number.isSafeInteger(value)) || (typeof value === 'string' && /^(\d+|0x[0-9a-fA-F]+)$/.test(value))) {
+        return BigInt(value);
+    }
+    throw new Error(`${label} must be an integer, or a decimal or 0x-prefixed hex string`);
+}
+
+function toInteger(value: any, label: string): number {
+    if (!Number.isInteger(value) || value < 0) throw new Error(`${label} must be a non-negative integer`);
+    return value;
+}
+
+function formatSize(size: number): string {
+    return (size < 1024) ? `${size} B` : `${Math.round(size / 1024 * 100) / 100} KB`;
+}
@@ -2,6 +2,7 @@
 // ================================================================================================
 import { Assertion } from '@guildofweavers/genstark';
 import { FiniteField, AirObject, Vector, Matrix } from '@guildofweavers/air-script';
+import { EvaluationDomain } from './EvaluationDomain';
 
 // CLASS DEFINITION
 // ================================================================================================
@@ -68,7 +69,7 @@ export class BoundaryConstraints {
         return bEvaluations;
     }
 
-    evaluateAll(pEvaluations: Matrix, domain: Vector): Matrix {
+    evaluateAll(pEvaluations: Matrix, domain: EvaluationDomain): Matrix {
 
         const pVectors = this.field.matrixRowsToVectors(pEvaluations);
         
@@ -84,8 +85,8 @@ export class BoundaryConstraints {
         const iPolyMatrix = this.field.newMatrixFromVectors(iPolys);
         const zPolyMatrix = this.field.newMatrixFromVectors(zPolys);
 
-        const iValues = this.field.evalPolysAtRoots(iPolyMatrix, domain);
-        const zValues = this.field.evalPolysAtRoots(zPolyMatrix, domain);
+        const iValues = domain.extendPolys(iPolyMatrix);
+        const zValues = domain.extendPolys(zPolyMatrix);
 
         // B(x) = (P(x) - I(x)) / Z(x)
         const piValues = this.field.subMatrixElementsFromVectors(pValues, iValues);
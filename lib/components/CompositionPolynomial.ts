@@ -1,225 +1,94 @@
 // IMPORTS
 // ================================================================================================
-import { FiniteField, Vector, Matrix, Assertion, LogFunction } from "@guildofweavers/genstark";
-import { AirObject, ProofObject, VerificationObject, ConstraintSpecs } from "@guildofweavers/air-script";
-import { BoundaryConstraints } from "./BoundaryConstraints";
-import { ZeroPolynomial } from "./ZeroPolynomial";
+import { Vector, Matrix, Assertion, LogFunction } from "@guildofweavers/genstark";
+import { AirObject, ConstraintSpecs } from "@guildofweavers/air-script";
+import { ConstraintChecker } from "./ConstraintChecker";
+import { Transcript } from "./Transcript";
+import { EvaluationDomain } from "./EvaluationDomain";
+import { ExtensionField } from "./ExtensionField";
 import { StarkError } from "../StarkError";
 
 // CLASS DEFINITION
 // ================================================================================================
-export class CompositionPolynomial {
-    
-    private readonly field              : FiniteField;
-    private readonly combinationDegree  : number;
-    private readonly constraintGroups   : { degree: number; indexes: number[]; }[];
-
-    private readonly dCoefficients      : Vector;
-    private readonly bCoefficients      : Vector;
-
-    private readonly bPoly              : BoundaryConstraints;
-    private readonly zPoly              : ZeroPolynomial;
+export class CompositionPolynomial extends ConstraintChecker {
 
     private readonly log                : LogFunction;
 
-    readonly compositionDegree          : number;
-
     // CONSTRUCTOR
     // --------------------------------------------------------------------------------------------
-    constructor(constraints: ConstraintSpecs[], assertions: Assertion[], seed: Buffer, context: AirObject, logger: LogFunction) {
-
-        this.field = context.field;
-        this.bPoly = new BoundaryConstraints(assertions, context);
-        this.zPoly = new ZeroPolynomial(context);
+    constructor(constraints: ConstraintSpecs[], assertions: Assertion[], transcript: Transcript, context: AirObject, extension: ExtensionField, maskDegree: number, logger: LogFunction) {
+        super(constraints, assertions, transcript, context, extension, maskDegree);
         this.log = logger;
-
-        // degree of trace polynomial combination
-        this.combinationDegree = getCombinationDegree(constraints, context.traceLength);
-
-        // degree of composition polynomial is deg(C(x)) = deg(Q(x)) - deg(Z(x))
-        this.compositionDegree = Math.max(this.combinationDegree - context.traceLength, context.traceLength);
-
-        // group transition constraints together by their degree
-        this.constraintGroups = groupTransitionConstraints(constraints, context.traceLength);
-
-        // create coefficients needed for linear combination
-        let dCoefficientCount = constraints.length;
-        for (let { degree, indexes } of this.constraintGroups) {
-            if (degree < this.combinationDegree) {
-                dCoefficientCount += indexes.length;
-            };
-        }
-
-        let bCoefficientCount = this.bPoly.count;
-        if (this.compositionDegree > context.traceLength) {
-            bCoefficientCount = bCoefficientCount * 2;
-        }
-
-        const coefficients = this.field.prng(seed, dCoefficientCount + bCoefficientCount).toValues();
-        this.dCoefficients = this.field.newVectorFrom(coefficients.slice(0, dCoefficientCount));
-        this.bCoefficients = this.field.newVectorFrom(coefficients.slice(dCoefficientCount))
-    }
-
-    // PUBLIC ACCESSORS
-    // --------------------------------------------------------------------------------------------
-    get coefficientCount(): number {
-        return this.dCoefficients.length + this.bCoefficients.length;
     }
 
     // PROOF METHODS
     // --------------------------------------------------------------------------------------------
-    evaluateAll(pPolys: Matrix, pEvaluations: Matrix, context: ProofObject): Vector {
+    evaluateAll(qEvaluations: Matrix, pEvaluations: Matrix, domain: EvaluationDomain): Vector[] {
         
-        // 1 ----- evaluate transition constraints over composition domain
-        let qEvaluations: Matrix;
-        try {
-            qEvaluations = context.evaluateTracePolynomials(pPolys);
-        }
-        catch (error) {
-            throw new StarkError('Failed to evaluate transition constraints', error);
-        }
-        this.log('Computed transition constraint polynomials Q(x)');
-
-        // 2 ----- adjusted transition constraint degrees
-        const compositionFactor = context.evaluationDomain.length / context.compositionDomain.length;
-        const compositionRou = this.field.exp(context.rootOfUnity, BigInt(compositionFactor));
-        const qaEvaluations = this.field.matrixRowsToVectors(qEvaluations);
-
-        for (let { degree, indexes } of this.constraintGroups) {
-            if (degree === this.combinationDegree) continue;
-    
-            // compute the sequence of powers for the incremental degree
-            let incrementalDegree = BigInt(this.combinationDegree - degree);
-            let powerSeed = this.field.exp(compositionRou, incrementalDegree);
-            let powers = this.field.getPowerSeries(powerSeed, context.compositionDomain.length);
-    
-            // raise the degree of evaluations and add adjusted evaluations the list
-            for (let i of indexes) {
-                qaEvaluations.push(this.field.mulVectorElements(qaEvaluations[i], powers));
-            }
-        }
-        this.log('Adjusted degrees of Q(x) polynomials');
+        // 1 ----- transition constraints Q(x) are evaluated over evaluation domain by the caller
 
-        // 3 ----- merge transition constraints into a single polynomial
-        // first, compute linear combination of adjusted evaluations
-        const qcEvaluations = this.field.combineManyVectors(qaEvaluations, this.dCoefficients);
+        // 2 ----- merge transition constraints into a single polynomial
+        const qeEvaluations = this.extension.combineBaseVectors(this.field.matrixRowsToVectors(qEvaluations), this.dCoefficients);
         this.log('Computed linear combination of Q(x) polynomials');
 
-        // then, perform low-degree extension from composition domain to evaluation domain
-        const qcPoly = this.field.interpolateRoots(context.compositionDomain, qcEvaluations);
-        const qeEvaluations = this.field.evalPolyAtRoots(qcPoly, context.evaluationDomain);
-        this.log('Performed low degree extensions of Q(x) polynomial');
-
-        // 4 ----- compute D(x) = Q(x) / Z(x)
-        const zEvaluations = this.zPoly.evaluateAll(context.evaluationDomain);
+        // 3 ----- compute D(x) = Q(x) / Z(x)
+        const zEvaluations = this.zPoly.evaluateAll(domain);
         this.log('Computed Z(x) polynomial');
 
         const zInverses = this.field.divVectorElements(zEvaluations.denominators, zEvaluations.numerators);
         this.log('Computed Z(x) inverses');
 
-        const dEvaluations = this.field.mulVectorElements(qeEvaluations, zInverses);
+        const dEvaluations = qeEvaluations.map(qe => this.field.mulVectorElements(qe, zInverses));
         this.log('Computed D(x) polynomial');
 
-        // 5 ------- compute boundary constraints B(x)
-        const bEvaluations = this.bPoly.evaluateAll(pEvaluations, context.evaluationDomain);
+        // 4 ------- compute boundary constraints B(x)
+        const bEvaluations = this.bPoly.evaluateAll(pEvaluations, domain);
         this.log('Computed boundary constraint polynomials B(x)');
 
-        // 6 ------- Adjust degrees of boundary constraints
-        const baEvaluations = this.field.matrixRowsToVectors(bEvaluations);
-        const bIncrementalDegree = BigInt(this.compositionDegree - context.traceLength);
-        if (bIncrementalDegree > 0n) {
-            const powerSeed = this.field.exp(context.rootOfUnity, bIncrementalDegree);
-            const psbPowers = this.field.getPowerSeries(powerSeed, context.evaluationDomain.length);
-            
-            // raise the degree of evaluations and add adjusted evaluations the list
-            for (let i = 0; i < this.bPoly.count; i++) {
-                baEvaluations.push(this.field.mulVectorElements(baEvaluations[i], psbPowers));
-            }
-        }
-        this.log('Adjusted degrees of B(x) polynomials');
-
-        // 7 ----- Merge boundary constraints into a single polynomial
-        const bcEvaluations = this.field.combineManyVectors(baEvaluations, this.bCoefficients);
+        // 5 ----- Merge boundary constraints into a single polynomial
+        const bcEvaluations = this.extension.combineBaseVectors(this.field.matrixRowsToVectors(bEvaluations), this.bCoefficients);
         this.log('Computed linear combination of B(x) polynomials');
 
-        return this.field.addVectorElements(dEvaluations, bcEvaluations);
+        return dEvaluations.map((d, i) => this.field.addVectorElements(d, bcEvaluations[i]));
     }
 
-    // VERIFICATION METHODS
-    // --------------------------------------------------------------------------------------------
-    evaluateAt(x: bigint, pValues: bigint[], nValues: bigint[], hValues: bigint[], context: VerificationObject): bigint {
-
-        // evaluate transition constraints at x
-        const qValues = context.evaluateConstraintsAt(x, pValues, nValues, hValues);
-
-        // adjust transition constraint degrees
-        for (let { degree, indexes } of this.constraintGroups) {
-            if (degree === this.combinationDegree) continue;
-
-            let constraintIncrementalDegree = BigInt(this.combinationDegree - degree);
-            let power = this.field.exp(x, constraintIncrementalDegree);
-            for (let i of indexes) {
-                qValues.push(this.field.mul(qValues[i], power));
-            }
+    splitColumns(cEvaluations: Vector[], domain: EvaluationDomain): Matrix {
+        // C(x) = C_0(x) + x^m * C_1(x) + x^(2m) * C_2(x) + ..., where m is trace degree; so, i-th
+        // column polynomial consists of the i-th chunk of m coefficients of C(x); coordinates of
+        // extension field values are split independently, so j-th coordinate of i-th column ends up
+        // in row i * k + j of the result
+        const columnDegree = this.traceDegree;
+        const maxLength = this.combinationDegree;
+
+        // unless the domain is a coset, Z(x) and boundary constraint denominators vanish at some of
+        // its points, and so C(x) cannot be evaluated there; these points are at multiples of extension
+        // factor, and so C(x) is interpolated over the points at odd positions instead
+        if (!domain.isCoset) {
+            cEvaluations = cEvaluations.map(c => this.field.newVectorFrom(c.toValues().filter((v, i) => i % 2 === 1)));
+            domain = domain.getOddPoints();
         }
 
-        // merge transition constraint evaluations into a single value
-        const qVector = this.field.newVectorFrom(qValues);
-        const qcValue = this.field.combineVectors(qVector, this.dCoefficients);
-
-        // compute D(x) = Q(x) / Z(x)
-        const zValue = this.zPoly.evaluateAt(x);
-        const dValue = this.field.div(qcValue, zValue);
+        const coordinatePolys = cEvaluations.map(c => domain.interpolate(c).toValues());
 
-        // evaluate boundary constraints at x
-        const bValues = this.bPoly.evaluateAt(pValues, x);
+        const columns = new Array<bigint[]>(this.columnCount * this.extension.degree);
+        for (let j = 0; j < coordinatePolys.length; j++) {
+            let cPoly = coordinatePolys[j];
+            for (let i = maxLength; i < cPoly.length; i++) {
+                if (cPoly[i] !== this.field.zero) {
+                    throw new StarkError(`Degree of composition polynomial exceeds ${maxLength}`);
+                }
+            }
 
-        // adjust boundary constraint degrees
-        const bIncrementalDegree = BigInt(this.compositionDegree - context.traceLength);
-        if (bIncrementalDegree > 0n) {
-            let power = this.field.exp(x, bIncrementalDegree);
-            for (let i = 0; i < this.bPoly.count; i++) {
-                bValues.push(this.field.mul(bValues[i], power));
+            for (let i = 0; i < this.columnCount; i++) {
+                let column = new Array<bigint>(columnDegree);
+                for (let c = 0, k = i * columnDegree; c < columnDegree; c++, k++) {
+                    column[c] = (k < cPoly.length) ? cPoly[k] : this.field.zero;
+                }
+                columns[i * this.extension.degree + j] = column;
             }
         }
+        this.log(`Split C(x) polynomial into ${this.columnCount} columns`);
 
-        // merge boundary constraint evaluations into a single value
-        const bVector = this.field.newVectorFrom(bValues);
-        const bValue = this.field.combineVectors(bVector, this.bCoefficients);
-
-        return this.field.add(dValue, bValue);
+        return this.field.newMatrixFrom(columns);
     }
 }
-
-// HELPER FUNCTIONS
-// ================================================================================================
-function getCombinationDegree(constraints: ConstraintSpecs[], traceLength: number) {
-    let maxConstraintDegree = 1;
-    for (let constraint of constraints) {
-        if (maxConstraintDegree < constraint.degree) {
-            maxConstraintDegree = constraint.degree;
-        }
-    }
-    return 2**Math.ceil(Math.log2(maxConstraintDegree)) * traceLength;
-}
-
-function groupTransitionConstraints(constraints: ConstraintSpecs[], traceLength: number) {
-    
-    const constraintGroups = new Map<number, number[]>();
-    for (let i = 0; i < constraints.length; i++) {
-        let degree = (constraints[i].degree * traceLength);
-        let group = constraintGroups.get(degree);
-        if (!group) {
-            group = [];
-            constraintGroups.set(degree, group);
-        }
-        group.push(i);
-    }
-
-    const result = [] as { degree: number; indexes: number[]; }[];
-    for (let [degree, indexes] of constraintGroups) {
-        result.push({ degree, indexes });
-    }
-
-    return result;
-}
\ No newline at end of file
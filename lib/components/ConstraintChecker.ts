@@ -0,0 +1,214 @@
+// IMPORTS
+// ================================================================================================
+import { FiniteField, Vector, Assertion } from "@guildofweavers/genstark";
+import { AirObject, VerificationObject, ConstraintSpecs } from "@guildofweavers/air-script";
+import { BoundaryConstraints } from "./BoundaryConstraints";
+import { ZeroPolynomial } from "./ZeroPolynomial";
+import { Transcript } from "./Transcript";
+import { ExtensionField } from "./ExtensionField";
+import { StarkError } from "../StarkError";
+
+// CLASS DEFINITION
+// ================================================================================================
+// checks transition and boundary constraints at a single point, which is all the verifier needs of the
+// composition polynomial; CompositionPolynomial builds on it to evaluate C(x) over the entire domain
+export class ConstraintChecker {
+
+    protected readonly field            : FiniteField;
+    protected readonly extension        : ExtensionField;
+
+    protected readonly dCoefficients    : Vector[];
+    protected readonly bCoefficients    : Vector[];
+
+    protected readonly bPoly            : BoundaryConstraints;
+    protected readonly zPoly            : ZeroPolynomial;
+
+    private readonly maxConstraintDegree: number;
+
+    readonly traceDegree                : number;
+    readonly combinationDegree          : number;
+    readonly columnCount                : number;
+
+    // CONSTRUCTOR
+    // --------------------------------------------------------------------------------------------
+    constructor(constraints: ConstraintSpecs[], assertions: Assertion[], transcript: Transcript, context: AirObject, extension: ExtensionField, maskDegree: number) {
+
+        this.field = context.field;
+        this.extension = extension;
+        this.bPoly = new BoundaryConstraints(assertions, context);
+        this.zPoly = new ZeroPolynomial(context);
+
+        // degree of trace polynomials; in zero-knowledge mode, it is increased by the degree of random masks
+        this.traceDegree = context.traceLength + maskDegree;
+
+        // C(x) is split into columns of trace degree; transition constraints of degree d applied to
+        // trace polynomials (masks included) yield Q(x) of degree at most d * traceDegree, and so the
+        // number of columns is chosen so that all of them together can hold a polynomial of that degree
+        const maxConstraintDegree = this.maxConstraintDegree = getMaxConstraintDegree(constraints);
+        this.columnCount = ConstraintChecker.getColumnCount(maxConstraintDegree);
+
+        // degree of trace polynomial combination
+        this.combinationDegree = this.columnCount * this.traceDegree;
+
+        ConstraintChecker.checkDegree(maxConstraintDegree, context.traceLength, context.extensionFactor, maskDegree);
+
+        // create coefficients needed for linear combination; coefficients are drawn from the
+        // extension field, and so C(x) evaluations are elements of the extension field as well
+        const dCoefficientCount = constraints.length;
+        const bCoefficientCount = this.bPoly.count;
+        const seed = transcript.squeeze('composition coefficients');
+        const coefficients = extension.prngVector(seed, dCoefficientCount + bCoefficientCount).map(c => c.toValues());
+        this.dCoefficients = coefficients.map(c => this.field.newVectorFrom(c.slice(0, dCoefficientCount)));
+        this.bCoefficients = coefficients.map(c => this.field.newVectorFrom(c.slice(dCoefficientCount)));
+    }
+
+    static getColumnCount(maxConstraintDegree: number): number {
+        return 2**Math.ceil(Math.log2(maxConstraintDegree));
+    }
+
+    static checkDegree(maxConstraintDegree: number, traceLength: number, extensionFactor: number, maskDegree: number) {
+        // C(x) is interpolated over the evaluation domain, but unless the domain is a coset (which is
+        // always the case when traces are masked), only half of its points can be used for that
+        const combinationDegree = ConstraintChecker.getColumnCount(maxConstraintDegree) * (traceLength + maskDegree);
+        const domainSize = traceLength * extensionFactor;
+        if (combinationDegree > (maskDegree ? domainSize : domainSize / 2)) {
+            throw new StarkError(maskDegree
+                ? `Execution trace of length ${traceLength} is too short to be masked with degree ${maskDegree} polynomials at extension factor ${extensionFactor}`
+                : `Extension factor ${extensionFactor} is too small for constraints of degree ${maxConstraintDegree}`);
+        }
+    }
+
+    // VERIFICATION METHODS
+    // --------------------------------------------------------------------------------------------
+    evaluateAt(x: bigint, pValues: bigint[], nValues: bigint[], hValues: bigint[], context: VerificationObject): bigint[] {
+
+        // evaluate transition constraints at x and merge them into a single value
+        const qValues = context.evaluateConstraintsAt(x, pValues, nValues, hValues);
+        const qcValue = this.extension.combineBaseValues(qValues, this.dCoefficients);
+
+        // compute D(x) = Q(x) / Z(x)
+        const zValue = this.zPoly.evaluateAt(x);
+        const dValue = this.extension.mulBase(qcValue, this.field.inv(zValue));
+
+        // evaluate boundary constraints at x and merge them into a single value
+        const bValues = this.bPoly.evaluateAt(pValues, x);
+        const bValue = this.extension.combineBaseValues(bValues, this.bCoefficients);
+
+        return this.extension.add(dValue, bValue);
+    }
+
+    evaluateOutOfDomain(z: bigint[], pValues: bigint[], nValues: bigint[], hValues: bigint[], context: VerificationObject): bigint[] {
+        // in the base field, this is the same as evaluating constraints at any other point
+        const extension = this.extension;
+        if (extension.degree === 1) return this.evaluateAt(z[0], pValues, nValues, hValues, context);
+
+        // evaluate transition constraints at z and merge them into a single value
+        const qValues = this.evaluateConstraintsOverExtension(z, pValues, nValues, hValues, context);
+        const qcValue = extension.combineValues(qValues, this.dCoefficients);
+
+        // compute D(z) = Q(z) / Z(z), where Z(z) = (z^n - 1) / (z - x_n-1)
+        const zNumerator = extension.sub(extension.exp(z, this.zPoly.traceLength), extension.one);
+        const zDenominator = extension.sub(z, extension.fromBase(this.zPoly.xAtLastStep));
+        const dValue = extension.mul(qcValue, extension.mul(zDenominator, extension.inv(zNumerator)));
+
+        // evaluate boundary constraints at z as (P(z) - I(z)) / Zb(z), and merge them into a single value
+        const bValues: bigint[][] = [];
+        for (let [register, c] of this.bPoly.polys) {
+            let p = pValues.slice(register * extension.degree, (register + 1) * extension.degree);
+            let numerator = extension.sub(p, extension.evalPolyAt(c.iPoly, z));
+            bValues.push(extension.mul(numerator, extension.inv(extension.evalPolyAt(c.zPoly, z))));
+        }
+        const bValue = extension.combineValues(bValues, this.bCoefficients);
+
+        return extension.add(dValue, bValue);
+    }
+
+    mergeOutOfDomainColumns(z: bigint[], cValues: bigint[]): bigint[] {
+        // in the base field, values of column coordinates are the coordinates of column values
+        const extension = this.extension, k = extension.degree;
+        if (k === 1) return this.mergeColumns(z[0], cValues);
+
+        // otherwise, each coordinate of a column is a separate polynomial with a value at z in the
+        // extension field; so, value of the column is sum(t^j * C_ij(z)); after that, the columns are
+        // merged as C(z) = C_0(z) + z^m * C_1(z) + ...
+        const t = extension.fromBase(this.field.zero);
+        t[1] = this.field.one;
+        const zm = extension.exp(z, BigInt(this.traceDegree));
+        let result = extension.fromBase(this.field.zero);
+        for (let i = cValues.length / (k * k) - 1; i >= 0; i--) {
+            let column = extension.fromBase(this.field.zero);
+            for (let j = k - 1; j >= 0; j--) {
+                let offset = (i * k + j) * k;
+                column = extension.add(extension.mul(column, t), cValues.slice(offset, offset + k));
+            }
+            result = extension.add(extension.mul(result, zm), column);
+        }
+        return result;
+    }
+
+    mergeColumns(x: bigint, cValues: bigint[]): bigint[] {
+        // evaluate C(x) = C_0(x) + x^m * C_1(x) + ... using Horner's method; cValues contains
+        // coordinates of column values laid out element by element
+        const k = this.extension.degree;
+        const xm = this.field.exp(x, BigInt(this.traceDegree));
+        let result = this.extension.fromBase(this.field.zero);
+        for (let i = cValues.length / k - 1; i >= 0; i--) {
+            result = this.extension.add(this.extension.mulBase(result, xm), cValues.slice(i * k, (i + 1) * k));
+        }
+        return result;
+    }
+
+    // HELPER METHODS
+    // --------------------------------------------------------------------------------------------
+    private evaluateConstraintsOverExtension(z: bigint[], pValues: bigint[], nValues: bigint[], hValues: bigint[], context: VerificationObject): bigint[][] {
+        // AIR evaluates constraints only over the base field; but an extension field element is a
+        // polynomial a_0 + a_1 * t + ... reduced modulo t^k - t - beta, and so constraints at z can be
+        // evaluated by replacing every element with its polynomial in t, evaluating constraints at enough
+        // values of t in the base field to interpolate the result in t, and evaluating the result at t;
+        // constraints are of degree at most d in register values, and readonly registers (including the
+        // ones AIR uses to control the flow of the computation) are polynomials of degree less than trace
+        // length in x; so, the number of evaluations needed grows linearly with trace length
+        const field = this.field, k = this.extension.degree;
+        const degree = this.maxConstraintDegree * Math.max(1, context.traceLength - 1) * (k - 1);
+        const pointCount = 2**Math.ceil(Math.log2(degree + 1));
+        const points = field.getPowerSeries(field.getRootOfUnity(pointCount), pointCount);
+
+        const splitElements = (values: bigint[]) => {
+            const result: bigint[][] = [];
+            for (let i = 0; i < values.length; i += k) {
+                result.push(values.slice(i, i + k));
+            }
+            return result;
+        };
+        const pElements = splitElements(pValues), nElements = splitElements(nValues), hElements = splitElements(hValues);
+
+        const evaluations: bigint[][] = [];
+        for (let i = 0; i < pointCount; i++) {
+            let powers = field.getPowerSeries(points.getValue(i), k).toValues();
+            let evaluate = (element: bigint[]) => element.reduce((sum, c, j) => field.add(sum, field.mul(c, powers[j])), field.zero);
+            let qValues = context.evaluateConstraintsAt(evaluate(z), pElements.map(evaluate), nElements.map(evaluate), hElements.map(evaluate));
+            for (let j = 0; j < qValues.length; j++) {
+                if (!evaluations[j]) evaluations[j] = new Array<bigint>(pointCount);
+                evaluations[j][i] = qValues[j];
+            }
+        }
+
+        // interpolate evaluations of each constraint into a polynomial in t, and evaluate it at t
+        const t = this.extension.fromBase(field.zero);
+        t[1] = field.one;
+        const qPolys = field.interpolateRoots(points, field.newMatrixFrom(evaluations));
+        return field.matrixRowsToVectors(qPolys).map(poly => this.extension.evalPolyAt(poly, t));
+    }
+}
+
+// HELPER FUNCTIONS
+// ================================================================================================
+function getMaxConstraintDegree(constraints: ConstraintSpecs[]) {
+    let maxConstraintDegree = 1;
+    for (let constraint of constraints) {
+        if (maxConstraintDegree < constraint.degree) {
+            maxConstraintDegree = constraint.degree;
+        }
+    }
+    return maxConstraintDegree;
+}
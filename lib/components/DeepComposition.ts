@@ -0,0 +1,170 @@
+// IMPORTS
+// ================================================================================================
+import { DeepValues } from '@guildofweavers/genstark';
+import { FiniteField, Matrix, Vector } from '@guildofweavers/air-script';
+import { Transcript } from './Transcript';
+import { EvaluationDomain } from './EvaluationDomain';
+import { ExtensionField } from './ExtensionField';
+import { writeBigInts } from '../utils/serialization';
+
+// CLASS DEFINITION
+// ================================================================================================
+// Combines DEEP quotients (f(x) - f(z)) / (x - z) of trace polynomials and composition polynomial
+// columns into a single polynomial; the quotients are low-degree only if f(z) values sent by the
+// prover are correct; the out-of-domain point z and the coefficients of the combination are drawn
+// from the extension field, and so out-of-domain values and the combination are extension field
+// elements; every coordinate of C(x) columns is treated as a separate polynomial with base field
+// coefficients, in the same way as in the linear combination
+export class DeepComposition {
+
+    readonly field                  : FiniteField;
+    readonly extension              : ExtensionField;
+    readonly domain                 : EvaluationDomain;
+
+    readonly z                      : bigint[];     // out-of-domain point
+    readonly zg                     : bigint[];     // out-of-domain point shifted by one step of the trace
+
+    private readonly transcript     : Transcript;
+    private values?                 : DeepValues;
+    private coefficients?           : Vector[];
+
+    // CONSTRUCTOR
+    // --------------------------------------------------------------------------------------------
+    constructor(transcript: Transcript, traceLength: number, domain: EvaluationDomain, extension: ExtensionField) {
+        this.field = domain.field;
+        this.extension = extension;
+        this.domain = domain;
+        this.transcript = transcript;
+
+        // draw z until it falls outside of both evaluation and execution domains; points which are
+        // not in the base field cannot be in either of them
+        const traceSize = BigInt(traceLength);
+        let z: bigint[];
+        do {
+            z = extension.prng(transcript.squeeze('out-of-domain point'));
+        } while (isBaseElement(z) && (domain.contains(z[0]) || this.field.exp(z[0], traceSize) === this.field.one));
+
+        const traceRootOfUnity = this.field.exp(domain.rootOfUnity, BigInt(domain.size / traceLength));
+        this.z = z;
+        this.zg = extension.mulBase(z, traceRootOfUnity);
+    }
+
+    // PUBLIC METHODS
+    // --------------------------------------------------------------------------------------------
+    setValues(values: DeepValues) {
+        const elementSize = this.field.elementSize;
+        const { pValues, nValues, hValues, cValues } = values;
+        this.transcript.absorb('out-of-domain values', writeBigInts([...pValues, ...nValues, ...hValues, ...cValues], elementSize));
+        const seed = this.transcript.squeeze('deep composition coefficients');
+
+        // all quotients are of the same degree, and so they can be combined without degree adjustment
+        const k = this.extension.degree;
+        const quotientCount = (cValues.length + 2 * pValues.length + hValues.length) / k;
+        this.coefficients = this.extension.prngVector(seed, quotientCount);
+        this.values = values;
+    }
+
+    computeMany(cEvaluations: Vector[], pEvaluations: Matrix, hEvaluations: Vector[]): Vector[] {
+        const field = this.field, extension = this.extension;
+        const pVectors = field.matrixRowsToVectors(pEvaluations);
+        const { zEvaluations, zValue, zgEvaluations, zgValue } = this.splitQuotients(cEvaluations, pVectors, hEvaluations);
+
+        // compute 1 / (x - z) and 1 / (x - z*g) for all x in the domain
+        const points = this.domain.values;
+        const zInverses = extension.invVectorElements(this.subFromVector(points, this.z));
+        const zgInverses = extension.invVectorElements(this.subFromVector(points, this.zg));
+
+        // quotients which share a denominator are combined before the division
+        const zNumerators = extension.combineBaseVectors(zEvaluations, zValue.coefficients).map((v, i) => field.subVectorElements(v, zValue.value[i]));
+        const zgNumerators = extension.combineBaseVectors(zgEvaluations, zgValue.coefficients).map((v, i) => field.subVectorElements(v, zgValue.value[i]));
+        const zQuotients = extension.mulVectorElements(zNumerators, zInverses);
+        const zgQuotients = extension.mulVectorElements(zgNumerators, zgInverses);
+        return zQuotients.map((v, i) => field.addVectorElements(v, zgQuotients[i]));
+    }
+
+    computeOne(x: bigint, cEvaluations: bigint[], pEvaluations: bigint[], hEvaluations: bigint[]): bigint[] {
+        const extension = this.extension;
+        const { zEvaluations, zValue, zgEvaluations, zgValue } = this.splitQuotients(cEvaluations, pEvaluations, hEvaluations);
+
+        const zInverse = extension.inv(extension.sub(extension.fromBase(x), this.z));
+        const zgInverse = extension.inv(extension.sub(extension.fromBase(x), this.zg));
+
+        const zNumerator = extension.sub(extension.combineBaseValues(zEvaluations, zValue.coefficients), zValue.value);
+        const zgNumerator = extension.sub(extension.combineBaseValues(zgEvaluations, zgValue.coefficients), zgValue.value);
+        return extension.add(extension.mul(zNumerator, zInverse), extension.mul(zgNumerator, zgInverse));
+    }
+
+    // HELPER METHODS
+    // --------------------------------------------------------------------------------------------
+    private getValues(): DeepValues {
+        if (!this.values) throw new Error('Out-of-domain values have not been set');
+        return this.values;
+    }
+
+    private splitQuotients<T>(cEvaluations: T[], pEvaluations: T[], hEvaluations: T[]) {
+        const { pValues, nValues, hValues, cValues } = this.getValues();
+        const coefficients = this.extension.splitVector(this.coefficients!);
+
+        // quotients are ordered as C(x) columns at z, P(x) at z and z*g (interleaved), and S(x) at z;
+        // quotients at z are divided by (x - z), and quotients at z*g are divided by (x - z*g)
+        const zEvaluations: T[] = [], zgEvaluations: T[] = [];
+        const zValues: bigint[][] = [], zgValues: bigint[][] = [];
+        const zCoefficients: bigint[][] = [], zgCoefficients: bigint[][] = [];
+
+        let index = 0;
+        for (let i = 0; i < cEvaluations.length; i++, index++) {
+            zEvaluations.push(cEvaluations[i]);
+            zValues.push(this.getElement(cValues, i));
+            zCoefficients.push(coefficients[index]);
+        }
+        for (let i = 0; i < pEvaluations.length; i++, index += 2) {
+            zEvaluations.push(pEvaluations[i]);
+            zValues.push(this.getElement(pValues, i));
+            zCoefficients.push(coefficients[index]);
+            zgEvaluations.push(pEvaluations[i]);
+            zgValues.push(this.getElement(nValues, i));
+            zgCoefficients.push(coefficients[index + 1]);
+        }
+        for (let i = 0; i < hEvaluations.length; i++, index++) {
+            zEvaluations.push(hEvaluations[i]);
+            zValues.push(this.getElement(hValues, i));
+            zCoefficients.push(coefficients[index]);
+        }
+
+        return {
+            zEvaluations, zValue: this.combineValues(zValues, zCoefficients),
+            zgEvaluations, zgValue: this.combineValues(zgValues, zgCoefficients)
+        };
+    }
+
+    private combineValues(values: bigint[][], elements: bigint[][]) {
+        // coefficients are split into coordinate vectors, and the combination of f(z) values is computed
+        const k = this.extension.degree;
+        const coefficients = new Array<Vector>(k);
+        for (let j = 0; j < k; j++) {
+            coefficients[j] = this.field.newVectorFrom(elements.map(c => c[j]));
+        }
+        return { coefficients, value: this.extension.combineValues(values, coefficients) };
+    }
+
+    private getElement(values: bigint[], index: number): bigint[] {
+        const k = this.extension.degree;
+        return values.slice(index * k, (index + 1) * k);
+    }
+
+    private subFromVector(vector: Vector, value: bigint[]): Vector[] {
+        // computes x - value for every x in the vector; all coordinates of x other than the first are zeros
+        return value.map((v, i) => (i === 0)
+            ? this.field.subVectorElements(vector, v)
+            : this.field.subVectorElements(this.field.newVectorFrom(new Array<bigint>(vector.length).fill(this.field.zero)), v));
+    }
+}
+
+// HELPER FUNCTIONS
+// ================================================================================================
+function isBaseElement(value: bigint[]): boolean {
+    for (let i = 1; i < value.length; i++) {
+        if (value[i] !== 0n) return false;
+    }
+    return true;
+}
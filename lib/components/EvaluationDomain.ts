@@ -0,0 +1,124 @@
+// IMPORTS
+// ================================================================================================
+import { FiniteField, Vector, Matrix } from '@guildofweavers/air-script';
+
+// CLASS DEFINITION
+// ================================================================================================
+export class EvaluationDomain {
+
+    readonly field          : FiniteField;
+    readonly size           : number;
+    readonly rootOfUnity    : bigint;
+    readonly offset         : bigint;
+
+    private roots?          : Vector;
+    private points?         : Vector;
+
+    // CONSTRUCTOR
+    // --------------------------------------------------------------------------------------------
+    constructor(field: FiniteField, rootOfUnity: bigint, size: number, offset: bigint, roots?: Vector) {
+        this.field = field;
+        this.size = size;
+        this.rootOfUnity = rootOfUnity;
+        this.offset = offset;
+        this.roots = roots;
+    }
+
+    static findCosetOffset(field: FiniteField, domainSize: number): bigint {
+        // any element which is not in the multiplicative subgroup of the domain will do
+        const size = BigInt(domainSize);
+        for (let offset = 2n; offset < 256n; offset++) {
+            if (field.exp(offset, size) !== field.one) return offset;
+        }
+        throw new Error(`Could not find a coset offset for domain of size ${domainSize}`);
+    }
+
+    // PUBLIC ACCESSORS
+    // --------------------------------------------------------------------------------------------
+    get isCoset(): boolean {
+        return this.offset !== this.field.one;
+    }
+
+    // points of the domain are offset * rootOfUnity^i for all i
+    get values(): Vector {
+        if (!this.points) {
+            this.points = this.isCoset
+                ? this.field.mulVectorElements(this.getRoots(), this.offset)
+                : this.getRoots();
+        }
+        return this.points;
+    }
+
+    // PUBLIC METHODS
+    // --------------------------------------------------------------------------------------------
+    getPoint(position: number): bigint {
+        const x = this.field.exp(this.rootOfUnity, BigInt(position));
+        return this.field.mul(this.offset, x);
+    }
+
+    contains(x: bigint): boolean {
+        // x is in the domain if and only if x^size = offset^size
+        const size = BigInt(this.size);
+        return this.field.exp(x, size) === this.field.exp(this.offset, size);
+    }
+
+    // returns x^exponent for all x in the domain
+    getPowers(exponent: bigint): Vector {
+        const powers = this.field.getPowerSeries(this.field.exp(this.rootOfUnity, exponent), this.size);
+        return this.isCoset
+            ? this.field.mulVectorElements(powers, this.field.exp(this.offset, exponent))
+            : powers;
+    }
+
+    // returns a domain with every point of this domain raised to the specified power
+    fold(factor: number): EvaluationDomain {
+        const exponent = BigInt(factor);
+        const rootOfUnity = this.field.exp(this.rootOfUnity, exponent);
+        const offset = this.field.exp(this.offset, exponent);
+        return new EvaluationDomain(this.field, rootOfUnity, Math.floor(this.size / factor), offset);
+    }
+
+    // returns a domain of half the size consisting of points at odd positions of this domain
+    getOddPoints(): EvaluationDomain {
+        const rootOfUnity = this.field.exp(this.rootOfUnity, 2n);
+        const offset = this.field.mul(this.offset, this.rootOfUnity);
+        return new EvaluationDomain(this.field, rootOfUnity, Math.floor(this.size / 2), offset);
+    }
+
+    // returns coefficients of a polynomial which evaluates to the provided values over the domain
+    interpolate(values: Vector): Vector {
+        const poly = this.field.interpolateRoots(this.getRoots(), values);
+        if (!this.isCoset) return poly;
+
+        // P(x) is recovered from P(offset * x) by multiplying i-th coefficient by offset^-i
+        const inverseOffsetPowers = this.field.getPowerSeries(this.field.inv(this.offset), poly.length);
+        return this.field.mulVectorElements(poly, inverseOffsetPowers);
+    }
+
+    extendPoly(poly: Vector): Vector {
+        return this.field.evalPolyAtRoots(this.shiftPoly(poly), this.getRoots());
+    }
+
+    extendPolys(polys: Matrix): Matrix {
+        if (this.isCoset) {
+            polys = this.field.newMatrixFromVectors(this.field.matrixRowsToVectors(polys).map(p => this.shiftPoly(p)));
+        }
+        return this.field.evalPolysAtRoots(polys, this.getRoots());
+    }
+
+    // HELPER METHODS
+    // --------------------------------------------------------------------------------------------
+    private getRoots(): Vector {
+        if (!this.roots) {
+            this.roots = this.field.getPowerSeries(this.rootOfUnity, this.size);
+        }
+        return this.roots;
+    }
+
+    private shiftPoly(poly: Vector): Vector {
+        // P(offset * x) is computed by multiplying i-th coefficient of P(x) by offset^i
+        if (!this.isCoset) return poly;
+        const offsetPowers = this.field.getPowerSeries(this.offset, poly.length);
+        return this.field.mulVectorElements(poly, offsetPowers);
+    }
+}
@@ -0,0 +1,283 @@
+// IMPORTS
+// ================================================================================================
+import { FiniteField, Vector, Matrix } from '@guildofweavers/air-script';
+
+// MODULE VARIABLES
+// ================================================================================================
+const MAX_MODULUS_SEARCH = 1024;
+
+// CLASS DEFINITION
+// ================================================================================================
+// Extension of a prime field defined as F[t] / (t^k - t - beta); elements are arrays of k coordinates
+// in the base field, and vectors of elements are arrays of k base field vectors, one per coordinate;
+// when k = 1, all operations reduce to operations in the base field
+export class ExtensionField {
+
+    readonly base           : FiniteField;
+    readonly degree         : number;
+    readonly beta           : bigint;
+
+    // CONSTRUCTOR
+    // --------------------------------------------------------------------------------------------
+    constructor(base: FiniteField, degree: number, beta?: bigint) {
+        this.base = base;
+        this.degree = degree;
+        if (beta !== undefined) {
+            this.beta = beta;
+        }
+        else {
+            this.beta = (degree > 1) ? findModulus(base, degree) : base.zero;
+        }
+    }
+
+    // PUBLIC ACCESSORS
+    // --------------------------------------------------------------------------------------------
+    get elementSize(): number {
+        return this.base.elementSize * this.degree;
+    }
+
+    get one(): bigint[] {
+        return this.fromBase(this.base.one);
+    }
+
+    // ELEMENT OPERATIONS
+    // --------------------------------------------------------------------------------------------
+    fromBase(value: bigint): bigint[] {
+        const result = new Array<bigint>(this.degree).fill(this.base.zero);
+        result[0] = value;
+        return result;
+    }
+
+    add(a: bigint[], b: bigint[]): bigint[] {
+        return a.map((v, i) => this.base.add(v, b[i]));
+    }
+
+    sub(a: bigint[], b: bigint[]): bigint[] {
+        return a.map((v, i) => this.base.sub(v, b[i]));
+    }
+
+    mul(a: bigint[], b: bigint[]): bigint[] {
+        const product = new Array<bigint>(2 * this.degree - 1).fill(this.base.zero);
+        for (let i = 0; i < this.degree; i++) {
+            for (let j = 0; j < this.degree; j++) {
+                product[i + j] = this.base.add(product[i + j], this.base.mul(a[i], b[j]));
+            }
+        }
+        return this.reduce(product);
+    }
+
+    mulBase(a: bigint[], b: bigint): bigint[] {
+        return a.map(v => this.base.mul(v, b));
+    }
+
+    exp(a: bigint[], exponent: bigint): bigint[] {
+        let result = this.one, power = a;
+        for (; exponent > 0n; exponent >>= 1n) {
+            if (exponent & 1n) {
+                result = this.mul(result, power);
+            }
+            power = this.mul(power, power);
+        }
+        return result;
+    }
+
+    inv(a: bigint[]): bigint[] {
+        // the multiplicative group of the extension has p^k - 1 elements, so a^(p^k - 2) = 1 / a
+        if (this.degree === 1) return [this.base.inv(a[0])];
+        return this.exp(a, this.base.characteristic**BigInt(this.degree) - 2n);
+    }
+
+    evalPolyAt(poly: Vector, x: bigint[]): bigint[] {
+        // evaluates a polynomial with base field coefficients at an extension field point using Horner's method
+        let result = this.fromBase(this.base.zero);
+        for (let i = poly.length - 1; i >= 0; i--) {
+            result = this.mul(result, x);
+            result[0] = this.base.add(result[0], poly.getValue(i));
+        }
+        return result;
+    }
+
+    isEqual(a: bigint[], b: bigint[]): boolean {
+        return a.every((v, i) => v === b[i]);
+    }
+
+    prng(seed: Buffer): bigint[] {
+        // in the base field, draw exactly what the base field would draw
+        if (this.degree === 1) return [this.base.prng(seed)];
+        return this.base.prng(seed, this.degree).toValues();
+    }
+
+    // VECTOR OPERATIONS
+    // --------------------------------------------------------------------------------------------
+    prngVector(seed: Buffer, length: number): Vector[] {
+        if (this.degree === 1) return [this.base.prng(seed, length)];
+
+        // draw all coordinates at once, and then split them into coordinate vectors
+        const values = this.base.prng(seed, length * this.degree).toValues();
+        return this.splitValues(values);
+    }
+
+    combineBaseVectors(vectors: Vector[], coefficients: Vector[]): Vector[] {
+        // a linear combination with extension field coefficients is computed independently for each coordinate
+        return coefficients.map(c => this.base.combineManyVectors(vectors, c));
+    }
+
+    combineBaseValues(values: bigint[], coefficients: Vector[]): bigint[] {
+        const vector = this.base.newVectorFrom(values);
+        return coefficients.map(c => this.base.combineVectors(vector, c));
+    }
+
+    combineValues(values: bigint[][], coefficients: Vector[]): bigint[] {
+        let result = this.fromBase(this.base.zero);
+        for (let i = 0; i < values.length; i++) {
+            let coefficient = coefficients.map(c => c.getValue(i));
+            result = this.add(result, this.mul(values[i], coefficient));
+        }
+        return result;
+    }
+
+    mulVectorElements(a: Vector[], b: Vector[]): Vector[] {
+        const product = new Array<Vector | undefined>(2 * this.degree - 1);
+        for (let i = 0; i < this.degree; i++) {
+            for (let j = 0; j < this.degree; j++) {
+                let term = this.base.mulVectorElements(a[i], b[j]);
+                let sum = product[i + j];
+                product[i + j] = sum ? this.base.addVectorElements(sum, term) : term;
+            }
+        }
+        return this.reduceVectors(product as Vector[]);
+    }
+
+    invVectorElements(vector: Vector[]): Vector[] {
+        if (this.degree === 1) return [this.base.invVectorElements(vector[0])];
+
+        // invert all elements at once using Montgomery's trick: a single inversion of the product
+        // of all elements, and three multiplications per element
+        const elements = this.splitVector(vector);
+        const products = new Array<bigint[]>(elements.length);
+        let product = this.one;
+        for (let i = 0; i < elements.length; i++) {
+            products[i] = product;
+            product = this.mul(product, elements[i]);
+        }
+
+        let inverse = this.inv(product);
+        const result = new Array<bigint[]>(elements.length);
+        for (let i = elements.length - 1; i >= 0; i--) {
+            result[i] = this.mul(inverse, products[i]);
+            inverse = this.mul(inverse, elements[i]);
+        }
+        return this.splitValues(([] as bigint[]).concat(...result));
+    }
+
+    evalPolysAt(polys: Matrix[], x: bigint[]): Vector[] {
+        // polys[j] holds j-th coordinates of coefficients; each row is evaluated as sum(c_i * x^i)
+        const columnCount = polys[0].colCount;
+        const powers: bigint[][] = [this.one];
+        for (let i = 1; i < columnCount; i++) {
+            powers.push(this.mul(powers[i - 1], x));
+        }
+
+        // compute the product coordinate by coordinate, and then reduce it modulo t^k - t - beta
+        const product = new Array<Vector | undefined>(2 * this.degree - 1);
+        for (let a = 0; a < this.degree; a++) {
+            let coefficients = this.base.matrixRowsToVectors(this.base.transposeMatrix(polys[a]));
+            for (let b = 0; b < this.degree; b++) {
+                let xb = this.base.newVectorFrom(powers.map(p => p[b]));
+                let term = this.base.combineManyVectors(coefficients, xb);
+                let sum = product[a + b];
+                product[a + b] = sum ? this.base.addVectorElements(sum, term) : term;
+            }
+        }
+        return this.reduceVectors(product as Vector[]);
+    }
+
+    // SERIALIZATION
+    // --------------------------------------------------------------------------------------------
+    splitValues(values: bigint[]): Vector[] {
+        // values are laid out element by element; the result holds one vector per coordinate
+        const length = values.length / this.degree;
+        const coordinates = new Array<Vector>(this.degree);
+        for (let j = 0; j < this.degree; j++) {
+            let coordinate = new Array<bigint>(length);
+            for (let i = 0; i < length; i++) {
+                coordinate[i] = values[i * this.degree + j];
+            }
+            coordinates[j] = this.base.newVectorFrom(coordinate);
+        }
+        return coordinates;
+    }
+
+    splitVector(vector: Vector[]): bigint[][] {
+        // the result holds one element (an array of coordinates) per position of the vector
+        const coordinates = vector.map(v => v.toValues());
+        const result = new Array<bigint[]>(coordinates[0].length);
+        for (let i = 0; i < result.length; i++) {
+            result[i] = coordinates.map(c => c[i]);
+        }
+        return result;
+    }
+
+    joinValues(vectors: Vector[]): bigint[] {
+        if (this.degree === 1) return vectors[0].toValues();
+
+        const coordinates = vectors.map(v => v.toValues());
+        const values = new Array<bigint>(coordinates[0].length * this.degree);
+        for (let i = 0, k = 0; i < coordinates[0].length; i++) {
+            for (let j = 0; j < this.degree; j++, k++) {
+                values[k] = coordinates[j][i];
+            }
+        }
+        return values;
+    }
+
+    joinRows(matrices: Matrix[]): Buffer {
+        // row i of the result contains all elements of row i of the matrices laid out element by element
+        if (this.degree === 1) return matrices[0].toBuffer();
+
+        const elementSize = this.base.elementSize;
+        const buffers = matrices.map(m => m.toBuffer());
+        const result = Buffer.allocUnsafe(buffers[0].byteLength * this.degree);
+        const elementCount = buffers[0].byteLength / elementSize;
+        for (let i = 0, offset = 0; i < elementCount; i++) {
+            for (let j = 0; j < this.degree; j++, offset += elementSize) {
+                buffers[j].copy(result, offset, i * elementSize, (i + 1) * elementSize);
+            }
+        }
+        return result;
+    }
+
+    // HELPER METHODS
+    // --------------------------------------------------------------------------------------------
+    private reduce(product: bigint[]): bigint[] {
+        // t^k = t + beta, so t^i = t^(i-k+1) + beta * t^(i-k)
+        for (let i = product.length - 1; i >= this.degree; i--) {
+            product[i - this.degree + 1] = this.base.add(product[i - this.degree + 1], product[i]);
+            product[i - this.degree] = this.base.add(product[i - this.degree], this.base.mul(product[i], this.beta));
+        }
+        return product.slice(0, this.degree);
+    }
+
+    private reduceVectors(product: Vector[]): Vector[] {
+        for (let i = product.length - 1; i >= this.degree; i--) {
+            product[i - this.degree + 1] = this.base.addVectorElements(product[i - this.degree + 1], product[i]);
+            product[i - this.degree] = this.base.addVectorElements(product[i - this.degree], this.base.mulVectorElements(product[i], this.beta));
+        }
+        return product.slice(0, this.degree);
+    }
+}
+
+// HELPER FUNCTIONS
+// ================================================================================================
+function findModulus(base: FiniteField, degree: number): bigint {
+    // for prime k, t^k - t - beta is irreducible if and only if t^(p^k) = t and t^p != t modulo it
+    const p = base.characteristic;
+    for (let beta = 1n; beta <= MAX_MODULUS_SEARCH; beta++) {
+        let candidate = new ExtensionField(base, degree, beta);
+        let t = new Array<bigint>(degree).fill(base.zero);
+        t[1] = base.one;
+        if (candidate.isEqual(candidate.exp(t, p), t)) continue;
+        if (candidate.isEqual(candidate.exp(t, p**BigInt(degree)), t)) return beta;
+    }
+    throw new Error(`Could not find a degree ${degree} extension of the field`);
+}
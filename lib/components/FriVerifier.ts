@@ -0,0 +1,359 @@
+// IMPORTS
+// ================================================================================================
+import { LowDegreeProof } from "@guildofweavers/genstark";
+import { FiniteField, Vector, Matrix } from '@guildofweavers/air-script';
+import { MerkleTree, Hash } from '@guildofweavers/merkle';
+import { QueryIndexGenerator } from "./QueryIndexGenerator";
+import { Transcript } from "./Transcript";
+import { EvaluationDomain } from "./EvaluationDomain";
+import { ExtensionField } from "./ExtensionField";
+import { readBigInt, writeBigInts, writeNumbers } from "../utils/serialization";
+import { rehashMerkleProofValues } from "../utils/merkle";
+import { StarkError } from '../StarkError';
+
+// INTERFACES
+// ================================================================================================
+export interface FriOptions {
+    readonly foldingFactor          : number;
+    readonly maxRemainderSize       : number;
+    readonly remainderCoefficients  : boolean;   // send remainder as polynomial coefficients
+    readonly saltCount              : number;
+}
+
+export interface QueryPositions {
+    readonly exePositions   : number[];
+    readonly friPositions   : number[][];
+    readonly nonce          : number;
+}
+
+export interface FriChallenges extends QueryPositions {
+    readonly specialXs      : bigint[][];
+}
+
+// parts of a low-degree proof which are absorbed into the transcript
+export interface FriCommitments {
+    readonly lcRoot         : Buffer;
+    readonly components     : { readonly columnRoot: Buffer }[];
+    readonly remainder      : bigint[];
+}
+
+export interface FriShape {
+    readonly componentCount : number;
+    readonly remainderSize  : number;       // in extension field elements
+}
+
+// CLASS DEFINITION
+// ================================================================================================
+// verifies FRI proofs; LowDegreeProver builds on it, so that both sides draw challenges from the
+// transcript and fold values in exactly the same way
+export class FriVerifier {
+
+    protected readonly field            : FiniteField;
+    protected readonly extension        : ExtensionField;
+    protected readonly foldingFactor    : number;
+    protected readonly coefficients     : boolean;
+    protected readonly maxRemainder     : number;
+    protected readonly polyRowSize      : number;
+    protected readonly domain           : EvaluationDomain;
+    protected readonly idxGenerator     : QueryIndexGenerator;
+    protected readonly hash             : Hash;
+    protected readonly transcript       : Transcript;
+
+    // CONSTRUCTORS
+    // --------------------------------------------------------------------------------------------
+    constructor(idxGenerator: QueryIndexGenerator, hash: Hash, transcript: Transcript, domain: EvaluationDomain, extension: ExtensionField, options: FriOptions) {
+        this.field = domain.field;
+        this.extension = extension;
+        this.foldingFactor = options.foldingFactor;
+        this.coefficients = options.remainderCoefficients;
+        this.maxRemainder = options.maxRemainderSize;
+        this.polyRowSize = extension.elementSize * options.foldingFactor;
+        this.domain = domain;
+        this.hash = hash;
+        this.transcript = transcript;
+        this.idxGenerator = idxGenerator;
+    }
+
+    // PUBLIC METHODS
+    // --------------------------------------------------------------------------------------------
+    replayCommitments(proof: FriCommitments, nonce: number): FriChallenges {
+        // absorb all commitments in the same order as the prover, and only then draw query positions
+        this.transcript.absorb('linear combination root', proof.lcRoot);
+        const specialXs = proof.components.map(component => {
+            const specialX = this.extension.prng(this.transcript.squeeze('fri folding challenge'));
+            this.transcript.absorb('fri column root', component.columnRoot);
+            return specialX;
+        });
+        this.transcript.absorb('fri remainder', writeBigInts(proof.remainder, this.field.elementSize));
+        return { ...this.drawQueries(proof.components.length, nonce), specialXs };
+    }
+
+    getShape(maxDegreePlus1: number): FriShape {
+        // fold the domain in the same way as the prover does until the remainder is reached
+        let columnLength = this.domain.size, componentCount = 0;
+        while (!this.isRemainder(columnLength, maxDegreePlus1)) {
+            columnLength = Math.floor(columnLength / this.foldingFactor);
+            maxDegreePlus1 = Math.ceil(maxDegreePlus1 / this.foldingFactor);
+            componentCount++;
+        }
+        return { componentCount, remainderSize: this.coefficients ? maxDegreePlus1 : columnLength };
+    }
+
+    checkShape(proof: FriCommitments, maxDegreePlus1: number) {
+        const shape = this.getShape(maxDegreePlus1);
+        if (proof.components.length !== shape.componentCount) {
+            throw new StarkError(`Proof must contain ${shape.componentCount} FRI layers, but it contains ${proof.components.length}`);
+        }
+        if (proof.remainder.length !== shape.remainderSize * this.extension.degree) {
+            throw new StarkError(`FRI remainder must contain ${shape.remainderSize * this.extension.degree} values, but it contains ${proof.remainder.length}`);
+        }
+    }
+
+    verify(proof: LowDegreeProof, lcValues: bigint[][], queries: FriChallenges, maxDegreePlus1: number) {
+
+        // 0 ----- check the shape of the proof first, so that no work is done for oversized remainders
+        this.checkShape(proof, maxDegreePlus1);
+
+        const foldingFactor = this.foldingFactor;
+        let domain = this.domain;
+        let columnLength = domain.size;
+
+        // powers of the given root of unity 1, p, p**2, ... such that p**foldingFactor = 1
+        const foldingRoot = this.field.exp(domain.rootOfUnity, BigInt(columnLength / foldingFactor));
+        const foldingRootsOfUnity = this.field.getPowerSeries(foldingRoot, foldingFactor).toValues();
+
+        // 1 ----- check correctness of linear combination
+        let lcProof = proof.lcProof;
+        const exeQueryPositions = queries.exePositions;
+        const lcPositions = getAugmentedPositions(exeQueryPositions, columnLength, foldingFactor);
+        const lcChecks = this.parseColumnValues(lcProof.values, exeQueryPositions, lcPositions, columnLength);
+        lcProof = rehashMerkleProofValues(lcProof, this.hash);
+        if (!MerkleTree.verifyBatch(proof.lcRoot, lcPositions, lcProof, this.hash)) {
+            throw new StarkError(`Verification of linear combination Merkle proof failed`);
+        }
+
+        for (let i = 0; i < lcValues.length; i++) {
+            if (!this.extension.isEqual(lcValues[i], lcChecks[i])) {
+                throw new StarkError(`Verification of linear combination correctness failed`);
+            }
+        }
+
+        // 2 ----- verify the recursive components of the FRI proof
+        let pRoot = proof.lcRoot;
+        columnLength = Math.floor(columnLength / foldingFactor);
+        for (let depth = 0; depth < proof.components.length; depth++) {
+            let { columnRoot, columnProof, polyProof } = proof.components[depth];
+
+            // pseudo-random x coordinate and query positions were drawn from the transcript
+            let specialX = queries.specialXs[depth];
+            let positions = queries.friPositions[depth];
+            let augmentedPositions = getAugmentedPositions(positions, columnLength, foldingFactor);
+            // verify Merkle proof for the column
+            let columnValues = this.parseColumnValues(columnProof.values, positions, augmentedPositions, columnLength);
+            columnProof = rehashMerkleProofValues(columnProof, this.hash);
+            if (!MerkleTree.verifyBatch(columnRoot, augmentedPositions, columnProof, this.hash)) {
+                throw new StarkError(`Verification of column Merkle proof failed at depth ${depth}`);
+            }
+
+            // verify Merkle proof for polynomials
+            if (polyProof.values.length !== positions.length) {
+                throw new StarkError(`Number of polynomial values does not match the number of queried positions at depth ${depth}`);
+            }
+            let polyValues = this.parsePolyValues(polyProof.values);
+            polyProof = rehashMerkleProofValues(polyProof, this.hash);
+            if (!MerkleTree.verifyBatch(pRoot, positions, polyProof, this.hash)) {
+                throw new StarkError(`Verification of polynomial Merkle proof failed at depth ${depth}`);
+            }
+
+            // build a set of x coordinates for each row polynomial
+            let xs = new Array<bigint[]>(positions.length);
+            for (let i = 0; i < positions.length; i++) {
+                let xe = domain.getPoint(positions[i]);
+                xs[i] = foldingRootsOfUnity.map(root => this.field.mul(root, xe));
+            }
+
+            // interpolate x and y values into row polynomials, one coordinate at a time
+            let xValues = this.field.newMatrixFrom(xs);
+            let polys = new Array<Matrix>(this.extension.degree);
+            for (let j = 0; j < polys.length; j++) {
+                let yValues = this.field.newMatrixFrom(polyValues.map(row => row.map(value => value[j])));
+                polys[j] = this.interpolateRows(xValues, yValues);
+            }
+            
+            // check that when the polynomials are evaluated at x, the result is equal to the corresponding column value
+            let pEvaluations = this.evaluateRows(polys, specialX);
+            for (let i = 0; i < positions.length; i++) {
+                if (pEvaluations.some((coordinate, j) => coordinate.getValue(i) !== columnValues[i][j])) {
+                    throw new StarkError(`Degree ${foldingFactor} polynomial didn't evaluate to column value at depth ${depth}`);
+                }
+            }
+
+            // update constants to check the next component
+            pRoot = columnRoot;
+            domain = domain.fold(foldingFactor);
+            maxDegreePlus1 = Math.ceil(maxDegreePlus1 / foldingFactor);
+            columnLength = Math.floor(columnLength / foldingFactor);
+        }
+
+        // 3 ----- verify the remainder of the FRI proof; its length was checked against the shape
+        let remainder = this.extension.splitValues(proof.remainder);
+        if (this.coefficients) {
+            // remainder is sent as coefficients, so its degree is bounded by the number of coefficients;
+            // values of the last column are obtained by evaluating the remainder over the last domain
+            remainder = remainder.map(r => domain.extendPoly(r));
+        }
+
+        // check that Merkle root matches up
+        const polyValues = remainder.map(r => this.field.transposeVector(r, foldingFactor));
+        const polyHashes = this.hash.digestValues(this.extension.joinRows(polyValues), this.polyRowSize);
+        const cTree = MerkleTree.create(polyHashes, this.hash);
+        if (!cTree.root.equals(pRoot)) {
+            throw new StarkError(`Remainder values do not match Merkle root of the last column`);
+        }
+        
+        if (!this.coefficients) {
+            remainder.forEach(r => this.verifyRemainder(r, maxDegreePlus1, domain));
+        }
+
+        return true;
+    }
+
+    // HELPER METHODS
+    // --------------------------------------------------------------------------------------------
+    protected isRemainder(valueCount: number, maxDegreePlus1: number): boolean {
+        // folding stops when the layer is small enough, or when its degree cannot be reduced any further
+        return valueCount <= this.maxRemainder || maxDegreePlus1 < this.foldingFactor;
+    }
+
+    protected drawQueries(componentCount: number, nonce?: number): QueryPositions {
+        // grinding happens after the last commitment, so all query positions depend on the nonce;
+        // the prover grinds for a proof-of-work nonce, the verifier checks the nonce it was given
+        const seed = this.transcript.squeeze('proof-of-work seed');
+        if (nonce === undefined) {
+            nonce = this.idxGenerator.findNonce(seed);
+        }
+        else if (!this.idxGenerator.verifyNonce(seed, nonce)) {
+            throw new StarkError(`Proof-of-work nonce does not satisfy grinding requirement`);
+        }
+        this.transcript.absorb('proof-of-work nonce', writeNumbers([nonce]));
+
+        const exePositions = this.idxGenerator.getExeIndexes(this.transcript.squeeze('execution trace queries'), this.domain.size);
+        const friPositions = new Array<number[]>(componentCount);
+        let columnLength = this.domain.size;
+        for (let depth = 0; depth < componentCount; depth++) {
+            columnLength = Math.floor(columnLength / this.foldingFactor);
+            friPositions[depth] = this.idxGenerator.getFriIndexes(this.transcript.squeeze('fri queries'), columnLength);
+        }
+        return { exePositions, friPositions, nonce };
+    }
+
+    protected interpolateRows(xs: Matrix, ys: Matrix): Matrix {
+        // quartic interpolation has an optimized implementation in the field
+        if (this.foldingFactor === 4) return this.field.interpolateQuarticBatch(xs, ys);
+
+        const xRows = this.field.matrixRowsToVectors(xs);
+        const yRows = this.field.matrixRowsToVectors(ys);
+        return this.field.newMatrixFromVectors(yRows.map((y, i) => this.field.interpolate(xRows[i], y)));
+    }
+
+    protected evaluateRows(polys: Matrix[], x: bigint[]): Vector[] {
+        // polynomials with extension field coefficients are evaluated by the extension field
+        if (this.extension.degree > 1) return this.extension.evalPolysAt(polys, x);
+        if (this.foldingFactor === 4) return [this.field.evalQuarticBatch(polys[0], x[0])];
+
+        const rows = this.field.matrixRowsToVectors(polys[0]);
+        return [this.field.newVectorFrom(rows.map(poly => this.field.evalPolyAt(poly, x[0])))];
+    }
+
+    protected verifyRemainder(remainder: Vector, maxDegreePlus1: number, domain: EvaluationDomain) {
+        // exclude points which should be skipped during evaluation
+        const positions: number[] = [];
+        for (let i = 0; i < remainder.length; i++) {
+            if (!this.idxGenerator.extensionFactor || i % this.idxGenerator.extensionFactor) {
+                positions.push(i);
+            }
+        }
+
+        // pick a subset of points from the remainder and interpolate them into a polynomial
+        const points = domain.values;
+        const xs = new Array<bigint>(maxDegreePlus1);
+        const ys = new Array<bigint>(maxDegreePlus1);
+        for (let i = 0; i < maxDegreePlus1; i++) {
+            let p = positions[i];
+            xs[i] = points.getValue(p);
+            ys[i] = remainder.getValue(p);
+        }
+        const xVector = this.field.newVectorFrom(xs);
+        const yVector = this.field.newVectorFrom(ys);
+        const poly = this.field.interpolate(xVector, yVector);
+
+        // check that polynomial evaluates correctly for all other points in the remainder
+        for (let i = maxDegreePlus1; i < positions.length; i++) {
+            let p = positions[i];
+            if (this.field.evalPolyAt(poly, points.getValue(p)) !== remainder.getValue(p)) {
+                throw new StarkError(`Remainder is not a valid degree ${maxDegreePlus1 - 1} polynomial`);
+            }
+        }
+    }
+
+    // PARSERS
+    // --------------------------------------------------------------------------------------------
+    private parsePolyValues(buffers: Buffer[]) {
+        const elementSize = this.extension.elementSize;
+
+        const result: bigint[][][] = [];
+        for (let buffer of buffers) {
+            let values = new Array<bigint[]>(this.foldingFactor), offset = 0;
+            for (let i = 0; i < this.foldingFactor; i++, offset += elementSize) {
+                values[i] = this.readElement(buffer, offset);
+            }
+            result.push(values);
+        }
+        return result;
+    }
+
+    private parseColumnValues(buffers: Buffer[], positions: number[], augmentedPositions: number[], columnLength: number) {
+        if (buffers.length !== augmentedPositions.length) {
+            throw new StarkError(`Number of column values does not match the number of queried positions`);
+        }
+        const rowLength = columnLength / this.foldingFactor;
+        const elementSize = this.extension.elementSize;
+
+        const result: bigint[][] = [];
+        for (let position of positions) {
+            let idx = augmentedPositions.indexOf(position % rowLength);
+            let buffer = buffers[idx];
+            let offset = Math.floor(position / rowLength) * elementSize;
+            result.push(this.readElement(buffer, offset));
+        }
+        return result;
+    }
+
+    private readElement(buffer: Buffer, offset: number): bigint[] {
+        const elementSize = this.field.elementSize;
+        const element = new Array<bigint>(this.extension.degree);
+        for (let j = 0; j < element.length; j++, offset += elementSize) {
+            element[j] = readBigInt(buffer, offset, elementSize);
+        }
+        return element;
+    }
+}
+
+// HELPER FUNCTIONS
+// ================================================================================================
+export function getMaxRemainderSize(options: FriOptions, extensionFactor: number): number {
+    // the degree of a layer is at most its length divided by the extension factor; so, if folding
+    // stops because the degree cannot be reduced, the layer is shorter than extensionFactor * foldingFactor
+    const { foldingFactor, maxRemainderSize } = options;
+    if (options.remainderCoefficients) return maxRemainderSize;
+    return Math.max(maxRemainderSize, extensionFactor * foldingFactor / 2);
+}
+
+export function getAugmentedPositions(positions: number[], columnLength: number, foldingFactor: number): number[] {
+    const rowLength = columnLength / foldingFactor;
+    const result = new Set<number>();
+    for (let position of positions) {
+        result.add(Math.floor(position % rowLength));
+    }
+    return Array.from(result);
+}
\ No newline at end of file
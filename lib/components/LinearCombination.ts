@@ -1,89 +1,49 @@
 // IMPORTS
 // ================================================================================================
-import { FiniteField, AirObject, Matrix, Vector } from '@guildofweavers/air-script';
+import { FiniteField, Matrix, Vector } from '@guildofweavers/air-script';
+import { Transcript } from './Transcript';
+import { ExtensionField } from './ExtensionField';
 
 // CLASS DEFINITION
 // ================================================================================================
 export class LinearCombination {
 
     readonly field                  : FiniteField
-    readonly psIncrementalDegree    : bigint;
-
-    readonly rootOfUnity            : bigint;
-    readonly domainSize             : number;
+    readonly extension              : ExtensionField;
 
     private readonly seed           : Buffer;
-    private coefficientOffset       : number;
-    private coefficients?           : Vector;
+    private coefficients?           : Vector[];
 
     // CONSTRUCTOR
     // --------------------------------------------------------------------------------------------
-    constructor(seed: Buffer, compositionDegree: number, coefficientOffset: number, context: AirObject) {
-        this.field = context.field;
-        this.seed = seed;
-        this.rootOfUnity = context.rootOfUnity;
-        this.domainSize = context.traceLength * context.extensionFactor;
-        this.coefficientOffset = coefficientOffset;
-        
-        // degree of P and S evaluations is equal to trace length
-        // here, we compute the degree by which P and S evaluations need to be increased
-        // to match the degree of composition polynomial
-        this.psIncrementalDegree = BigInt(compositionDegree - context.traceLength);
+    constructor(transcript: Transcript, extension: ExtensionField) {
+        this.field = extension.base;
+        this.extension = extension;
+        this.seed = transcript.squeeze('linear combination coefficients');
     }
 
     // PUBLIC METHODS
     // --------------------------------------------------------------------------------------------
-    computeMany(cEvaluations: Vector, pEvaluations: Matrix, sEvaluations: Vector[]): Vector {
-        let allEvaluations: Vector[];
+    computeMany(cEvaluations: Vector[], pEvaluations: Matrix, sEvaluations: Vector[]): Vector[] {
 
+        // C columns, P, and S polynomials are all of trace degree, so they can be combined directly;
+        // coordinates of C columns in the extension field are combined as separate polynomials
         const pVectors = this.field.matrixRowsToVectors(pEvaluations);
-
-        // raise degree of P, S, B evaluations to match combination degree        
-        const psEvaluations = [...pVectors, ...sEvaluations];
-        const psEvaluations2: Vector[] = [];
-        if (this.psIncrementalDegree > 0n) {
-            const powerSeed = this.field.exp(this.rootOfUnity, this.psIncrementalDegree);
-            const psPowers = this.field.getPowerSeries(powerSeed, this.domainSize);
-            
-            // raise the degree of P and S evaluations
-            for (let i = 0; i < psEvaluations.length; i++) {
-                psEvaluations2.push(this.field.mulVectorElements(psEvaluations[i], psPowers));
-            }
-        }
-
-        // put all evaluations together
-        allEvaluations = [...psEvaluations, ...psEvaluations2];
+        const allEvaluations = [...cEvaluations, ...pVectors, ...sEvaluations];
 
         // compute a linear combination of all evaluations
-        let coefficients = this.field.prng(this.seed, this.coefficientOffset + allEvaluations.length).toValues();
-        this.coefficients = this.field.newVectorFrom(coefficients.slice(this.coefficientOffset));
-        const psCombination = this.field.combineManyVectors(allEvaluations, this.coefficients);
-
-        // add P and S combination to C evaluations and return
-        return this.field.addVectorElements(cEvaluations, psCombination);
+        this.coefficients = this.extension.prngVector(this.seed, allEvaluations.length);
+        return this.extension.combineBaseVectors(allEvaluations, this.coefficients);
     }
 
-    computeOne(x: bigint, dValue: bigint, pValues: bigint[], sValues: bigint[]): bigint {
-        let allValues: Vector;
-        
-        // raise degree of P and S values, when needed
-        const psValues = [...pValues, ...sValues];
-        let psVector = this.field.newVectorFrom(psValues);
-        let psValues2: bigint[] = [];
-        if (this.psIncrementalDegree > 0n) {
-            let power = this.field.exp(x, this.psIncrementalDegree);
-            psValues2 = this.field.mulVectorElements(psVector, power).toValues();
-        }
+    computeOne(x: bigint, cValues: bigint[], pValues: bigint[], sValues: bigint[]): bigint[] {
 
-        // put all evaluations together
-        allValues = this.field.newVectorFrom([...psValues, ...psValues2]);
+        // put all evaluations together; x is not needed because no degree adjustment takes place
+        const allValues = [...cValues, ...pValues, ...sValues];
 
         if (!this.coefficients) {
-            let coefficients = this.field.prng(this.seed, this.coefficientOffset + allValues.length).toValues();
-            this.coefficients = this.field.newVectorFrom(coefficients.slice(this.coefficientOffset));
+            this.coefficients = this.extension.prngVector(this.seed, allValues.length);
         }
-        const psCombination = this.field.combineVectors(allValues, this.coefficients);
-
-        return this.field.add(dValue, psCombination);
+        return this.extension.combineBaseValues(allValues, this.coefficients);
     }
-}
\ No newline at end of file
+}
@@ -1,7 +1,11 @@
 // IMPORTS
 // ================================================================================================
-import * as crypto from 'crypto';
 import { SecurityOptions } from '@guildofweavers/genstark';
+import { Hash } from '@guildofweavers/merkle';
+
+// MODULE VARIABLES
+// ================================================================================================
+const MAX_NONCE = 0xFFFFFFFF;
 
 // CLASS DEFINITION
 // ================================================================================================
@@ -10,26 +14,51 @@ export class QueryIndexGenerator {
     readonly extensionFactor    : number;
     readonly exeQueryCount      : number;
     readonly friQueryCount      : number;
+    readonly grindingBits       : number;
 
-    constructor(options: SecurityOptions) {
+    private readonly hash       : Hash;
+
+    constructor(hash: Hash, options: SecurityOptions) {
+        this.hash = hash;
         this.extensionFactor = options.extensionFactor;
         this.exeQueryCount = options.exeQueryCount;
         this.friQueryCount = options.friQueryCount;
+        this.grindingBits = options.grindingBits || 0;
+    }
+
+    findNonce(seed: Buffer): number {
+        if (!this.grindingBits) return 0;
+        for (let nonce = 0; nonce <= MAX_NONCE; nonce++) {
+            if (this.verifyNonce(seed, nonce)) return nonce;
+        }
+        throw new Error(`Could not find a nonce for ${this.grindingBits} grinding bits`);
+    }
+
+    verifyNonce(seed: Buffer, nonce: number): boolean {
+        if (!Number.isInteger(nonce) || nonce < 0 || nonce > MAX_NONCE) return false;
+        if (!this.grindingBits) return nonce === 0;
+
+        const nonceBuffer = Buffer.allocUnsafe(4);
+        nonceBuffer.writeUInt32LE(nonce, 0);
+        const digest = this.hash.digest(Buffer.concat([seed, nonceBuffer]));
+        return countLeadingZeros(digest) >= this.grindingBits;
     }
 
     getExeIndexes(seed: Buffer, domainSize: number): number[] {
         const queryCount = Math.min(this.exeQueryCount, domainSize - domainSize / this.extensionFactor);
-        return getPseudorandomIndexes(seed, queryCount, domainSize, this.extensionFactor);
+        return getPseudorandomIndexes(this.hash, seed, queryCount, domainSize, this.extensionFactor);
     }
 
     getFriIndexes(seed: Buffer, columnLength: number) {
-        return getPseudorandomIndexes(seed, this.friQueryCount, columnLength, this.extensionFactor);
+        // short columns (possible with small FRI remainders) are queried at all eligible positions
+        const queryCount = Math.min(this.friQueryCount, columnLength - Math.ceil(columnLength / this.extensionFactor));
+        return getPseudorandomIndexes(this.hash, seed, queryCount, columnLength, this.extensionFactor);
     }
 }
 
 // HELPER FUNCTIONS
 // ================================================================================================
-function getPseudorandomIndexes(seed: Buffer, count: number, max: number, excludeMultiplesOf = 0): number[] {
+function getPseudorandomIndexes(hash: Hash, seed: Buffer, count: number, max: number, excludeMultiplesOf = 0): number[] {
     const maxCount = excludeMultiplesOf ? max - max / excludeMultiplesOf : max;
     if (maxCount < count) throw Error(`Cannot select ${count} unique pseudorandom indexes from ${max} values`);
     
@@ -38,9 +67,9 @@ function getPseudorandomIndexes(seed: Buffer, count: number, max: number, exclud
     const skip = BigInt(excludeMultiplesOf);
     const indexes = new Set<bigint>();
 
-    const state = sha256(seed);
+    const state = digestToBigInt(hash, seed);
     for (let i = 0n; i < maxIterations; i++) {
-        let index = sha256(state + i) % modulus;
+        let index = digestToBigInt(hash, state + i) % modulus;
         if (skip && index % skip === 0n) continue;  // if the index should be excluded, skip it
         if (indexes.has(index)) continue;           // if the index is already in the list, skip it
         indexes.add(index);
@@ -58,11 +87,31 @@ function getPseudorandomIndexes(seed: Buffer, count: number, max: number, exclud
     return result;
 }
 
-function sha256(value: bigint | Buffer): bigint {
-    const buffer = (typeof value === 'bigint')
-        ? Buffer.from(value.toString(16), 'hex')
-        : value;
+function countLeadingZeros(buffer: Buffer): number {
+    let result = 0;
+    for (let byte of buffer) {
+        if (byte === 0) {
+            result += 8;
+            continue;
+        }
+        result += Math.clz32(byte) - 24;
+        break;
+    }
+    return result;
+}
+
+function digestToBigInt(hash: Hash, value: bigint | Buffer): bigint {
+    let buffer: Buffer;
+    if (typeof value === 'bigint') {
+        const hex = value.toString(16);
+        buffer = Buffer.from((hex.length & 1) ? `0${hex}` : hex, 'hex');
+    }
+    else {
+        buffer = value;
+    }
 
-    const hash = crypto.createHash('sha256').update(buffer);
-    return BigInt('0x' + hash.digest().toString('hex'));
+    // digests are read as little-endian numbers because digests of algebraic hash functions consist
+    // of field elements, the most significant bytes of which may always be zeros
+    const digest = Buffer.from(hash.digest(buffer)).reverse();
+    return BigInt('0x' + digest.toString('hex'));
 }
\ No newline at end of file
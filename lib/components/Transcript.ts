@@ -0,0 +1,49 @@
+// IMPORTS
+// ================================================================================================
+import { Hash } from '@guildofweavers/merkle';
+
+// MODULE VARIABLES
+// ================================================================================================
+const ABSORB_TAG = 0;
+const SQUEEZE_TAG = 1;
+
+// CLASS DEFINITION
+// ================================================================================================
+// Fiat-Shamir transcript: public data and commitments are absorbed into it, and random challenges
+// are squeezed from it; prover and verifier must absorb and squeeze in exactly the same order
+export class Transcript {
+
+    private readonly hash   : Hash;
+    private state           : Buffer;
+
+    // CONSTRUCTOR
+    // --------------------------------------------------------------------------------------------
+    constructor(hash: Hash, protocol: string) {
+        this.hash = hash;
+        this.state = hash.digest(Buffer.from(protocol));
+    }
+
+    // PUBLIC METHODS
+    // --------------------------------------------------------------------------------------------
+    absorb(label: string, data: Buffer) {
+        this.state = this.hash.digest(Buffer.concat([this.state, encodeHeader(ABSORB_TAG, label, data.byteLength), data]));
+    }
+
+    squeeze(label: string): Buffer {
+        const challenge = this.hash.digest(Buffer.concat([this.state, encodeHeader(SQUEEZE_TAG, label, 0)]));
+        this.state = this.hash.merge(this.state, challenge);
+        return challenge;
+    }
+}
+
+// HELPER FUNCTIONS
+// ================================================================================================
+function encodeHeader(tag: number, label: string, dataLength: number): Buffer {
+    const labelBuffer = Buffer.from(label);
+    const header = Buffer.allocUnsafe(9 + labelBuffer.byteLength);
+    let offset = header.writeUInt8(tag, 0);
+    offset = header.writeUInt32LE(labelBuffer.byteLength, offset);
+    offset += labelBuffer.copy(header, offset);
+    header.writeUInt32LE(dataLength, offset);
+    return header;
+}
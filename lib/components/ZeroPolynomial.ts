@@ -1,6 +1,7 @@
 // IMPORTS
 // ================================================================================================
-import { FiniteField, AirObject, Vector } from '@guildofweavers/air-script';
+import { FiniteField, AirObject } from '@guildofweavers/air-script';
+import { EvaluationDomain } from './EvaluationDomain';
 
 // CLASS DEFINITION
 // ================================================================================================
@@ -33,13 +34,18 @@ export class ZeroPolynomial {
         return z;
     }
 
-    evaluateAll(domain: Vector) {
-        const domainSize = domain.length;
+    evaluateAll(domain: EvaluationDomain) {
+        const domainSize = domain.size;
         const traceLength = Number.parseInt(this.traceLength.toString(10), 10);
 
-        const xToTheSteps = this.field.pluckVector(domain, traceLength, domainSize);
+        // for a coset, plucking yields offset * rou^(i * steps), so it needs to be adjusted by offset^(steps - 1)
+        let xToTheSteps = this.field.pluckVector(domain.values, traceLength, domainSize);
+        if (domain.isCoset) {
+            const adjustment = this.field.exp(domain.offset, this.traceLength - 1n);
+            xToTheSteps = this.field.mulVectorElements(xToTheSteps, adjustment);
+        }
         const numEvaluations = this.field.subVectorElements(xToTheSteps, this.field.one);
-        const denEvaluations  = this.field.subVectorElements(domain, this.xAtLastStep);
+        const denEvaluations  = this.field.subVectorElements(domain.values, this.xAtLastStep);
 
         return { numerators: numEvaluations, denominators: denEvaluations };
     }
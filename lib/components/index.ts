@@ -1,4 +1,10 @@
 export { CompositionPolynomial } from './CompositionPolynomial';
+export { ConstraintChecker } from './ConstraintChecker';
 export { LinearCombination } from './LinearCombination';
 export { LowDegreeProver } from './LowDegreeProver';
-export { QueryIndexGenerator } from './QueryIndexGenerator';
\ No newline at end of file
+export { FriVerifier } from './FriVerifier';
+export { QueryIndexGenerator } from './QueryIndexGenerator';
+export { Transcript } from './Transcript';
+export { EvaluationDomain } from './EvaluationDomain';
+export { DeepComposition } from './DeepComposition';
+export { ExtensionField } from './ExtensionField';
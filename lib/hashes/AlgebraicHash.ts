@@ -0,0 +1,243 @@
+// IMPORTS
+// ================================================================================================
+import { FiniteField } from '@guildofweavers/air-script';
+import { Hash, HashAlgorithm, Vector } from '@guildofweavers/merkle';
+import { readBigInt, writeBigInt } from '../utils/serialization';
+import { gcd } from '../utils/math';
+
+// MODULE VARIABLES
+// ================================================================================================
+const DIGEST_ENTROPY = 256;
+export const SECURITY_LEVEL = DIGEST_ENTROPY / 2;   // security level (in bits) for which permutation parameters are generated
+
+// inputs are absorbed either as field elements, or, if they contain values which are not valid field
+// elements, as packed bytes; the encoding is recorded in the capacity so that the two cannot collide
+const ELEMENT_ENCODING = 0;
+const PACKED_ENCODING = 1;
+
+// CLASS DEFINITION
+// ================================================================================================
+// Sponge construction over a prime field: the state consists of 3d field elements, 2d of which
+// form the rate and d of which form the capacity, and the digest consists of d elements, where d
+// is the number of field elements needed to hold 256 bits. Inputs which consist of valid field
+// elements of field.elementSize bytes (little-endian) are absorbed as-is, so values of Merkle leaves
+// are hashed as field elements, and merging two digests takes a single permutation; all other inputs
+// are split into chunks small enough to be valid field elements, so that the encoding is injective.
+// Permutations are instantiated with parameters generated as specified by their reference
+// implementations for the field, the state width, and SECURITY_LEVEL bits of security.
+export abstract class AlgebraicHash implements Hash {
+
+    readonly algorithm      : HashAlgorithm;
+    readonly field          : FiniteField;
+    readonly digestLength   : number;
+    readonly rate           : number;
+    readonly stateWidth     : number;
+    readonly chunkSize      : number;   // number of bytes which always fit into a field element
+
+    // CONSTRUCTOR
+    // --------------------------------------------------------------------------------------------
+    constructor(algorithm: string, field: FiniteField) {
+        // the type of the algorithm property comes from the merkle package, which knows only of
+        // its own algorithms
+        this.algorithm = algorithm as HashAlgorithm;
+        this.field = field;
+        this.digestLength = Math.ceil(DIGEST_ENTROPY / field.characteristic.toString(2).length);
+        this.rate = 2 * this.digestLength;
+        this.stateWidth = this.rate + this.digestLength;
+        this.chunkSize = Math.floor((field.characteristic.toString(2).length - 1) / 8);
+        if (this.chunkSize < 1) {
+            throw new Error(`Algebraic hash functions cannot be defined over fields smaller than 2^9`);
+        }
+    }
+
+    // PUBLIC ACCESSORS
+    // --------------------------------------------------------------------------------------------
+    get digestSize(): number {
+        return this.digestLength * this.field.elementSize;
+    }
+
+    get isOptimized(): boolean {
+        return false;
+    }
+
+    // PUBLIC METHODS
+    // --------------------------------------------------------------------------------------------
+    digest(value: Buffer): Buffer {
+        const elementSize = this.field.elementSize;
+
+        // input length and encoding go into the capacity so that inputs which differ only in
+        // trailing zeros, or which are encoded differently, do not collide; the value is written in
+        // base p, so that every capacity element is a valid field element even in small fields
+        let encoding = ELEMENT_ENCODING;
+        let elements = this.readElements(value);
+        if (!elements) {
+            encoding = PACKED_ENCODING;
+            elements = this.packBytes(value);
+        }
+
+        let state = new Array<bigint>(this.stateWidth).fill(this.field.zero);
+        let header = BigInt(2 * value.byteLength + encoding);
+        for (let i = this.rate; header > 0n; i++) {
+            state[i] = header % this.field.characteristic;
+            header = header / this.field.characteristic;
+        }
+        for (let i = 0; i < elements.length || i === 0; i += this.rate) {
+            for (let j = 0; j < this.rate && i + j < elements.length; j++) {
+                state[j] = this.field.add(state[j], elements[i + j]);
+            }
+            state = this.permute(state);
+        }
+
+        const result = Buffer.allocUnsafe(this.digestSize);
+        for (let i = 0, offset = 0; i < this.digestLength; i++) {
+            offset = writeBigInt(state[i], result, offset, elementSize);
+        }
+        return result;
+    }
+
+    merge(a: Buffer, b: Buffer): Buffer {
+        return this.digest(Buffer.concat([a, b]));
+    }
+
+    buildMerkleNodes(depth: number, leaves: Vector): ArrayBuffer {
+        const digestSize = this.digestSize;
+        const nodeCount = 2 ** depth;
+        const nodes = new ArrayBuffer(nodeCount * digestSize);
+        const nodeBuffer = Buffer.from(nodes);
+        const nullLeaf = Buffer.alloc(leaves.elementSize);
+
+        // build first row of internal nodes (parents of leaves); missing leaves are assumed to be null
+        const parentCount = nodeCount / 2;
+        for (let i = 0; i < parentCount; i++) {
+            let left = (2 * i < leaves.length) ? leaves.toBuffer(2 * i, 1) : nullLeaf;
+            let right = (2 * i + 1 < leaves.length) ? leaves.toBuffer(2 * i + 1, 1) : nullLeaf;
+            this.merge(left, right).copy(nodeBuffer, (parentCount + i) * digestSize);
+        }
+
+        // calculate all other tree nodes
+        for (let i = parentCount - 1; i > 0; i--) {
+            let offset = 2 * i * digestSize;
+            this.digest(nodeBuffer.slice(offset, offset + 2 * digestSize)).copy(nodeBuffer, i * digestSize);
+        }
+
+        return nodes;
+    }
+
+    mergeVectorRows(vectors: Vector[]): Vector {
+        const rowSize = vectors.reduce((size, v) => size + v.elementSize, 0);
+        const row = Buffer.allocUnsafe(rowSize);
+        const result = new Array<Buffer>(vectors[0].length);
+        for (let i = 0; i < result.length; i++) {
+            let offset = 0;
+            for (let j = 0; j < vectors.length; j++) {
+                offset += vectors[j].copyValue(i, row, offset);
+            }
+            result[i] = this.digest(row);
+        }
+        return new DigestVector(result, this.digestSize);
+    }
+
+    digestValues(values: Buffer, valueSize: number): Vector {
+        const elementCount = values.byteLength / valueSize;
+        if (!Number.isInteger(elementCount)) {
+            throw new Error('Values buffer cannot contain partial number of elements');
+        }
+
+        const result = new Array<Buffer>(elementCount);
+        for (let i = 0, offset = 0; i < elementCount; i++, offset += valueSize) {
+            result[i] = this.digest(values.slice(offset, offset + valueSize));
+        }
+        return new DigestVector(result, this.digestSize);
+    }
+
+    // ABSTRACT METHODS
+    // --------------------------------------------------------------------------------------------
+    abstract permute(state: bigint[]): bigint[];
+
+    // HELPER METHODS
+    // --------------------------------------------------------------------------------------------
+    private readElements(value: Buffer): bigint[] | undefined {
+        // the last element is padded with zeros; returns undefined if any of the elements is not
+        // smaller than the field modulus
+        const elementSize = this.field.elementSize;
+        const elementCount = Math.ceil(value.byteLength / elementSize);
+        const padded = Buffer.alloc(elementCount * elementSize);
+        value.copy(padded);
+
+        const result = new Array<bigint>(elementCount);
+        for (let i = 0; i < elementCount; i++) {
+            result[i] = readBigInt(padded, i * elementSize, elementSize);
+            if (result[i] >= this.field.characteristic) return undefined;
+        }
+        return result;
+    }
+
+    private packBytes(value: Buffer): bigint[] {
+        // each chunk is read as a little-endian number, and is always smaller than the field modulus
+        const result = new Array<bigint>(Math.ceil(value.byteLength / this.chunkSize));
+        for (let i = 0, offset = 0; i < result.length; i++, offset += this.chunkSize) {
+            let chunk = Buffer.from(value.slice(offset, offset + this.chunkSize)).reverse();
+            result[i] = chunk.byteLength ? BigInt(`0x${chunk.toString('hex')}`) : 0n;
+        }
+        return result;
+    }
+}
+
+// DIGEST VECTOR
+// ================================================================================================
+class DigestVector implements Vector {
+
+    readonly elementSize    : number;
+    private readonly values : Buffer[];
+
+    constructor(values: Buffer[], elementSize: number) {
+        this.values = values;
+        this.elementSize = elementSize;
+    }
+
+    get length(): number {
+        return this.values.length;
+    }
+
+    get byteLength(): number {
+        return this.values.length * this.elementSize;
+    }
+
+    copyValue(index: number, destination: Buffer, offset: number): number {
+        this.values[index].copy(destination, offset);
+        return this.elementSize;
+    }
+
+    toBuffer(startIdx = 0, elementCount?: number): Buffer {
+        if (elementCount === undefined) {
+            elementCount = this.values.length - startIdx;
+        }
+        return Buffer.concat(this.values.slice(startIdx, startIdx + elementCount));
+    }
+}
+
+// PERMUTATION HELPERS
+// ================================================================================================
+export function getSboxExponent(field: FiniteField): bigint {
+    // the smallest alpha for which x^alpha is a permutation of the field
+    const order = field.characteristic - 1n;
+    for (let alpha = 3n; ; alpha += 2n) {
+        if (gcd(alpha, order) === 1n) return alpha;
+    }
+}
+
+export function getInverseExponent(field: FiniteField, alpha: bigint): bigint {
+    // inv_alpha * alpha = 1 mod (p - 1), so that (x^alpha)^inv_alpha = x
+    const order = field.characteristic - 1n;
+    let [r0, r1, t0, t1] = [order, alpha, 0n, 1n];
+    while (r1 !== 0n) {
+        let q = r0 / r1;
+        [r0, r1] = [r1, r0 - q * r1];
+        [t0, t1] = [t1, t0 - q * t1];
+    }
+    return ((t0 % order) + order) % order;
+}
+
+export function mulMds(field: FiniteField, mds: bigint[][], state: bigint[]): bigint[] {
+    return mds.map(row => row.reduce((sum, m, j) => field.add(sum, field.mul(m, state[j])), field.zero));
+}
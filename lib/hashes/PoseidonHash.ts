@@ -0,0 +1,211 @@
+// IMPORTS
+// ================================================================================================
+import { FiniteField } from '@guildofweavers/air-script';
+import { AlgebraicHash, SECURITY_LEVEL, getSboxExponent, mulMds } from './AlgebraicHash';
+
+// INTERFACES
+// ================================================================================================
+export interface PoseidonParameters {
+    readonly alpha          : bigint;
+    readonly fullRounds     : number;
+    readonly partialRounds  : number;
+    readonly mds            : bigint[][];
+    readonly constants      : bigint[][];   // one vector of stateWidth constants per round
+}
+
+// MODULE VARIABLES
+// ================================================================================================
+const MAX_PARTIAL_ROUNDS = 500;
+const MAX_FULL_ROUNDS = 100;
+const FULL_ROUND_MARGIN = 2;
+const PARTIAL_ROUND_MARGIN = 1.075;
+
+const GRAIN_WARMUP_BITS = 160;
+const MAX_MDS_ATTEMPTS = 100;
+
+// CLASS DEFINITION
+// ================================================================================================
+// Poseidon permutation (https://eprint.iacr.org/2019/458.pdf): each round adds round constants,
+// applies x^alpha S-boxes (to all elements in the first and last fullRounds / 2 rounds, and only
+// to the first element in the partial rounds in between), and then applies the MDS matrix;
+// parameters are generated in the same way as by the reference implementation of the paper
+export class PoseidonHash extends AlgebraicHash {
+
+    readonly parameters     : PoseidonParameters;
+
+    // CONSTRUCTOR
+    // --------------------------------------------------------------------------------------------
+    constructor(field: FiniteField) {
+        super('poseidon', field);
+        const alpha = getSboxExponent(field);
+        const [fullRounds, partialRounds] = getRoundCounts(field, this.stateWidth, alpha, SECURITY_LEVEL);
+        this.parameters = generateParameters(field, this.stateWidth, alpha, fullRounds, partialRounds);
+    }
+
+    // PERMUTATION
+    // --------------------------------------------------------------------------------------------
+    permute(state: bigint[]): bigint[] {
+        return permutation(this.field, this.parameters, state);
+    }
+}
+
+// PUBLIC FUNCTIONS
+// ================================================================================================
+export function generateParameters(field: FiniteField, stateWidth: number, alpha: bigint, fullRounds: number, partialRounds: number): PoseidonParameters {
+    // round constants and the MDS matrix are drawn from the same Grain LFSR, which is seeded with
+    // the parameters of the instance
+    const fieldSize = field.characteristic.toString(2).length;
+    const grain = new GrainLfsr(fieldSize, stateWidth, fullRounds, partialRounds);
+
+    const constants = new Array<bigint[]>(fullRounds + partialRounds);
+    for (let r = 0; r < constants.length; r++) {
+        constants[r] = new Array<bigint>(stateWidth);
+        for (let i = 0; i < stateWidth; i++) {
+            let value = grain.nextInteger(fieldSize);
+            while (value >= field.characteristic) {
+                value = grain.nextInteger(fieldSize);
+            }
+            constants[r][i] = value;
+        }
+    }
+
+    const mds = getMdsMatrix(field, stateWidth, grain);
+    return { alpha, fullRounds, partialRounds, mds, constants };
+}
+
+export function permutation(field: FiniteField, parameters: PoseidonParameters, state: bigint[]): bigint[] {
+    const { alpha, fullRounds, partialRounds, mds, constants } = parameters;
+    for (let r = 0; r < fullRounds + partialRounds; r++) {
+        state = state.map((v, i) => field.add(v, constants[r][i]));
+
+        if (r < fullRounds / 2 || r >= fullRounds / 2 + partialRounds) {
+            state = state.map(v => field.exp(v, alpha));
+        }
+        else {
+            state[0] = field.exp(state[0], alpha);
+        }
+
+        state = mulMds(field, mds, state);
+    }
+    return state;
+}
+
+// PARAMETER GENERATION
+// ================================================================================================
+function getRoundCounts(field: FiniteField, stateWidth: number, alpha: bigint, securityLevel: number): [number, number] {
+    // among the round counts which resist statistical, interpolation, and Groebner basis attacks,
+    // pick the ones with the fewest S-boxes, and add 2 full rounds and 7.5% of partial rounds on top
+    let best: [number, number] | undefined, bestCost = Infinity;
+    for (let partialRounds = 1; partialRounds < MAX_PARTIAL_ROUNDS; partialRounds++) {
+        for (let fullRounds = 4; fullRounds < MAX_FULL_ROUNDS; fullRounds += 2) {
+            if (!isSecure(field.characteristic, stateWidth, fullRounds, partialRounds, Number(alpha), securityLevel)) continue;
+
+            let rf = fullRounds + FULL_ROUND_MARGIN;
+            let rp = Math.ceil(partialRounds * PARTIAL_ROUND_MARGIN);
+            let cost = stateWidth * rf + rp;
+            if (cost < bestCost || (cost === bestCost && rf < best![0])) {
+                best = [rf, rp];
+                bestCost = cost;
+            }
+            break;
+        }
+    }
+    return best!;
+}
+
+function isSecure(p: bigint, t: number, rf: number, rp: number, alpha: number, m: number): boolean {
+    const n = p.toString(2).length;
+    const log2p = Math.log2(Number(p));
+    const logAlpha2 = Math.log(2) / Math.log(alpha);
+
+    const statistical = (m <= Math.floor(log2p - (alpha - 1) / 2) * (t + 1)) ? 6 : 10;
+    const interpolation = 1 + Math.ceil(logAlpha2 * Math.min(m, n)) + Math.ceil(Math.log(t) / Math.log(alpha)) - rp;
+    const groebner1 = logAlpha2 * Math.min(m, log2p) - rp;
+    const groebner2 = t - 1 + logAlpha2 * Math.min(m / (t + 1), log2p / 2) - rp;
+    const groebner3 = (t - 2 + m / (2 * Math.log2(alpha)) - rp) / (t - 1);
+    const minFullRounds = Math.max(...[statistical, interpolation, groebner1, groebner2, groebner3].map(Math.ceil));
+    if (rf < minFullRounds) return false;
+
+    // Groebner basis attack which skips the first round (https://eprint.iacr.org/2023/537.pdf)
+    const r = Math.floor(t / 3);
+    const over = (rf - 1) * t + rp + r + r * (rf / 2) + rp + alpha;
+    const under = r * (rf / 2) + rp + alpha;
+    return Math.ceil(2 * log2Binomial(over, under)) >= m;
+}
+
+function getMdsMatrix(field: FiniteField, stateWidth: number, grain: GrainLfsr): bigint[][] {
+    // Cauchy matrix 1 / (x_i + y_j) for 2 * stateWidth distinct values drawn from the LFSR; matrices
+    // with a zero denominator are discarded and drawn again; the reference implementation also
+    // discards matrices which admit invariant subspace trails, but such checks are not done here;
+    // in very small fields, suitable values may never be drawn
+    const fieldSize = field.characteristic.toString(2).length;
+    for (let attempt = 0; attempt < MAX_MDS_ATTEMPTS; attempt++) {
+        let values = new Array<bigint>(2 * stateWidth);
+        for (let i = 0; i < values.length; i++) {
+            values[i] = grain.nextInteger(fieldSize) % field.characteristic;
+        }
+        if (new Set(values).size !== values.length) continue;
+
+        let xs = values.slice(0, stateWidth), ys = values.slice(stateWidth);
+        if (xs.some(x => ys.some(y => field.add(x, y) === field.zero))) continue;
+        return xs.map(x => ys.map(y => field.inv(field.add(x, y))));
+    }
+    throw new Error(`Poseidon hash cannot be instantiated over a field this small`);
+}
+
+// GRAIN LFSR
+// ================================================================================================
+class GrainLfsr {
+
+    private readonly bits   : number[];
+
+    constructor(fieldSize: number, stateWidth: number, fullRounds: number, partialRounds: number) {
+        // 2 bits for the field type (prime field), 4 bits for the S-box type (x^alpha), 12 bits for
+        // each of field size and state width, 10 bits for each round count, and 30 bits set to 1
+        this.bits = [
+            ...toBits(1, 2), ...toBits(0, 4), ...toBits(fieldSize, 12), ...toBits(stateWidth, 12),
+            ...toBits(fullRounds, 10), ...toBits(partialRounds, 10), ...new Array(30).fill(1)
+        ];
+        for (let i = 0; i < GRAIN_WARMUP_BITS; i++) {
+            this.shift();
+        }
+    }
+
+    nextInteger(bitCount: number): bigint {
+        let result = 0n;
+        for (let i = 0; i < bitCount; i++) {
+            result = (result << 1n) | BigInt(this.nextBit());
+        }
+        return result;
+    }
+
+    private nextBit(): number {
+        // bits are produced in pairs, and the second bit of a pair is output only if the first one is 1
+        while (this.shift() === 0) {
+            this.shift();
+        }
+        return this.shift();
+    }
+
+    private shift(): number {
+        const b = this.bits;
+        const bit = b[62] ^ b[51] ^ b[38] ^ b[23] ^ b[13] ^ b[0];
+        b.shift();
+        b.push(bit);
+        return bit;
+    }
+}
+
+// HELPER FUNCTIONS
+// ================================================================================================
+function toBits(value: number, length: number): number[] {
+    return value.toString(2).padStart(length, '0').split('').map(Number);
+}
+
+function log2Binomial(n: number, k: number): number {
+    let result = 0;
+    for (let i = 1; i <= k; i++) {
+        result += Math.log2((n - k + i) / i);
+    }
+    return result;
+}
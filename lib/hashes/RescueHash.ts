@@ -0,0 +1,169 @@
+// IMPORTS
+// ================================================================================================
+import * as crypto from 'crypto';
+import { FiniteField } from '@guildofweavers/air-script';
+import { AlgebraicHash, SECURITY_LEVEL, getSboxExponent, getInverseExponent, mulMds } from './AlgebraicHash';
+import { getPrimeFactors } from '../utils/math';
+
+// INTERFACES
+// ================================================================================================
+export interface RescueParameters {
+    readonly alpha          : bigint;
+    readonly invAlpha       : bigint;
+    readonly rounds         : number;
+    readonly mds            : bigint[][];
+    readonly constants      : bigint[][];   // two vectors of stateWidth constants per round
+}
+
+// MODULE VARIABLES
+// ================================================================================================
+const MIN_ROUNDS = 5;
+const MAX_ROUNDS = 24;
+const ROUND_MARGIN = 1.5;
+
+// CLASS DEFINITION
+// ================================================================================================
+// Rescue-Prime permutation (https://eprint.iacr.org/2020/1143.pdf): each round applies x^alpha
+// S-boxes, the MDS matrix, and round constants, and then does the same with x^(1/alpha) S-boxes;
+// parameters are generated in the same way as by the reference implementation of the specification
+export class RescueHash extends AlgebraicHash {
+
+    readonly parameters     : RescueParameters;
+
+    // CONSTRUCTOR
+    // --------------------------------------------------------------------------------------------
+    constructor(field: FiniteField) {
+        super('rescue', field);
+        this.parameters = generateParameters(field, this.stateWidth, this.digestLength, SECURITY_LEVEL);
+    }
+
+    // PERMUTATION
+    // --------------------------------------------------------------------------------------------
+    permute(state: bigint[]): bigint[] {
+        return permutation(this.field, this.parameters, state);
+    }
+}
+
+// PUBLIC FUNCTIONS
+// ================================================================================================
+export function generateParameters(field: FiniteField, stateWidth: number, capacity: number, securityLevel: number): RescueParameters {
+    const alpha = getSboxExponent(field);
+    const invAlpha = getInverseExponent(field, alpha);
+    const rounds = getRoundCount(stateWidth, capacity, securityLevel, alpha);
+    const mds = getMdsMatrix(field, stateWidth);
+    const constants = getRoundConstants(field, stateWidth, capacity, securityLevel, rounds);
+    return { alpha, invAlpha, rounds, mds, constants };
+}
+
+export function permutation(field: FiniteField, parameters: RescueParameters, state: bigint[]): bigint[] {
+    const { alpha, invAlpha, mds, constants } = parameters;
+    for (let r = 0; r < parameters.rounds; r++) {
+        state = state.map(v => field.exp(v, alpha));
+        state = addConstants(field, mulMds(field, mds, state), constants[2 * r]);
+
+        state = state.map(v => field.exp(v, invAlpha));
+        state = addConstants(field, mulMds(field, mds, state), constants[2 * r + 1]);
+    }
+    return state;
+}
+
+// PARAMETER GENERATION
+// ================================================================================================
+function getRoundCount(stateWidth: number, capacity: number, securityLevel: number, alpha: bigint): number {
+    // the smallest number of rounds for which the complexity of a Groebner basis attack exceeds the
+    // security level, with a margin of 50% and no fewer than 5 rounds before the margin is applied
+    const rate = stateWidth - capacity;
+    const target = 2n**BigInt(securityLevel);
+    let rounds = 1;
+    for (; rounds < MAX_ROUNDS; rounds++) {
+        let dcon = Math.floor(0.5 * Number(alpha - 1n) * stateWidth * (rounds - 1) + 2);
+        let v = stateWidth * (rounds - 1) + rate;
+        if (binomial(v + dcon, v)**2n > target) break;
+    }
+    return Math.ceil(ROUND_MARGIN * Math.max(MIN_ROUNDS, rounds));
+}
+
+function getMdsMatrix(field: FiniteField, stateWidth: number): bigint[][] {
+    // the MDS matrix is the transpose of the right half of the reduced row echelon form of the
+    // stateWidth x 2*stateWidth Vandermonde matrix of powers of the smallest primitive element
+    const g = getPrimitiveElement(field);
+    const matrix = new Array<bigint[]>(stateWidth);
+    for (let i = 0; i < stateWidth; i++) {
+        matrix[i] = new Array<bigint>(2 * stateWidth);
+        for (let j = 0; j < 2 * stateWidth; j++) {
+            matrix[i][j] = field.exp(g, BigInt(i * j));
+        }
+    }
+
+    // the left half of a Vandermonde matrix over distinct points is invertible, so every column
+    // of it has a pivot
+    for (let c = 0; c < stateWidth; c++) {
+        let pivot = c;
+        while (matrix[pivot][c] === field.zero) pivot++;
+        [matrix[c], matrix[pivot]] = [matrix[pivot], matrix[c]];
+
+        let inverse = field.inv(matrix[c][c]);
+        matrix[c] = matrix[c].map(v => field.mul(v, inverse));
+        for (let i = 0; i < stateWidth; i++) {
+            if (i === c || matrix[i][c] === field.zero) continue;
+            let factor = matrix[i][c];
+            matrix[i] = matrix[i].map((v, j) => field.sub(v, field.mul(factor, matrix[c][j])));
+        }
+    }
+
+    const result = new Array<bigint[]>(stateWidth);
+    for (let i = 0; i < stateWidth; i++) {
+        result[i] = new Array<bigint>(stateWidth);
+        for (let j = 0; j < stateWidth; j++) {
+            result[i][j] = matrix[j][stateWidth + i];
+        }
+    }
+    return result;
+}
+
+function getRoundConstants(field: FiniteField, stateWidth: number, capacity: number, securityLevel: number, rounds: number): bigint[][] {
+    // constants are read as little-endian integers from SHAKE256 output, one byte longer than the
+    // field modulus each, and reduced modulo p; typings of Node 12 do not know of outputLength
+    const p = field.characteristic;
+    const bytesPerConstant = Math.ceil(p.toString(2).length / 8) + 1;
+    const seed = `Rescue-XLIX(${p},${stateWidth},${capacity},${securityLevel})`;
+    const bytes = crypto.createHash('shake256', { outputLength: bytesPerConstant * 2 * stateWidth * rounds } as any)
+        .update(seed, 'ascii')
+        .digest();
+
+    const result = new Array<bigint[]>(2 * rounds);
+    for (let i = 0, offset = 0; i < result.length; i++) {
+        result[i] = new Array<bigint>(stateWidth);
+        for (let j = 0; j < stateWidth; j++, offset += bytesPerConstant) {
+            let chunk = Buffer.from(bytes.slice(offset, offset + bytesPerConstant)).reverse();
+            result[i][j] = BigInt(`0x${chunk.toString('hex')}`) % p;
+        }
+    }
+    return result;
+}
+
+// HELPER FUNCTIONS
+// ================================================================================================
+function getPrimitiveElement(field: FiniteField): bigint {
+    const order = field.characteristic - 1n;
+    const factors = getPrimeFactors(order);
+    if (!factors) {
+        throw new Error(`Rescue hash cannot be instantiated over a field for which p - 1 cannot be factored`);
+    }
+
+    for (let g = 2n; ; g++) {
+        if (factors.every(q => field.exp(g, order / q) !== field.one)) return g;
+    }
+}
+
+function binomial(n: number, k: number): bigint {
+    let result = 1n;
+    for (let i = 1; i <= k; i++) {
+        result = result * BigInt(n - k + i) / BigInt(i);
+    }
+    return result;
+}
+
+function addConstants(field: FiniteField, state: bigint[], constants: bigint[]): bigint[] {
+    return state.map((v, i) => field.add(v, constants[i]));
+}
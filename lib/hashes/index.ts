@@ -0,0 +1,79 @@
+// IMPORTS
+// ================================================================================================
+import { HashFactory } from '@guildofweavers/genstark';
+import { FiniteField } from '@guildofweavers/air-script';
+import { createHash, Hash, WasmOptions } from '@guildofweavers/merkle';
+import { RescueHash } from './RescueHash';
+import { PoseidonHash } from './PoseidonHash';
+import { AlgebraicHash } from './AlgebraicHash';
+
+// INTERFACES
+// ================================================================================================
+interface HashRegistration {
+    readonly factory        : HashFactory;
+    readonly modulePath?    : string;
+}
+
+// MODULE VARIABLES
+// ================================================================================================
+const HASH_METHODS = ['digest', 'merge', 'buildMerkleNodes', 'mergeVectorRows', 'digestValues'];
+const BUILT_IN_HASHES = ['sha256', 'blake2s256', 'rescue', 'poseidon'];
+export const MAX_ALGORITHM_NAME_LENGTH = 255; // algorithm name is recorded in proof headers
+
+const registry = new Map<string, HashRegistration>();
+registry.set('sha256', { factory: (field, wasmOptions) => createBuiltInHash('sha256', wasmOptions) });
+registry.set('blake2s256', { factory: (field, wasmOptions) => createBuiltInHash('blake2s256', wasmOptions) });
+registry.set('rescue', { factory: (field) => new RescueHash(field) });
+registry.set('poseidon', { factory: (field) => new PoseidonHash(field) });
+
+// PUBLIC FUNCTIONS
+// ================================================================================================
+export function registerHash(algorithm: string, factory: HashFactory, modulePath?: string): void {
+    if (typeof algorithm !== 'string' || !algorithm) throw new TypeError('Hash algorithm name must be a non-empty string');
+    if (Buffer.byteLength(algorithm) > MAX_ALGORITHM_NAME_LENGTH) throw new TypeError(`Hash algorithm name cannot be longer than ${MAX_ALGORITHM_NAME_LENGTH} bytes`);
+    if (typeof factory !== 'function') throw new TypeError('Hash factory must be a function');
+    if (modulePath !== undefined && typeof modulePath !== 'string') throw new TypeError('Hash module path must be a string');
+    if (registry.has(algorithm)) throw new TypeError(`Hash algorithm ${algorithm} has already been registered`);
+    registry.set(algorithm, { factory, modulePath });
+}
+
+export function isHashRegistered(algorithm: string): boolean {
+    return registry.has(algorithm);
+}
+
+export function getHashModulePath(algorithm: string): string | undefined {
+    const registration = registry.get(algorithm);
+    return registration ? registration.modulePath : undefined;
+}
+
+export function isBuiltInHash(algorithm: string): boolean {
+    return BUILT_IN_HASHES.includes(algorithm);
+}
+
+export function instantiateHash(algorithm: string, field: FiniteField, wasmOptions?: WasmOptions): Hash {
+    const registration = registry.get(algorithm);
+    if (!registration) throw new TypeError(`Hash algorithm ${algorithm} is not supported`);
+
+    const hash = registration.factory(field, wasmOptions);
+    if (!hash || HASH_METHODS.some(method => typeof (hash as any)[method] !== 'function')) {
+        throw new TypeError(`Hash factory for ${algorithm} algorithm did not return a valid Hash object`);
+    }
+    else if (!Number.isInteger(hash.digestSize) || hash.digestSize < 1) {
+        throw new TypeError(`Digest size of ${algorithm} hash algorithm must be a positive integer`);
+    }
+    return hash;
+}
+
+export function getCollisionResistance(hash: Hash): number {
+    // digests of algebraic hashes consist of field elements which do not fill all their bytes
+    if (hash instanceof AlgebraicHash) {
+        return Math.floor(hash.digestLength * Math.log2(Number(hash.field.characteristic)) / 2);
+    }
+    return hash.digestSize * 4;
+}
+
+// HELPER FUNCTIONS
+// ================================================================================================
+function createBuiltInHash(algorithm: 'sha256' | 'blake2s256', wasmOptions?: WasmOptions): Hash {
+    return wasmOptions ? createHash(algorithm, wasmOptions) : createHash(algorithm, false);
+}
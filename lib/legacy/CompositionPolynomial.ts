@@ -0,0 +1,144 @@
+// IMPORTS
+// ================================================================================================
+import { Assertion } from "@guildofweavers/genstark";
+import { FiniteField, Vector, VerificationObject, ConstraintSpecs } from "@guildofweavers/air-script";
+import { BoundaryConstraints } from "../components/BoundaryConstraints";
+import { ZeroPolynomial } from "../components/ZeroPolynomial";
+
+// CLASS DEFINITION
+// ================================================================================================
+// Composition polynomial of legacy proofs: constraint degrees are adjusted to a single combination
+// degree, and coefficients of the combination are derived from the evaluation root
+export class CompositionPolynomial {
+
+    private readonly field              : FiniteField;
+    private readonly combinationDegree  : number;
+    private readonly constraintGroups   : { degree: number; indexes: number[]; }[];
+
+    private readonly dCoefficients      : Vector;
+    private readonly bCoefficients      : Vector;
+
+    private readonly bPoly              : BoundaryConstraints;
+    private readonly zPoly              : ZeroPolynomial;
+
+    readonly compositionDegree          : number;
+
+    // CONSTRUCTOR
+    // --------------------------------------------------------------------------------------------
+    constructor(constraints: ConstraintSpecs[], assertions: Assertion[], seed: Buffer, context: VerificationObject) {
+
+        this.field = context.field;
+        this.bPoly = new BoundaryConstraints(assertions, context);
+        this.zPoly = new ZeroPolynomial(context);
+
+        // degree of trace polynomial combination
+        this.combinationDegree = getCombinationDegree(constraints, context.traceLength);
+
+        // degree of composition polynomial is deg(C(x)) = deg(Q(x)) - deg(Z(x))
+        this.compositionDegree = Math.max(this.combinationDegree - context.traceLength, context.traceLength);
+
+        // group transition constraints together by their degree
+        this.constraintGroups = groupTransitionConstraints(constraints, context.traceLength);
+
+        // create coefficients needed for linear combination
+        let dCoefficientCount = constraints.length;
+        for (let { degree, indexes } of this.constraintGroups) {
+            if (degree < this.combinationDegree) {
+                dCoefficientCount += indexes.length;
+            }
+        }
+
+        let bCoefficientCount = this.bPoly.count;
+        if (this.compositionDegree > context.traceLength) {
+            bCoefficientCount = bCoefficientCount * 2;
+        }
+
+        const coefficients = this.field.prng(seed, dCoefficientCount + bCoefficientCount).toValues();
+        this.dCoefficients = this.field.newVectorFrom(coefficients.slice(0, dCoefficientCount));
+        this.bCoefficients = this.field.newVectorFrom(coefficients.slice(dCoefficientCount));
+    }
+
+    // PUBLIC ACCESSORS
+    // --------------------------------------------------------------------------------------------
+    get coefficientCount(): number {
+        return this.dCoefficients.length + this.bCoefficients.length;
+    }
+
+    // VERIFICATION METHODS
+    // --------------------------------------------------------------------------------------------
+    evaluateAt(x: bigint, pValues: bigint[], nValues: bigint[], hValues: bigint[], context: VerificationObject): bigint {
+
+        // evaluate transition constraints at x
+        const qValues = context.evaluateConstraintsAt(x, pValues, nValues, hValues);
+
+        // adjust transition constraint degrees
+        for (let { degree, indexes } of this.constraintGroups) {
+            if (degree === this.combinationDegree) continue;
+
+            let constraintIncrementalDegree = BigInt(this.combinationDegree - degree);
+            let power = this.field.exp(x, constraintIncrementalDegree);
+            for (let i of indexes) {
+                qValues.push(this.field.mul(qValues[i], power));
+            }
+        }
+
+        // merge transition constraint evaluations into a single value
+        const qVector = this.field.newVectorFrom(qValues);
+        const qcValue = this.field.combineVectors(qVector, this.dCoefficients);
+
+        // compute D(x) = Q(x) / Z(x)
+        const zValue = this.zPoly.evaluateAt(x);
+        const dValue = this.field.div(qcValue, zValue);
+
+        // evaluate boundary constraints at x
+        const bValues = this.bPoly.evaluateAt(pValues, x);
+
+        // adjust boundary constraint degrees
+        const bIncrementalDegree = BigInt(this.compositionDegree - context.traceLength);
+        if (bIncrementalDegree > 0n) {
+            let power = this.field.exp(x, bIncrementalDegree);
+            for (let i = 0; i < this.bPoly.count; i++) {
+                bValues.push(this.field.mul(bValues[i], power));
+            }
+        }
+
+        // merge boundary constraint evaluations into a single value
+        const bVector = this.field.newVectorFrom(bValues);
+        const bValue = this.field.combineVectors(bVector, this.bCoefficients);
+
+        return this.field.add(dValue, bValue);
+    }
+}
+
+// HELPER FUNCTIONS
+// ================================================================================================
+function getCombinationDegree(constraints: ConstraintSpecs[], traceLength: number) {
+    let maxConstraintDegree = 1;
+    for (let constraint of constraints) {
+        if (maxConstraintDegree < constraint.degree) {
+            maxConstraintDegree = constraint.degree;
+        }
+    }
+    return 2**Math.ceil(Math.log2(maxConstraintDegree)) * traceLength;
+}
+
+function groupTransitionConstraints(constraints: ConstraintSpecs[], traceLength: number) {
+
+    const constraintGroups = new Map<number, number[]>();
+    for (let i = 0; i < constraints.length; i++) {
+        let degree = (constraints[i].degree * traceLength);
+        let group = constraintGroups.get(degree);
+        if (!group) {
+            group = [];
+            constraintGroups.set(degree, group);
+        }
+        group.push(i);
+    }
+
+    const result = [] as { degree: number; indexes: number[]; }[];
+    for (let [degree, indexes] of constraintGroups) {
+        result.push({ degree, indexes });
+    }
+
+    return result;
+}
@@ -0,0 +1,172 @@
+// IMPORTS
+// ================================================================================================
+import { Assertion, LegacyStarkProof, SecurityOptions, LogFunction } from '@guildofweavers/genstark';
+import { MerkleTree, Hash } from '@guildofweavers/merkle';
+import { AirModule } from '@guildofweavers/air-script';
+import { CompositionPolynomial } from './CompositionPolynomial';
+import { LinearCombination } from './LinearCombination';
+import { LowDegreeVerifier } from './LowDegreeVerifier';
+import { QueryIndexGenerator } from './QueryIndexGenerator';
+import { readBigInt } from '../utils/serialization';
+import { rehashMerkleProofValues } from '../utils/merkle';
+import { StarkError } from '../StarkError';
+
+// MODULE VARIABLES
+// ================================================================================================
+const LEGACY_FOLDING_FACTOR = 4;
+
+// CLASS DEFINITION
+// ================================================================================================
+// Verifies proofs in the format which preceded the proof header: such proofs have no composition
+// tree, out-of-domain values or proof-of-work, and all of their random values are derived from
+// Merkle roots rather than from a transcript
+export class LegacyVerifier {
+
+    readonly air                : AirModule;
+    readonly hash               : Hash;
+    readonly extensionFactor    : number;
+    readonly indexGenerator     : QueryIndexGenerator;
+
+    // CONSTRUCTOR
+    // --------------------------------------------------------------------------------------------
+    constructor(air: AirModule, hash: Hash, extensionFactor: number, exeQueryCount: number, friQueryCount: number) {
+        this.air = air;
+        this.hash = hash;
+        this.extensionFactor = extensionFactor;
+        this.indexGenerator = new QueryIndexGenerator(extensionFactor, exeQueryCount, friQueryCount);
+    }
+
+    // PUBLIC METHODS
+    // --------------------------------------------------------------------------------------------
+    verify(assertions: Assertion[], proof: LegacyStarkProof, auxPublicInputs: bigint[][], log: LogFunction) {
+
+        // 1 ----- set up evaluation context
+        const field = this.air.field;
+        const eRoot = proof.evRoot;
+        const extensionFactor = this.extensionFactor;
+        const context = this.air.initVerification(proof.traceShape, auxPublicInputs);
+        const evaluationDomainSize = context.traceLength * extensionFactor;
+
+        const cPoly = new CompositionPolynomial(this.air.constraints, assertions, eRoot, context);
+        const lCombination = new LinearCombination(eRoot, cPoly.compositionDegree, cPoly.coefficientCount, context);
+        log('Set up evaluation context', { traceLength: context.traceLength, evaluationDomainSize });
+
+        // 2 ----- compute positions for evaluation spot-checks
+        const positions = this.indexGenerator.getExeIndexes(proof.ldProof.lcRoot, evaluationDomainSize);
+        const augmentedPositions = getAugmentedPositions(positions, extensionFactor, evaluationDomainSize);
+        log(`Computed positions for evaluation spot checks`);
+
+        // 3 ----- decode evaluation spot-checks
+        if (proof.evProof.values.length !== augmentedPositions.length) {
+            throw new StarkError(`Number of evaluation spot checks does not match the number of queried positions`);
+        }
+        const pEvaluations = new Map<number, bigint[]>();
+        const hEvaluations = new Map<number, bigint[]>();
+
+        for (let i = 0; i < proof.evProof.values.length; i++) {
+            let [p, h] = this.parseValues(proof.evProof.values[i]);
+            pEvaluations.set(augmentedPositions[i], p);
+            hEvaluations.set(augmentedPositions[i], h);
+        }
+        log(`Decoded evaluation spot checks`);
+
+        // 4 ----- verify merkle proof for evaluation tree
+        try {
+            const evProof = rehashMerkleProofValues(proof.evProof, this.hash);
+            if (!MerkleTree.verifyBatch(eRoot, augmentedPositions, evProof, this.hash)) {
+                throw new StarkError(`Verification of evaluation Merkle proof failed`);
+            }
+        }
+        catch (error) {
+            if (error instanceof StarkError === false) {
+                error = new StarkError(`Verification of evaluation Merkle proof failed`, error);
+            }
+            throw error;
+        }
+        log(`Verified evaluation merkle proof`);
+
+        // 5 ----- compute linear combinations of C, P, and S values for all spot checks
+        const lcValues = new Array<bigint>(positions.length);
+        for (let i = 0; i < positions.length; i++) {
+            let step = positions[i];
+            let x = field.exp(context.rootOfUnity, BigInt(step));
+
+            let pValues = pEvaluations.get(step)!;
+            let nValues = pEvaluations.get((step + extensionFactor) % evaluationDomainSize)!;
+            let hValues = hEvaluations.get(step)!;
+
+            // evaluate composition polynomial at x
+            let cValue = cPoly.evaluateAt(x, pValues, nValues, hValues, context);
+
+            // combine composition polynomial evaluation with values of P(x) and S(x)
+            lcValues[i] = lCombination.computeOne(x, cValue, pValues, hValues);
+        }
+        log(`Verified transition and boundary constraints`);
+
+        // 6 ----- verify low-degree proof
+        try {
+            const ldVerifier = new LowDegreeVerifier(this.indexGenerator, this.hash, context);
+            ldVerifier.verify(proof.ldProof, lcValues, positions, cPoly.compositionDegree);
+        }
+        catch (error) {
+            throw new StarkError('Verification of low degree failed', error);
+        }
+        log(`Verified low-degree proof`);
+
+        return true;
+    }
+
+    // HELPER METHODS
+    // --------------------------------------------------------------------------------------------
+    private parseValues(buffer: Buffer): [bigint[], bigint[]] {
+        const elementSize = this.air.field.elementSize;
+        const hRegisterCount = this.air.sRegisterCount + this.air.iRegisterCount;
+
+        let offset = 0;
+
+        const pValues = new Array<bigint>(this.air.stateWidth);
+        for (let i = 0; i < pValues.length; i++, offset += elementSize) {
+            pValues[i] = readBigInt(buffer, offset, elementSize);
+        }
+
+        const hValues = new Array<bigint>(hRegisterCount);
+        for (let i = 0; i < hValues.length; i++, offset += elementSize) {
+            hValues[i] = readBigInt(buffer, offset, elementSize);
+        }
+
+        return [pValues, hValues];
+    }
+}
+
+// PUBLIC FUNCTIONS
+// ================================================================================================
+// returns description of the first option which changes the protocol in a way that the legacy
+// format did not support, if there is one
+export function findLegacyMismatch(options: SecurityOptions): string | undefined {
+    if (options.friFoldingFactor !== LEGACY_FOLDING_FACTOR) {
+        return `FRI folding factor ${options.friFoldingFactor}`;
+    }
+    else if (options.extensionDegree !== 1) {
+        return `extension degree ${options.extensionDegree}`;
+    }
+    else if (options.grindingBits) {
+        return `${options.grindingBits} grinding bits`;
+    }
+    else if (options.deepSampling) {
+        return `DEEP sampling`;
+    }
+    else if (options.zeroKnowledge) {
+        return `zero-knowledge`;
+    }
+}
+
+// HELPER FUNCTIONS
+// ================================================================================================
+function getAugmentedPositions(positions: number[], skip: number, evaluationDomainSize: number): number[] {
+    const augmentedPositionSet = new Set<number>();
+    for (let i = 0; i < positions.length; i++) {
+        augmentedPositionSet.add(positions[i]);
+        augmentedPositionSet.add((positions[i] + skip) % evaluationDomainSize);
+    }
+    return Array.from(augmentedPositionSet);
+}
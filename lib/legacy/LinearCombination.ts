@@ -0,0 +1,55 @@
+// IMPORTS
+// ================================================================================================
+import { FiniteField, VerificationObject, Vector } from '@guildofweavers/air-script';
+
+// CLASS DEFINITION
+// ================================================================================================
+// Linear combination of legacy proofs: P and S values are raised to the degree of the composition
+// polynomial and added to it, rather than committed to as separate columns
+export class LinearCombination {
+
+    readonly field                  : FiniteField
+    readonly psIncrementalDegree    : bigint;
+
+    private readonly seed           : Buffer;
+    private coefficientOffset       : number;
+    private coefficients?           : Vector;
+
+    // CONSTRUCTOR
+    // --------------------------------------------------------------------------------------------
+    constructor(seed: Buffer, compositionDegree: number, coefficientOffset: number, context: VerificationObject) {
+        this.field = context.field;
+        this.seed = seed;
+        this.coefficientOffset = coefficientOffset;
+
+        // degree of P and S evaluations is equal to trace length
+        // here, we compute the degree by which P and S evaluations need to be increased
+        // to match the degree of composition polynomial
+        this.psIncrementalDegree = BigInt(compositionDegree - context.traceLength);
+    }
+
+    // PUBLIC METHODS
+    // --------------------------------------------------------------------------------------------
+    computeOne(x: bigint, dValue: bigint, pValues: bigint[], sValues: bigint[]): bigint {
+
+        // raise degree of P and S values, when needed
+        const psValues = [...pValues, ...sValues];
+        let psValues2: bigint[] = [];
+        if (this.psIncrementalDegree > 0n) {
+            let power = this.field.exp(x, this.psIncrementalDegree);
+            psValues2 = this.field.mulVectorElements(this.field.newVectorFrom(psValues), power).toValues();
+        }
+
+        // put all evaluations together
+        const allValues = this.field.newVectorFrom([...psValues, ...psValues2]);
+
+        // coefficients follow the ones used by the composition polynomial
+        if (!this.coefficients) {
+            let coefficients = this.field.prng(this.seed, this.coefficientOffset + allValues.length).toValues();
+            this.coefficients = this.field.newVectorFrom(coefficients.slice(this.coefficientOffset));
+        }
+        const psCombination = this.field.combineVectors(allValues, this.coefficients);
+
+        return this.field.add(dValue, psCombination);
+    }
+}
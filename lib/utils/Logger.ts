@@ -1,7 +1,6 @@
 // IMPORTS
 // ================================================================================================
 import { Logger as ILogger, LogFunction } from "@guildofweavers/genstark";
-import { noop } from "./index";
 
 // CLASS DEFINITION
 // ================================================================================================
@@ -65,4 +64,8 @@ export class Logger implements ILogger {
         console.log(`${prefix}${message} in ${Date.now() - ts} ms`);
         this.timestampMap.set(label, [start, Date.now()]);
     }
-}
\ No newline at end of file
+}
+
+// HELPER FUNCTIONS
+// ================================================================================================
+export function noop() {};
@@ -0,0 +1,117 @@
+// IMPORTS
+// ================================================================================================
+import { ProofErrorCode } from '@guildofweavers/genstark';
+import { ProofFormatError } from '../StarkError';
+
+// MODULE VARIABLES
+// ================================================================================================
+// proofs in legacy format use single-byte lengths, where 0 stands for 256 in array lengths
+const LEGACY_MAX_ARRAY_LENGTH = 256;
+const MAX_VARINT_MULTIPLIER = 2**49;
+
+// CLASS DEFINITION
+// ================================================================================================
+// Cursor over a serialized proof: every read is checked against the end of the buffer, and every
+// problem is reported as a ProofFormatError pointing at the offset where it was found
+export class ProofReader {
+
+    readonly buffer     : Buffer;
+    readonly legacy     : boolean;
+    offset              : number;
+
+    // CONSTRUCTOR
+    // --------------------------------------------------------------------------------------------
+    constructor(buffer: Buffer, offset: number, legacy: boolean) {
+        this.buffer = buffer;
+        this.offset = offset;
+        this.legacy = legacy;
+    }
+
+    // PUBLIC ACCESSORS
+    // --------------------------------------------------------------------------------------------
+    get remaining(): number {
+        return this.buffer.byteLength - this.offset;
+    }
+
+    // PUBLIC METHODS
+    // --------------------------------------------------------------------------------------------
+    fail(code: ProofErrorCode, message: string, offset = this.offset): never {
+        throw new ProofFormatError(code, `${message} (at byte ${offset})`);
+    }
+
+    ensure(size: number, label: string) {
+        if (size > this.remaining) {
+            this.fail('truncated', `${label} extends beyond the end of the proof`);
+        }
+    }
+
+    readBytes(size: number, label: string): Buffer {
+        this.ensure(size, label);
+        const result = Buffer.allocUnsafe(size);
+        this.offset += this.buffer.copy(result, 0, this.offset, this.offset + size);
+        return result;
+    }
+
+    readUInt8(label: string): number {
+        this.ensure(1, label);
+        const value = this.buffer.readUInt8(this.offset);
+        this.offset += 1;
+        return value;
+    }
+
+    readUInt32(label: string): number {
+        this.ensure(4, label);
+        const value = this.buffer.readUInt32LE(this.offset);
+        this.offset += 4;
+        return value;
+    }
+
+    readVarint(label: string): number {
+        const start = this.offset;
+        let value = 0, multiplier = 1;
+        while (true) {
+            let byte = this.readUInt8(label);
+            value += (byte & 0x7F) * multiplier;
+            if ((byte & 0x80) === 0) {
+                // a zero in the last byte means that the same value could be written with fewer bytes
+                if (byte === 0 && this.offset - start > 1) {
+                    this.fail('nonCanonical', `${label} is not minimally encoded`, start);
+                }
+                break;
+            }
+
+            multiplier *= 0x80;
+            if (multiplier > MAX_VARINT_MULTIPLIER) break;
+        }
+
+        if (!Number.isSafeInteger(value) || this.buffer[this.offset - 1] & 0x80) {
+            this.fail('invalidLength', `${label} is too large`, start);
+        }
+        return value;
+    }
+
+    readLength(label: string, min: number, max: number, zeroMeansMax = false): number {
+        const start = this.offset;
+        let value: number;
+        if (this.legacy) {
+            value = this.readUInt8(label);
+            if (zeroMeansMax && value === 0) {
+                value = LEGACY_MAX_ARRAY_LENGTH;
+            }
+        }
+        else {
+            value = this.readVarint(label);
+        }
+
+        if (value < min || value > max) {
+            this.fail('invalidLength', `${label} must be between ${min} and ${max}, but was ${value}`, start);
+        }
+        return value;
+    }
+
+    expectEnd() {
+        if (this.remaining > 0) {
+            this.fail('trailingBytes', `Proof is followed by ${this.remaining} unexpected bytes`);
+        }
+    }
+}
@@ -0,0 +1,81 @@
+// IMPORTS
+// ================================================================================================
+import { Logger as ILogger, LogFunction, LogEvent, LogEventData, ProofStats, StarkProof } from "@guildofweavers/genstark";
+import { StructuredLogger } from "./StructuredLogger";
+
+// CLASS DEFINITION
+// ================================================================================================
+/**
+ * Records structured events of a single proof computation while forwarding all messages to
+ * another logger, so that proof statistics can be collected without changing logging output.
+ */
+export class ProofStatsCollector implements ILogger {
+
+    private readonly logger     : ILogger;
+    private readonly recorder   : StructuredLogger;
+    private readonly logMap     : Map<LogFunction, [LogFunction, LogFunction]>;
+    private readonly events     : LogEvent[];
+
+    // CONSTRUCTOR
+    // --------------------------------------------------------------------------------------------
+    constructor(logger: ILogger) {
+        this.logger = logger;
+        this.events = [];
+        this.recorder = new StructuredLogger(event => this.events.push(event));
+        this.logMap = new Map();
+    }
+
+    // PUBLIC METHODS
+    // --------------------------------------------------------------------------------------------
+    start(message?: string, prefix?: string): LogFunction {
+        return this.pair(this.logger.start(message, prefix), this.recorder.start(message, prefix));
+    }
+
+    sub(message?: string): LogFunction {
+        return this.pair(this.logger.sub(message), this.recorder.sub(message));
+    }
+
+    done(log: LogFunction, message?: string) {
+        const [forwarded, recorded] = this.logMap.get(log)!;
+        this.logger.done(forwarded, message);
+        this.recorder.done(recorded, message);
+        this.logMap.delete(log);
+    }
+
+    getStats(proof: StarkProof): ProofStats {
+        // metrics of all steps are merged together; each of the metrics used below is reported by one step only
+        const metrics: LogEventData = {};
+        const stages = [];
+        let totalTime = 0;
+        for (let event of this.events) {
+            if (event.type === 'step') {
+                stages.push({ name: event.stage, duration: event.duration, depth: event.depth });
+                Object.assign(metrics, event.data);
+            }
+            else if (event.type === 'done' && event.depth === 0) {
+                totalTime = event.duration;
+            }
+        }
+
+        return {
+            totalTime, stages,
+            traceLength         : metrics.traceLength as number,
+            evaluationDomainSize: metrics.evaluationDomainSize as number,
+            compositionDegree   : metrics.compositionDegree as number,
+            friLayerCount       : proof.ldProof.components.length,
+            remainderLength     : metrics.remainderLength as number,
+            maxRss              : process.resourceUsage().maxRSS * 1024    // maxRSS is reported in kilobytes
+        };
+    }
+
+    // PRIVATE METHODS
+    // --------------------------------------------------------------------------------------------
+    private pair(forwarded: LogFunction, recorded: LogFunction): LogFunction {
+        const log = (message: string, data?: LogEventData) => {
+            forwarded(message, data);
+            recorded(message, data);
+        };
+        this.logMap.set(log, [forwarded, recorded]);
+        return log;
+    }
+}
@@ -0,0 +1,91 @@
+// IMPORTS
+// ================================================================================================
+import { Logger as ILogger, LogFunction, LogEvent, LogEventType, LogEventData, LogSink } from "@guildofweavers/genstark";
+import { noop } from "./Logger";
+
+// INTERFACES
+// ================================================================================================
+interface Scope {
+    readonly name   : string;
+    readonly depth  : number;
+    readonly start  : number;
+    last            : number;
+}
+
+// CLASS DEFINITION
+// ================================================================================================
+export class StructuredLogger implements ILogger {
+
+    private readonly sink       : LogSink;
+    private readonly scopeMap   : Map<LogFunction, Scope>;
+    private readonly enableSubLog: boolean;
+
+    // CONSTRUCTOR
+    // --------------------------------------------------------------------------------------------
+    constructor(sink: LogSink, enableSubLog = true) {
+        if (typeof sink !== 'function') throw new TypeError('Log sink must be a function');
+        this.sink = sink;
+        this.scopeMap = new Map();
+        this.enableSubLog = enableSubLog;
+    }
+
+    // PUBLIC METHODS
+    // --------------------------------------------------------------------------------------------
+    start(message?: string, prefix?: string): LogFunction {
+        // sub-scopes are started with a prefix, so the prefix is what tells them apart
+        const ts = Date.now();
+        const scope: Scope = { name: message || '', depth: prefix ? 1 : 0, start: ts, last: ts };
+        const log = (message: string, data?: LogEventData) => this.log(scope, message, data);
+        this.scopeMap.set(log, scope);
+        this.emit('start', scope, scope.name, 0);
+        return log;
+    }
+
+    sub(message?: string): LogFunction {
+        if (this.enableSubLog) {
+            return this.start(message, '  ');
+        }
+        else {
+            return noop;
+        }
+    }
+
+    done(log: LogFunction, message?: string) {
+        if (log === noop) return;
+        const scope = this.scopeMap.get(log)!;
+        this.emit('done', scope, message || scope.name, Date.now() - scope.start);
+        this.scopeMap.delete(log);
+    }
+
+    // PRIVATE METHODS
+    // --------------------------------------------------------------------------------------------
+    private log(scope: Scope, message: string, data?: LogEventData) {
+        const ts = Date.now();
+        this.emit('step', scope, message, ts - scope.last, data);
+        scope.last = ts;
+    }
+
+    private emit(type: LogEventType, scope: Scope, stage: string, duration: number, data?: LogEventData) {
+        const timestamp = Date.now();
+        const { rss, heapUsed } = process.memoryUsage();
+        const event: LogEvent = {
+            type, scope: scope.name, stage, depth: scope.depth, timestamp, duration,
+            elapsed : timestamp - scope.start,
+            memory  : { rss, heapUsed }
+        };
+        if (data) {
+            event.data = data;
+        }
+        this.sink(event);
+    }
+}
+
+// SINKS
+// ================================================================================================
+export function jsonLinesSink(stream: NodeJS.WritableStream = process.stdout): LogSink {
+    return function(event: LogEvent) {
+        stream.write(JSON.stringify(event) + '\n');
+    };
+}
+
+export function silentSink(event: LogEvent) {}
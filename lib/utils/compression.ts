@@ -0,0 +1,173 @@
+// IMPORTS
+// ================================================================================================
+import { BatchMerkleProof } from '@guildofweavers/genstark';
+import { ProofReader } from './ProofReader';
+
+// INTERFACES
+// ================================================================================================
+export interface MerkleQuery {
+    readonly positions  : number[];         // leaf indexes in the order in which values are revealed
+    readonly depth      : number;
+}
+
+interface MerklePaths {
+    readonly values     : number[];         // leaf indexes of revealed values
+    readonly nodes      : number[][];       // node indexes of entries of each proof column
+}
+
+interface TreeEntries {
+    readonly values     : Map<number, Buffer>;
+    readonly nodes      : Map<number, Buffer>;
+}
+
+// CLASS DEFINITION
+// ================================================================================================
+// Compresses a sequence of Merkle proofs using positions at which the trees are queried; positions
+// determine which leaves and nodes each proof contains and where they are in the tree, and so only
+// the entries themselves are written. Proofs against the same tree (e.g. FRI column and poly proofs
+// against the same layer) share leaves and nodes; an entry which appeared in an earlier proof against
+// the same tree is not written again. Trees are built over hashes of leaves, and so all nodes,
+// including sibling leaves, are hashes. Proofs must be read in the same order, against the same
+// roots, and for the same positions as they were written.
+export class MerkleProofCompressor {
+
+    readonly nodeSize           : number;
+
+    private readonly trees      : Map<string, TreeEntries>;
+
+    // CONSTRUCTOR
+    // --------------------------------------------------------------------------------------------
+    constructor(nodeSize: number) {
+        this.nodeSize = nodeSize;
+        this.trees = new Map();
+    }
+
+    // PUBLIC METHODS
+    // --------------------------------------------------------------------------------------------
+    write(buffer: Buffer, offset: number, proof: BatchMerkleProof, root: Buffer, query: MerkleQuery): number {
+        for (let entry of this.encode(proof, root, query)) {
+            if (entry) {
+                offset += entry.copy(buffer, offset);
+            }
+        }
+        return offset;
+    }
+
+    sizeOf(proof: BatchMerkleProof, root: Buffer, query: MerkleQuery) {
+        const entries = this.encode(proof, root, query);
+
+        let values = 0, nodes = 0;
+        for (let i = 0; i < entries.length; i++) {
+            let size = entries[i] ? entries[i]!.byteLength : 0;
+            if (i < proof.values.length) {
+                values += size;
+            }
+            else {
+                nodes += size;
+            }
+        }
+
+        return { values, nodes, total: values + nodes };
+    }
+
+    read(reader: ProofReader, root: Buffer, leafSize: number, query: MerkleQuery, label: string): BatchMerkleProof {
+        const paths = getMerklePaths(query);
+        const tree = this.getTree(root, query.depth);
+
+        const readEntry = (entries: Map<number, Buffer>, index: number, size: number, name: string) => {
+            let entry = entries.get(index);
+            if (!entry) {
+                entry = reader.readBytes(size, `${label} ${name}`);
+                entries.set(index, entry);
+            }
+            else if (entry.byteLength !== size) {
+                // only a proof which uses the same root for trees with different leaves can get here
+                reader.fail('malformed', `${label} shares a root with a Merkle proof of different leaves`);
+            }
+            return entry;
+        };
+
+        const values = paths.values.map(index => readEntry(tree.values, index, leafSize, 'value'));
+        const nodes = paths.nodes.map(column => column.map(index => readEntry(tree.nodes, index, this.nodeSize, 'node')));
+        return { values, nodes, depth: query.depth };
+    }
+
+    // HELPER METHODS
+    // --------------------------------------------------------------------------------------------
+    private encode(proof: BatchMerkleProof, root: Buffer, query: MerkleQuery): (Buffer | undefined)[] {
+        const paths = getMerklePaths(query);
+        if (proof.depth !== query.depth || proof.values.length !== paths.values.length || proof.nodes.length !== paths.nodes.length
+            || proof.nodes.some((column, i) => column.length !== paths.nodes[i].length || column.some(n => n.byteLength !== this.nodeSize))) {
+            throw new Error(`Merkle proof does not match queried positions`);
+        }
+
+        // entries which appeared in earlier proofs against the same tree are left out
+        const tree = this.getTree(root, query.depth);
+        const encodeEntry = (entries: Map<number, Buffer>, index: number, buffer: Buffer) => {
+            const known = entries.get(index);
+            if (!known) {
+                entries.set(index, buffer);
+                return buffer;
+            }
+            else if (!known.equals(buffer)) {
+                throw new Error(`Merkle proofs against the same tree contain different entries at index ${index}`);
+            }
+        };
+
+        const entries = proof.values.map((value, i) => encodeEntry(tree.values, paths.values[i], value));
+        proof.nodes.forEach((column, i) => column.forEach((node, j) => entries.push(encodeEntry(tree.nodes, paths.nodes[i][j], node))));
+        return entries;
+    }
+
+    private getTree(root: Buffer, depth: number): TreeEntries {
+        const key = `${depth}:${root.toString('hex')}`;
+        let tree = this.trees.get(key);
+        if (!tree) {
+            tree = { values: new Map(), nodes: new Map() };
+            this.trees.set(key, tree);
+        }
+        return tree;
+    }
+}
+
+// HELPER FUNCTIONS
+// ================================================================================================
+function getMerklePaths(query: MerkleQuery): MerklePaths {
+    // nodes are numbered as in MerkleTree: root is 1, children of node i are 2i and 2i + 1, and so
+    // leaf i is node leafCount + i; entries are laid out in the same way as by MerkleTree.proveBatch()
+    const leafCount = 2 ** query.depth;
+    const requested = new Set(query.positions);
+    let indexes = Array.from(new Set(query.positions.map(p => p - (p & 1)).sort((a, b) => a - b)));
+
+    // leaves; the sibling of a requested leaf goes first in its column, unless it was requested too
+    const nodes = new Array<number[]>(indexes.length);
+    let nextIndexes: number[] = [];
+    for (let i = 0; i < indexes.length; i++) {
+        let index = indexes[i];
+        if (!requested.has(index + 1)) {
+            nodes[i] = [leafCount + index + 1];
+        }
+        else {
+            nodes[i] = requested.has(index) ? [] : [leafCount + index];
+        }
+        nextIndexes.push((index + leafCount) >> 1);
+    }
+
+    // internal nodes; a sibling which is computed from requested leaves is not included
+    for (let d = query.depth - 1; d > 0; d--) {
+        indexes = nextIndexes;
+        nextIndexes = [];
+        for (let i = 0; i < indexes.length; i++) {
+            let siblingIndex = indexes[i] ^ 1;
+            if (i + 1 < indexes.length && indexes[i + 1] === siblingIndex) {
+                i++;
+            }
+            else {
+                nodes[i].push(siblingIndex);
+            }
+            nextIndexes.push(siblingIndex >> 1);
+        }
+    }
+
+    return { values: query.positions, nodes };
+}
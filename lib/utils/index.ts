@@ -1,49 +1,18 @@
 // IMPORTS
 // ================================================================================================
-import { BatchMerkleProof, Hash } from '@guildofweavers/merkle';
 import * as inliners from './inliners';
 
 // RE-EXPORTS
 // ================================================================================================
 export * from './serialization';
-export { sizeOf } from './sizeof';
-export { Logger } from './Logger';
+export { isPowerOf2, powLog2 } from './math';
+export { rehashMerkleProofValues } from './merkle';
+export { sizeOf, formatProofAnalysis } from './sizeof';
+export { readReadonlyRegisters, expandReadonlyRegister, traceToCsv, traceToJson } from './trace';
+export { MerkleProofCompressor, MerkleQuery } from './compression';
+export { ProofReader } from './ProofReader';
+export { estimateSecurity, estimateProofSize } from './security';
+export { Logger, noop } from './Logger';
+export { StructuredLogger, jsonLinesSink, silentSink } from './StructuredLogger';
+export { ProofStatsCollector } from './ProofStatsCollector';
 export const inline = inliners;
-
-// MATH
-// ================================================================================================
-export function isPowerOf2(value: number | bigint): boolean {
-    if (typeof value === 'bigint') {
-        return (value !== 0n) && (value & (value - 1n)) === 0n;
-    }
-    else {
-        return (value !== 0) && (value & (value - 1)) === 0;
-    }
-}
-export function powLog2(base: number, exponent: number): number {
-    let twos = 0;
-    while (exponent % 2 === 0) {
-        twos++;
-        exponent = exponent / 2;
-    }
-    return (2**twos) * Math.log2(base**exponent);
-}
-
-// MERKLE PROOF
-// ================================================================================================
-export function rehashMerkleProofValues(proof: BatchMerkleProof, hash: Hash): BatchMerkleProof {
-    const hashedValues = new Array<Buffer>(proof.values.length);
-    for (let i = 0; i < hashedValues.length; i++) {
-        hashedValues[i] = hash.digest(proof.values[i]);
-    }
-
-    return {
-        nodes   : proof.nodes,
-        values  : hashedValues,
-        depth   : proof.depth
-    };
-}
-
-// OTHER
-// ================================================================================================
-export function noop() {};
\ No newline at end of file
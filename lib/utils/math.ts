@@ -0,0 +1,115 @@
+// MODULE VARIABLES
+// ================================================================================================
+const TRIAL_DIVISION_BOUND = 2n**16n;
+const MAX_RHO_ITERATIONS = 2**18;
+const RHO_BATCH_SIZE = 64;
+const PRIMALITY_WITNESSES = [2n, 3n, 5n, 7n, 11n, 13n, 17n, 19n, 23n, 29n, 31n, 37n];
+
+// PUBLIC FUNCTIONS
+// ================================================================================================
+export function isPowerOf2(value: number | bigint): boolean {
+    if (typeof value === 'bigint') {
+        return (value !== 0n) && (value & (value - 1n)) === 0n;
+    }
+    else {
+        return (value !== 0) && (value & (value - 1)) === 0;
+    }
+}
+export function powLog2(base: number, exponent: number): number {
+    let twos = 0;
+    while (exponent % 2 === 0) {
+        twos++;
+        exponent = exponent / 2;
+    }
+    return (2**twos) * Math.log2(base**exponent);
+}
+
+export function gcd(a: bigint, b: bigint): bigint {
+    while (b !== 0n) {
+        [a, b] = [b, a % b];
+    }
+    return a;
+}
+
+export function getPrimeFactors(value: bigint): bigint[] | undefined {
+    // small factors are found by trial division, and the rest with Pollard's rho method; returns
+    // undefined if some factor cannot be found within a bounded number of iterations
+    const factors = new Set<bigint>();
+    for (let q = 2n; q < TRIAL_DIVISION_BOUND && q * q <= value; q++) {
+        while (value % q === 0n) {
+            factors.add(q);
+            value = value / q;
+        }
+    }
+
+    const composites = (value > 1n) ? [value] : [];
+    while (composites.length > 0) {
+        let n = composites.pop()!;
+        if (isProbablePrime(n)) {
+            factors.add(n);
+            continue;
+        }
+
+        let d = findFactor(n);
+        if (d === undefined) return undefined;
+        composites.push(d, n / d);
+    }
+
+    return Array.from(factors).sort((a, b) => (a < b) ? -1 : 1);
+}
+
+// HELPER FUNCTIONS
+// ================================================================================================
+function modPow(base: bigint, exponent: bigint, modulus: bigint): bigint {
+    let result = 1n;
+    base = base % modulus;
+    while (exponent > 0n) {
+        if (exponent & 1n) result = result * base % modulus;
+        base = base * base % modulus;
+        exponent >>= 1n;
+    }
+    return result;
+}
+
+function isProbablePrime(n: bigint): boolean {
+    // Miller-Rabin test with the first 12 primes as witnesses
+    let d = n - 1n, s = 0;
+    while ((d & 1n) === 0n) {
+        d >>= 1n;
+        s++;
+    }
+
+    outer: for (let a of PRIMALITY_WITNESSES) {
+        if (a % n === 0n) continue;
+        let x = modPow(a, d, n);
+        if (x === 1n || x === n - 1n) continue;
+        for (let i = 1; i < s; i++) {
+            x = x * x % n;
+            if (x === n - 1n) continue outer;
+        }
+        return false;
+    }
+    return true;
+}
+
+function findFactor(n: bigint): bigint | undefined {
+    // Pollard's rho method with Floyd's cycle detection; differences are multiplied together so
+    // that gcd is computed once per batch, and a batch which overshoots is retried with another c
+    for (let c = 1n; c <= 3n; c++) {
+        let x = 2n, y = 2n;
+        for (let i = 0; i < MAX_RHO_ITERATIONS; i += RHO_BATCH_SIZE) {
+            let product = 1n;
+            for (let j = 0; j < RHO_BATCH_SIZE; j++) {
+                x = (x * x + c) % n;
+                y = (y * y + c) % n;
+                y = (y * y + c) % n;
+                product = product * (x > y ? x - y : y - x) % n;
+            }
+
+            let d = gcd(product, n);
+            if (d === n) break;
+            if (d !== 1n) return d;
+        }
+    }
+    return undefined;
+}
@@ -0,0 +1,18 @@
+// IMPORTS
+// ================================================================================================
+import { BatchMerkleProof, Hash } from '@guildofweavers/merkle';
+
+// PUBLIC FUNCTIONS
+// ================================================================================================
+export function rehashMerkleProofValues(proof: BatchMerkleProof, hash: Hash): BatchMerkleProof {
+    const hashedValues = new Array<Buffer>(proof.values.length);
+    for (let i = 0; i < hashedValues.length; i++) {
+        hashedValues[i] = hash.digest(proof.values[i]);
+    }
+
+    return {
+        nodes   : proof.nodes,
+        values  : hashedValues,
+        depth   : proof.depth
+    };
+}
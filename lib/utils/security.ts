@@ -0,0 +1,133 @@
+// IMPORTS
+// ================================================================================================
+import { SecurityReport } from '@guildofweavers/genstark';
+import { powLog2 } from './math';
+
+// INTERFACES
+// ================================================================================================
+export interface SecurityParameters {
+    readonly extensionFactor        : number;
+    readonly exeQueryCount          : number;
+    readonly friQueryCount          : number;
+    readonly grindingBits           : number;
+    readonly deepSampling           : boolean;
+    readonly maxConstraintDegree    : number;
+    readonly fieldModulus           : bigint;
+    readonly extensionDegree        : number;
+    readonly hashCollisionBits      : number;
+}
+
+export interface ProofSizeParameters {
+    readonly extensionFactor        : number;
+    readonly exeQueryCount          : number;
+    readonly friQueryCount          : number;
+    readonly traceLength            : number;
+    readonly evValueCount           : number;   // values in each leaf of the evaluation tree
+    readonly cValueCount            : number;   // values in each leaf of the composition tree
+    readonly deepSampling           : boolean;
+    readonly extensionDegree        : number;
+    readonly foldingFactor          : number;
+    readonly maxRemainderSize       : number;
+    readonly remainderCoefficients  : boolean;
+    readonly fieldElementSize       : number;
+    readonly hashDigestSize         : number;
+}
+
+// PUBLIC FUNCTIONS
+// ================================================================================================
+export function estimateSecurity(params: SecurityParameters): SecurityReport {
+    const { extensionFactor, exeQueryCount, friQueryCount, grindingBits } = params;
+
+    // execution trace queries; with out-of-domain sampling, execution trace queries check DEEP
+    // quotients instead of constraints, and so they are as good as FRI queries
+    const exeConjectured = params.deepSampling
+        ? Math.log2(extensionFactor) * exeQueryCount
+        : powLog2(extensionFactor / params.maxConstraintDegree, exeQueryCount);
+
+    // FRI queries; conjectured figures assume that every query reduces the odds of accepting a bad
+    // proof by the code rate, while proven figures rely on the Johnson bound, which gives only the
+    // square root of the rate per query
+    const friConjectured = Math.log2(extensionFactor) * friQueryCount;
+
+    // proof-of-work makes every attempt to re-draw query positions more expensive; the nonce is found
+    // after the last commitment (including salted ones), and all query positions are derived from it
+    const exeQueries = { proven: exeConjectured / 2 + grindingBits, conjectured: exeConjectured + grindingBits };
+    const friQueries = { proven: friConjectured / 2 + grindingBits, conjectured: friConjectured + grindingBits };
+
+    // collision resistance of hash function
+    const hash = { proven: params.hashCollisionBits, conjectured: params.hashCollisionBits };
+
+    // random challenges cannot be guessed with better odds than one over the size of the field they
+    // are drawn from; proven figures also account for the degree of polynomials the challenges are
+    // applied to, assuming the largest evaluation domain supported by the field
+    const fieldBits = params.extensionDegree * Math.log2(Number(params.fieldModulus));
+    const field = { proven: fieldBits - getTwoAdicity(params.fieldModulus), conjectured: fieldBits };
+
+    const components = [exeQueries, friQueries, hash, field];
+    const total = {
+        proven      : Math.min(...components.map(c => c.proven)),
+        conjectured : Math.min(...components.map(c => c.conjectured))
+    };
+
+    return { exeQueries, friQueries, hash, field, total };
+}
+
+// estimates size of an uncompressed proof in bytes; parts of the proof which do not depend on the
+// extension factor or query counts (header, out-of-domain values, trace shape) are left out
+export function estimateProofSize(params: ProofSizeParameters): number {
+    const { exeQueryCount, friQueryCount, foldingFactor, fieldElementSize, hashDigestSize } = params;
+    const friLeafSize = foldingFactor * params.extensionDegree * fieldElementSize;
+    const foldingDepth = Math.log2(foldingFactor);
+
+    // evaluation and composition trees; without DEEP sampling, next-step values are queried as well
+    const domainSize = params.traceLength * params.extensionFactor;
+    const depth = Math.log2(domainSize);
+    const evQueryCount = params.deepSampling ? exeQueryCount : 2 * exeQueryCount;
+    let size = estimateMerkleProofSize(evQueryCount, depth, params.evValueCount * fieldElementSize, hashDigestSize)
+        + estimateMerkleProofSize(exeQueryCount, depth, params.cValueCount * fieldElementSize, hashDigestSize);
+
+    // linear combination tree is committed to in rows of foldingFactor values
+    size += estimateMerkleProofSize(exeQueryCount, depth - foldingDepth, friLeafSize, hashDigestSize);
+
+    // every FRI layer opens rows of its own tree and of the tree of the previous layer; layers are
+    // folded in the same way as FriVerifier.getShape() does
+    let columnLength = domainSize, maxDegreePlus1 = params.traceLength, layerCount = 0;
+    while (columnLength > params.maxRemainderSize && maxDegreePlus1 >= foldingFactor) {
+        columnLength = columnLength / foldingFactor;
+        maxDegreePlus1 = Math.ceil(maxDegreePlus1 / foldingFactor);
+        layerCount++;
+
+        let columnDepth = Math.log2(columnLength);
+        size += estimateMerkleProofSize(friQueryCount, columnDepth - foldingDepth, friLeafSize, hashDigestSize)
+            + estimateMerkleProofSize(friQueryCount, columnDepth, friLeafSize, hashDigestSize);
+    }
+
+    // roots of evaluation, composition, and linear combination trees, and of every FRI layer
+    size += (3 + layerCount) * hashDigestSize;
+
+    const remainderSize = params.remainderCoefficients ? maxDegreePlus1 : columnLength;
+    return size + remainderSize * params.extensionDegree * fieldElementSize;
+}
+
+// HELPER FUNCTIONS
+// ================================================================================================
+function estimateMerkleProofSize(queryCount: number, depth: number, leafSize: number, hashDigestSize: number): number {
+    // a node at the given level is opened when it lies on the path of at least one query, and its
+    // sibling is included in the proof when it does not; queries are assumed to be uniformly random
+    let valueCount = 0, nodeCount = 0;
+    for (let level = depth; level > 0; level--) {
+        let opened = 1 - (1 - 2**-level)**queryCount;
+        if (level === depth) valueCount = 2**level * opened;
+        nodeCount += 2**level * opened * (1 - opened);
+    }
+    return valueCount * leafSize + nodeCount * hashDigestSize;
+}
+
+function getTwoAdicity(modulus: bigint): number {
+    let result = 0, value = modulus - 1n;
+    while ((value & 1n) === 0n) {
+        value >>= 1n;
+        result++;
+    }
+    return result;
+}
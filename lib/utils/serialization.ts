@@ -1,12 +1,15 @@
 // IMPORTS
 // ================================================================================================
 import { BatchMerkleProof } from '@guildofweavers/genstark';
-import { MAX_ARRAY_LENGTH } from './sizeof';
+import { ProofReader } from './ProofReader';
 
 // MODULE VARIABLES
 // ================================================================================================
 const MASK_64B = 0xFFFFFFFFFFFFFFFFn;
 
+// trees deeper than this cannot be built in practice, and so cannot appear in proofs
+export const MAX_MERKLE_DEPTH = 32;
+
 // INTERFACES
 // ================================================================================================
 const enum ColumnType {
@@ -18,32 +21,67 @@ const enum ColumnType {
 export function writeMerkleProof(buffer: Buffer, offset: number, proof: BatchMerkleProof, leafSize: number): number {
     offset = writeArray(buffer, offset, proof.values);
     offset = writeMatrix(buffer, offset, proof.nodes, leafSize);
-    offset = buffer.writeUInt8(proof.depth, offset);
+    offset = writeVarint(buffer, offset, proof.depth);
     return offset;
 }
 
-export function readMerkleProof(buffer: Buffer, offset: number, leafSize: number, nodeSize: number) {
+export function readMerkleProof(reader: ProofReader, leafSize: number, nodeSize: number, maxValueCount: number, label: string): BatchMerkleProof {
+
+    // values
+    const valueCount = reader.readLength(`${label} value count`, 1, maxValueCount, true);
+    const values = new Array<Buffer>(valueCount);
+    for (let i = 0; i < valueCount; i++) {
+        values[i] = reader.readBytes(leafSize, `${label} value`);
+    }
+
+    // lengths and types of node columns; each column covers one or two of the values
+    const columnCount = reader.readLength(`${label} column count`, Math.ceil(valueCount / 2), valueCount, true);
+    const columns = new Array<number>(columnCount);
+    for (let i = 0; i < columnCount; i++) {
+        columns[i] = reader.readLength(`${label} column length`, 0, (MAX_MERKLE_DEPTH << 1) | 1);
+    }
 
-    const valuesInfo = readArray(buffer, offset, leafSize); offset = valuesInfo.offset;
-    const nodesInfo = readMatrix(buffer, offset, leafSize, nodeSize); offset = nodesInfo.offset;
-    const depth = buffer.readUInt8(offset); offset += 1;
+    // nodes; the first node of a leaf column is a sibling leaf
+    const nodes = new Array<Buffer[]>(columnCount);
+    for (let i = 0; i < columnCount; i++) {
+        let isLeaf = (columns[i] & 1) === ColumnType.leaf;
+        nodes[i] = new Array<Buffer>(columns[i] >>> 1);
+        for (let j = 0; j < nodes[i].length; j++) {
+            nodes[i][j] = reader.readBytes((j === 0 && isLeaf) ? leafSize : nodeSize, `${label} node`);
+        }
+    }
 
-    const proof: BatchMerkleProof = {
-        values  : valuesInfo.values,
-        nodes   : nodesInfo.matrix,
-        depth   : depth
-    };
+    const depth = reader.readLength(`${label} depth`, 1, MAX_MERKLE_DEPTH);
+    const error = checkMerkleLayout(valueCount, nodes.map(column => column.length), depth, maxValueCount);
+    if (error) reader.fail('invalidLength', `${label} ${error}`);
 
-    return { proof, offset };
+    return { values, nodes, depth };
+}
+
+// returns description of the first problem with the shape of a batch Merkle proof, if there is one
+export function checkMerkleLayout(valueCount: number, columnLengths: number[], depth: number, maxValueCount: number): string | undefined {
+    if (valueCount < 1 || valueCount > maxValueCount) {
+        return `must contain between 1 and ${maxValueCount} values`;
+    }
+    else if (!Number.isInteger(depth) || depth < 1 || depth > MAX_MERKLE_DEPTH) {
+        return `depth must be between 1 and ${MAX_MERKLE_DEPTH}`;
+    }
+    else if (valueCount > 2**depth) {
+        return `cannot contain more values than there are leaves in a tree of depth ${depth}`;
+    }
+    else if (columnLengths.length < Math.ceil(valueCount / 2) || columnLengths.length > valueCount) {
+        return `must contain between ${Math.ceil(valueCount / 2)} and ${valueCount} node columns`;
+    }
+    else if (columnLengths.some(length => length > depth)) {
+        return `cannot contain node columns longer than tree depth`;
+    }
 }
 
 // ARRAYS
 // ================================================================================================
 export function writeArray(buffer: Buffer, offset: number, array: Buffer[]) {
 
-    // 1 byte for the array size (max 256 is written as 0)
-    offset = buffer.writeUInt8(array.length === MAX_ARRAY_LENGTH ? 0 : array.length, offset);
-
+    offset = writeVarint(buffer, offset, array.length);
     for (let i = 0; i < array.length; i++) {
         offset += array[i].copy(buffer, offset);
     }
@@ -51,28 +89,14 @@ export function writeArray(buffer: Buffer, offset: number, array: Buffer[]) {
     return offset;
 }
 
-export function readArray(buffer: Buffer, offset: number, elementSize: number) {
-
-    const arrayLength = buffer.readUInt8(offset) || MAX_ARRAY_LENGTH;   // 0 means 256
-    offset += 1;
-
-    const values = new Array<Buffer>(arrayLength);
-    for (let i = 0; i < arrayLength; i++) {
-        values[i] = Buffer.allocUnsafe(elementSize);
-        offset += buffer.copy(values[i], 0, offset, offset + elementSize);
-    }
-
-    return { values, offset };
-}
-
 // MATRIXES
 // ================================================================================================
 export function writeMatrix(buffer: Buffer, offset: number, matrix: Buffer[][], leafSize: number): number {
 
-    // 1 byte for the number of columns (max 256 written as 0)
-    offset = buffer.writeUInt8(matrix.length === MAX_ARRAY_LENGTH ? 0 : matrix.length, offset);
+    // number of columns
+    offset = writeVarint(buffer, offset, matrix.length);
 
-    // then write lengths and value type of each column (1 byte each, max 255)
+    // then lengths and value type of each column
     for (let i = 0; i < matrix.length; i++) {
         let column = matrix[i];
         let length = column.length;
@@ -81,10 +105,10 @@ export function writeMatrix(buffer: Buffer, offset: number, matrix: Buffer[][],
         let type = (length > 0 && column[0].byteLength === leafSize)
             ? ColumnType.leaf
             : ColumnType.node;
-        offset = buffer.writeUInt8((length << 1) | type, offset);
+        offset = writeVarint(buffer, offset, (length << 1) | type);
     }
 
-    // then write the actual values
+    // then the actual values
     for (let i = 0; i < matrix.length; i++) {
         let column = matrix[i];
         for (let j = 0; j < column.length; j++) {
@@ -95,35 +119,29 @@ export function writeMatrix(buffer: Buffer, offset: number, matrix: Buffer[][],
     return offset;
 }
 
-export function readMatrix(buffer: Buffer, offset: number, leafSize: number, nodeSize: number) {
-
-    const columnCount = buffer.readUInt8(offset) || MAX_ARRAY_LENGTH;   // 0 means 256
-    offset += 1;
-
-    const matrix = new Array<Buffer[]>(columnCount);
-    const columnTypes = new Array<number>(columnCount);
-    for (let i = 0; i < columnCount; i++, offset += 1) {
-        let lengthAndType = buffer.readUInt8(offset);
-
-        matrix[i] = new Array<Buffer>(lengthAndType >>> 1);
-        columnTypes[i] = lengthAndType & 1;
+// VARINTS
+// ================================================================================================
+// unsigned LEB128: 7 bits per byte, least significant group first, high bit set on all but the last byte
+export function writeVarint(buffer: Buffer, offset: number, value: number): number {
+    if (!Number.isSafeInteger(value) || value < 0) {
+        throw new TypeError(`Value ${value} cannot be encoded as a varint`);
     }
 
-    let elementSize: number;
-    for (let i = 0; i < columnCount; i++) {
-        let column = matrix[i];
-
-        // set first element type based on column type
-        let firstElementSize = columnTypes[i] === ColumnType.leaf ? leafSize : nodeSize;
-
-        for (let j = 0; j < column.length; j++) {
-            elementSize = (j === 0) ? firstElementSize : nodeSize;
-            column[j] = Buffer.allocUnsafe(elementSize);
-            offset += buffer.copy(column[j], 0, offset, offset + elementSize);
-        }
+    while (value >= 0x80) {
+        buffer[offset++] = (value % 0x80) | 0x80;
+        value = Math.floor(value / 0x80);
     }
+    buffer[offset++] = value;
+    return offset;
+}
 
-    return { matrix, offset };
+export function sizeOfVarint(value: number): number {
+    let size = 1;
+    while (value >= 0x80) {
+        value = Math.floor(value / 0x80);
+        size++;
+    }
+    return size;
 }
 
 // BIG INTEGERS
@@ -138,6 +156,14 @@ export function readBigInt(buffer: Buffer, offset: number, elementSize: number):
     return value;
 }
 
+export function readBigIntArray(buffer: Buffer, elementSize: number): bigint[] {
+    const result = new Array<bigint>(Math.floor(buffer.byteLength / elementSize));
+    for (let i = 0, offset = 0; i < result.length; i++, offset += elementSize) {
+        result[i] = readBigInt(buffer, offset, elementSize);
+    }
+    return result;
+}
+
 export function writeBigInt(value: bigint, buffer: Buffer, offset: number, elementSize: number): number {
     const limbCount = elementSize >> 3;
     for (let i = 0; i < limbCount; i++) {
@@ -146,4 +172,22 @@ export function writeBigInt(value: bigint, buffer: Buffer, offset: number, eleme
         offset += 8;
     }
     return offset;
+}
+
+export function writeBigInts(values: bigint[], elementSize: number): Buffer {
+    const buffer = Buffer.allocUnsafe(values.length * elementSize);
+    for (let i = 0, offset = 0; i < values.length; i++) {
+        offset = writeBigInt(values[i], buffer, offset, elementSize);
+    }
+    return buffer;
+}
+
+// NUMBERS
+// ================================================================================================
+export function writeNumbers(values: number[]): Buffer {
+    const buffer = Buffer.allocUnsafe(values.length * 4);
+    for (let i = 0, offset = 0; i < values.length; i++) {
+        offset = buffer.writeUInt32LE(values[i], offset);
+    }
+    return buffer;
 }
\ No newline at end of file
@@ -1,58 +1,134 @@
 // IMPORTS
 // ================================================================================================
-import { StarkProof, BatchMerkleProof } from '@guildofweavers/genstark';
+import { StarkProof, BatchMerkleProof, ProofAnalysis, MerkleProofSize, FriLayerSize } from '@guildofweavers/genstark';
+import { sizeOfVarint } from './serialization';
+import { MerkleProofCompressor, MerkleQuery } from './compression';
 
 // MODULE VARIABLES
 // ================================================================================================
-export const MAX_ARRAY_LENGTH = 256;
-export const MAX_MATRIX_COLUMN_LENGTH = 127;
+const NAME_COLUMN_WIDTH = 24;
+const SIZE_COLUMN_WIDTH = 10;
+const SHARE_COLUMN_WIDTH = 7;
 
 // PUBLIC FUNCTIONS
 // ================================================================================================
-export function sizeOf(proof: StarkProof, fieldElementSize: number, hashDigestSize: number) {
-
-    let size = hashDigestSize;  // evRoot
-    
-    // evProof
-    let evProof = sizeOfMerkleProof(proof.evProof);
-    size += evProof.total;
+export function sizeOf(proof: StarkProof, fieldElementSize: number, hashDigestSize: number, headerSize = 0, queries?: MerkleQuery[]): ProofAnalysis {
+
+    // compressed Merkle proofs must be measured in the same order in which they are written, and
+    // their queries are listed in that order
+    const compressor = queries ? new MerkleProofCompressor(hashDigestSize) : undefined;
+    let queryIdx = 0;
+    const sizeOfProof = (merkleProof: BatchMerkleProof, root: Buffer, rootSize: number): MerkleProofSize => {
+        const size = compressor ? compressor.sizeOf(merkleProof, root, queries![queryIdx++]) : sizeOfMerkleProof(merkleProof);
+        return {
+            root        : rootSize,
+            values      : size.values,
+            nodes       : size.nodes,
+            valueCount  : merkleProof.values.length,
+            depth       : merkleProof.depth,
+            total       : size.total + rootSize
+        };
+    };
+
+    // evProof and cProof, together with their roots
+    const evProof = sizeOfProof(proof.evProof, proof.evRoot, hashDigestSize);
+    const cProof = sizeOfProof(proof.cProof, proof.cRoot, hashDigestSize);
+
+    // deepValues
+    let deepValues = 0;
+    if (proof.deepValues) {
+        const { pValues, nValues, hValues, cValues } = proof.deepValues;
+        deepValues += (pValues.length + nValues.length + hValues.length + cValues.length) * fieldElementSize;
+    }
 
     // ldProof
-    let ldProof = 1; // ld component count
+    let ldProof = sizeOfVarint(proof.ldProof.components.length); // ld component count
 
-    const lcProof = sizeOfMerkleProof(proof.ldProof.lcProof);
-    ldProof += lcProof.total + hashDigestSize; // + lc root
+    const lcProof = sizeOfProof(proof.ldProof.lcProof, proof.ldProof.lcRoot, hashDigestSize);
+    ldProof += lcProof.total;
 
-    const ldLevels: any[] = [];
+    // poly proof of each component is against the tree of the previous layer, so only column
+    // proofs carry a root
+    const layers: FriLayerSize[] = [];
+    let pRoot = proof.ldProof.lcRoot;
     for (let component of proof.ldProof.components) {
-        ldProof += hashDigestSize; // column root
-        let column = sizeOfMerkleProof(component.columnProof);
-        ldProof += column.total;
-
-        let poly = sizeOfMerkleProof(component.polyProof);
-        ldProof += poly.total;
+        let columnProof = sizeOfProof(component.columnProof, component.columnRoot, hashDigestSize);
+        let polyProof = sizeOfProof(component.polyProof, pRoot, 0);
+        pRoot = component.columnRoot;
 
-        ldLevels.push({ column, poly, total: column.total + poly.total + hashDigestSize });
+        let total = columnProof.total + polyProof.total;
+        layers.push({ columnProof, polyProof, total });
+        ldProof += total;
     }
-    let ldRemainder = proof.ldProof.remainder.length * fieldElementSize;
-    ldRemainder += 1; // 1 byte for remainder length
 
-    ldLevels.push({ total: ldRemainder });
-    ldProof += ldRemainder;
-    size += ldProof;
+    let remainder = proof.ldProof.remainder.length * fieldElementSize;
+    remainder += sizeOfVarint(proof.ldProof.remainder.length); // remainder length
+    ldProof += remainder;
+
+    // proof-of-work nonce
+    const powNonce = 4;
 
     // trace shape
-    let traceShape = 1; // trace depth
+    let traceShape = sizeOfVarint(proof.traceShape.length); // trace depth
     traceShape += proof.traceShape.length * 4;
-    size += traceShape;
 
-    return { evProof, ldProof: { lcProof, levels: ldLevels, total: ldProof }, traceShape, total: size };
+    const total = headerSize + evProof.total + cProof.total + deepValues + ldProof + powNonce + traceShape;
+    return {
+        compressed  : (queries !== undefined),
+        header      : headerSize,
+        evProof     : evProof,
+        cProof      : cProof,
+        deepValues  : deepValues,
+        ldProof     : { lcProof, layers, remainder, total: ldProof },
+        powNonce    : powNonce,
+        traceShape  : { shape: proof.traceShape.slice(), size: traceShape },
+        total       : total
+    };
 }
 
 export function sizeOfMerkleProof(proof: BatchMerkleProof) {
     const values = sizeOfArray(proof.values);
     const nodes = sizeOfMatrix(proof.nodes);
-    return { values, nodes, total: values + nodes + 1 }; // +1 for tree depth
+    return { values, nodes, total: values + nodes + sizeOfVarint(proof.depth) };
+}
+
+export function formatProofAnalysis(analysis: ProofAnalysis): string {
+    const total = analysis.total;
+    const lines = [`Proof size: ${formatBytes(total)} (${analysis.compressed ? 'compressed' : 'raw'})`];
+
+    const addLine = (name: string, size: number, details = '') => {
+        const share = `${(size / total * 100).toFixed(1)}%`;
+        lines.push(name.padEnd(NAME_COLUMN_WIDTH) + formatBytes(size).padStart(SIZE_COLUMN_WIDTH)
+            + share.padStart(SHARE_COLUMN_WIDTH) + (details ? `   ${details}` : ''));
+    };
+
+    const addProofLine = (name: string, proof: MerkleProofSize) => {
+        addLine(name, proof.total, `${proof.valueCount} leaves of ${2**proof.depth}; `
+            + `values ${formatBytes(proof.values)}, nodes ${formatBytes(proof.nodes)}`);
+    };
+
+    addLine('  header', analysis.header);
+    addProofLine('  evProof', analysis.evProof);
+    addProofLine('  cProof', analysis.cProof);
+    if (analysis.deepValues > 0) {
+        addLine('  deepValues', analysis.deepValues);
+    }
+
+    const ldProof = analysis.ldProof;
+    addLine('  ldProof', ldProof.total);
+    addProofLine('    lcProof', ldProof.lcProof);
+    for (let i = 0; i < ldProof.layers.length; i++) {
+        let layer = ldProof.layers[i];
+        addLine(`    layer ${i}`, layer.total);
+        addProofLine(`      columnProof`, layer.columnProof);
+        addProofLine(`      polyProof`, layer.polyProof);
+    }
+    addLine('    remainder', ldProof.remainder);
+
+    addLine('  powNonce', analysis.powNonce);
+    addLine('  traceShape', analysis.traceShape.size, `[${analysis.traceShape.shape.join(', ')}]`);
+
+    return lines.join('\n');
 }
 
 // HELPER FUNCTIONS
@@ -61,11 +137,8 @@ function sizeOfArray(array: any[]): number {
     if (array.length === 0) {
         throw new Error(`Array cannot be zero-length`);
     }
-    else if (array.length > MAX_ARRAY_LENGTH) {
-        throw new Error(`Array length (${array.length}) cannot exceed ${MAX_ARRAY_LENGTH}`);
-    }
 
-    let size = 1; // 1 byte for array length
+    let size = sizeOfVarint(array.length);
     for (let i = 0; i < array.length; i++) {
         size += array[i].length;
     }
@@ -74,24 +147,20 @@ function sizeOfArray(array: any[]): number {
 
 function sizeOfMatrix(matrix: any[][]): number {
 
-    if (matrix.length > MAX_ARRAY_LENGTH) {
-        throw new Error(`Matrix column count (${matrix.length}) cannot exceed ${MAX_ARRAY_LENGTH}`);
-    }
-
-    let size = 1;           // 1 byte for number of columns
-    size += matrix.length;  // 1 byte for length and type of each column
-
+    let size = sizeOfVarint(matrix.length);     // number of columns
     for (let i = 0; i < matrix.length; i++) {
         let column = matrix[i];
-        let columnLength = column.length;
-        if (columnLength >= MAX_MATRIX_COLUMN_LENGTH) {
-            throw new Error(`Matrix column length (${columnLength}) cannot exceed ${MAX_MATRIX_COLUMN_LENGTH}`);
-        }
 
-        for (let j = 0; j < columnLength; j++) {
+        // length and type of the column; type is the least significant bit, and does not affect the size
+        size += sizeOfVarint((column.length << 1) | 1);
+        for (let j = 0; j < column.length; j++) {
             size += column[j].length;
         }
     }
 
     return size;
-}
\ No newline at end of file
+}
+
+function formatBytes(size: number): string {
+    return (size < 1024) ? `${size} B` : `${(size / 1024).toFixed(2)} KB`;
+}
@@ -0,0 +1,132 @@
+// IMPORTS
+// ================================================================================================
+import { ExecutionTrace, ExecutionTraceJson, TraceRegister } from '@guildofweavers/genstark';
+
+// INTERFACES
+// ================================================================================================
+interface ReadonlyRegisterSpec {
+    readonly name       : string;
+    readonly pattern    : 'repeat' | 'spread';
+    readonly values?    : bigint[];         // undefined when values are provided as auxiliary inputs
+}
+
+// MODULE VARIABLES
+// ================================================================================================
+// whitespace and comments are matched so that they can be skipped; anything not matched by the other
+// alternatives becomes a single-character token
+const TOKEN_REGEXP = /\s+|\/\/[^\n]*|\/\*[\s\S]*?\*\/|\.\.\.|\$[a-z]\d+|[a-z_]\w*|0x[0-9a-f]+|\d+|[\s\S]/gi;
+const SKIPPED_TOKEN_REGEXP = /^(\s|\/\/|\/\*)/;
+const READONLY_REGISTER_NAME_REGEXP = /^\$[kps]\d+$/;
+
+// PUBLIC FUNCTIONS
+// ================================================================================================
+export function readReadonlyRegisters(source: string): ReadonlyRegisterSpec[] {
+    // AIR modules do not expose declarations of readonly registers, so they are read from all
+    // `using N readonly registers { ... }` sections of the tokenized source
+    const tokens = tokenize(source);
+
+    const specs: ReadonlyRegisterSpec[] = [];
+    for (let i = 0; i < tokens.length; i++) {
+        if (tokens[i] !== 'using' || tokens[i + 2] !== 'readonly' || !/^registers?$/.test(tokens[i + 3])) continue;
+        const count = Number.parseInt(tokens[i + 1], 10);
+        let t = i + 4;
+        expectToken(tokens, t++, '{');
+
+        // each declaration has the form $k0: repeat [1, 2, 3]; or $p0: spread binary [...];
+        const section: ReadonlyRegisterSpec[] = [];
+        while (tokens[t] !== '}') {
+            let name = tokens[t++];
+            if (!READONLY_REGISTER_NAME_REGEXP.test(name)) {
+                throw new Error(`Expected a readonly register declaration but found '${name}'`);
+            }
+            expectToken(tokens, t++, ':');
+            let pattern = tokens[t++];
+            if (pattern !== 'repeat' && pattern !== 'spread') {
+                throw new Error(`Unknown value pattern '${pattern}' of register ${name}`);
+            }
+            if (tokens[t] === 'binary') t++;
+
+            expectToken(tokens, t++, '[');
+            let values: bigint[] | undefined;
+            if (tokens[t] === '...') {
+                t++;
+            }
+            else {
+                values = [];
+                while (true) {
+                    values.push(BigInt(expectValue(tokens, t++)));
+                    if (tokens[t] !== ',') break;
+                    t++;
+                }
+            }
+            expectToken(tokens, t++, ']');
+            expectToken(tokens, t++, ';');
+            section.push({ name, pattern, values });
+        }
+
+        if (section.length !== count) {
+            throw new Error(`Readonly registers section declares ${count} registers, but defines ${section.length}`);
+        }
+        specs.push(...section);
+        i = t;
+    }
+    return specs;
+}
+
+export function expandReadonlyRegister(spec: ReadonlyRegisterSpec, values: bigint[], traceLength: number): bigint[] {
+    // repeat cycles through the values, while spread holds each value for an equal number of steps
+    const result = new Array<bigint>(traceLength);
+    const stepsPerValue = traceLength / values.length;
+    for (let step = 0; step < traceLength; step++) {
+        result[step] = (spec.pattern === 'repeat')
+            ? values[step % values.length]
+            : values[Math.floor(step / stepsPerValue)];
+    }
+    return result;
+}
+
+export function traceToCsv(trace: ExecutionTrace): string {
+    const lines = [['step', ...trace.registers.map(r => r.name)].join(',')];
+    for (let step = 0; step < trace.length; step++) {
+        lines.push([step, ...trace.registers.map(r => r.values[step])].join(','));
+    }
+    return lines.join('\n') + '\n';
+}
+
+export function traceToJson(trace: ExecutionTrace): ExecutionTraceJson {
+    return {
+        length      : trace.length,
+        shape       : trace.shape.slice(),
+        registers   : trace.registers.map((register: TraceRegister) => ({
+            name    : register.name,
+            kind    : register.kind,
+            values  : register.values.map(v => v.toString(10))
+        }))
+    };
+}
+
+// HELPER FUNCTIONS
+// ================================================================================================
+function tokenize(source: string): string[] {
+    const tokens: string[] = [];
+    for (let [token] of source.matchAll(TOKEN_REGEXP)) {
+        if (!SKIPPED_TOKEN_REGEXP.test(token)) {
+            tokens.push(token);
+        }
+    }
+    return tokens;
+}
+
+function expectToken(tokens: string[], index: number, expected: string) {
+    if (tokens[index] !== expected) {
+        throw new Error(`Expected '${expected}' in readonly registers section but found '${tokens[index] || 'end of source'}'`);
+    }
+}
+
+function expectValue(tokens: string[], index: number): string {
+    const token = tokens[index];
+    if (!token || !/^(0x[0-9a-f]+|\d+)$/i.test(token)) {
+        throw new Error(`Expected a value in readonly registers section but found '${token || 'end of source'}'`);
+    }
+    return token;
+}
@@ -0,0 +1,322 @@
+// IMPORTS
+// ================================================================================================
+import * as path from 'path';
+import { Worker } from 'worker_threads';
+import { SecurityOptions, Assertion, OptimizationOptions, ProofErrorCode } from '@guildofweavers/genstark';
+import { FiniteField, Matrix, Vector } from '@guildofweavers/air-script';
+import { MerkleTree, Hash } from '@guildofweavers/merkle';
+import { ProofTask, ProofSteps } from './tasks';
+import { readBigIntArray } from '../utils';
+import { StarkError, ProofFormatError } from '../StarkError';
+
+// MODULE VARIABLES
+// ================================================================================================
+const WORKER_SCRIPT = path.join(__dirname, 'worker.js');
+
+// if workers keep failing without completing any jobs, something is wrong with the environment
+// (e.g. the worker script or the hash module cannot be loaded), and restarting them is pointless
+const MAX_WORKER_RESTARTS = 3;
+
+// INTERFACES
+// ================================================================================================
+export interface WorkerConfig {
+    readonly source         : string;
+    readonly security       : SecurityOptions;
+    readonly optimization?  : boolean | Partial<OptimizationOptions>;
+    readonly hashModule?    : string;
+}
+
+export type WorkerRequest =
+      { type: 'extendPolys'; polys: Buffer[]; rootOfUnity: bigint; domainSize: number; offset: bigint; }
+    | { type: 'hashRows'; vectors: Buffer[]; }
+    | { type: 'evaluateConstraints'; pEvaluations: Buffer[]; hEvaluations: Buffer[]; start: number; end: number; rootOfUnity: bigint; domainSize: number; offset: bigint; traceShape: number[]; auxPublicInputs: bigint[][]; }
+    | { type: 'verify'; assertions: Assertion[]; proof: Buffer; auxPublicInputs: bigint[][]; };
+
+export interface WorkerResponse {
+    readonly result?        : any;
+    readonly error?         : WorkerError;
+}
+
+// errors cannot be passed between threads as is, so they are sent as plain objects and re-created
+// in the main thread with the same class, message, and error code
+export interface WorkerError {
+    readonly name           : 'TypeError' | 'ProofFormatError' | 'StarkError' | 'Error';
+    readonly message        : string;
+    readonly code?          : ProofErrorCode;
+}
+
+interface Job {
+    readonly request        : WorkerRequest;
+    readonly resolve        : (result: any) => void;
+    readonly reject         : (error: Error) => void;
+}
+
+// CLASS DEFINITION
+// ================================================================================================
+export class WorkerPool {
+
+    readonly size               : number;
+
+    private readonly field      : FiniteField;
+    private readonly hash       : Hash;
+    private readonly config     : WorkerConfig;
+
+    private readonly idle       : Worker[];
+    private readonly active     : Map<Worker, Job>;
+    private readonly queue      : Job[];
+
+    private restarts            : number;
+    private failure?            : Error;
+
+    // CONSTRUCTOR
+    // --------------------------------------------------------------------------------------------
+    constructor(size: number, field: FiniteField, hash: Hash, config: WorkerConfig) {
+        this.size = size;
+        this.field = field;
+        this.hash = hash;
+        this.config = config;
+
+        this.idle = [];
+        this.active = new Map();
+        this.queue = [];
+        this.restarts = 0;
+        for (let i = 0; i < size; i++) {
+            this.idle.push(this.spawn());
+        }
+    }
+
+    // PROPERTIES
+    // --------------------------------------------------------------------------------------------
+    get isClosed(): boolean {
+        return this.failure !== undefined;
+    }
+
+    // PUBLIC METHODS
+    // --------------------------------------------------------------------------------------------
+    async run<T>(steps: ProofSteps<T>): Promise<T> {
+        let step = steps.next();
+        while (!step.done) {
+            let result: any;
+            try {
+                result = Array.isArray(step.value)
+                    ? await Promise.all(step.value.map(task => this.execute(task)))
+                    : await this.execute(step.value);
+            }
+            catch (error) {
+                step = steps.throw(error);
+                continue;
+            }
+            step = steps.next(result);
+        }
+        return step.value;
+    }
+
+    async execute(task: ProofTask): Promise<any> {
+        switch (task.type) {
+            case 'extendPolys': {
+                // low-degree extend each chunk of polynomials in a separate worker
+                const { rootOfUnity, size: domainSize, offset } = task.domain;
+                const chunks = splitRange(task.polys.rowCount, this.size).map(([start, end]) => {
+                    const polys = task.polys.rowsToBuffers(range(start, end));
+                    return this.submit({ type: 'extendPolys', polys, rootOfUnity, domainSize, offset });
+                });
+                const rows = ([] as Buffer[]).concat(...await Promise.all(chunks));
+                return this.buffersToMatrix(rows);
+            }
+            case 'buildMerkleTree': {
+                // hash each range of rows in a separate worker, and build the tree from the results
+                const domainSize = task.vectors[0].length;
+                const chunks = splitRange(domainSize, this.size).map(([start, end]) => {
+                    const vectors = task.vectors.map(v => v.toBuffer(start, end - start));
+                    return this.submit({ type: 'hashRows', vectors });
+                });
+                const digests = (await Promise.all(chunks)).map(toBuffer);
+
+                const leaves = new Array<Buffer>(domainSize), digestSize = this.hash.digestSize;
+                for (let i = 0, position = 0; i < digests.length; i++) {
+                    for (let offset = 0; offset < digests[i].byteLength; offset += digestSize, position++) {
+                        leaves[position] = digests[i].slice(offset, offset + digestSize);
+                    }
+                }
+                return MerkleTree.create(leaves, this.hash);
+            }
+            case 'evaluateConstraints': {
+                // evaluate constraints over each range of the domain in a separate worker; constraints
+                // at a given position also depend on the next state of the trace, so P(x) evaluations
+                // sent to a worker extend past the end of the range (wrapping around the domain)
+                const { rootOfUnity, size: domainSize, offset } = task.domain;
+                const { traceShape } = task.context, auxPublicInputs = task.auxPublicInputs;
+                const skip = domainSize / task.context.traceLength;
+                const pVectors = this.field.matrixRowsToVectors(task.pEvaluations);
+                const chunks = splitRange(task.end - task.start, this.size).map(([start, end]) => {
+                    start += task.start, end += task.start;
+                    const pEvaluations = pVectors.map(v => sliceVector(v, start, end + skip));
+                    const hEvaluations = task.hEvaluations.map(v => sliceVector(v, start, end));
+                    return this.submit({ type: 'evaluateConstraints', pEvaluations, hEvaluations, start, end, rootOfUnity, domainSize, offset, traceShape, auxPublicInputs });
+                });
+
+                // merge evaluations of each constraint across all ranges
+                const results = (await Promise.all(chunks)).map((rows: Uint8Array[]) => rows.map(toBuffer));
+                const rows = results[0].map((_, i) => Buffer.concat(results.map(chunk => chunk[i])));
+                return this.buffersToMatrix(rows);
+            }
+        }
+    }
+
+    verify(assertions: Assertion[], proof: Buffer, auxPublicInputs: bigint[][]): Promise<boolean> {
+        return this.submit({ type: 'verify', assertions, proof, auxPublicInputs });
+    }
+
+    async terminate(): Promise<void> {
+        const workers = [...this.idle, ...this.active.keys()];
+        this.close(new StarkError('Worker pool has been terminated'));
+        await Promise.all(workers.map(worker => worker.terminate()));
+    }
+
+    // HELPER METHODS
+    // --------------------------------------------------------------------------------------------
+    private submit(request: WorkerRequest): Promise<any> {
+        return new Promise((resolve, reject) => {
+            if (this.failure) return reject(this.failure);
+            this.queue.push({ request, resolve, reject });
+            this.dispatch();
+        });
+    }
+
+    private close(reason: Error) {
+        // reject all pending jobs; after this, the pool rejects all new jobs with the same error
+        this.failure = reason;
+        const jobs = [...this.active.values(), ...this.queue];
+        this.idle.length = 0;
+        this.active.clear();
+        this.queue.length = 0;
+        for (let job of jobs) {
+            job.reject(reason);
+        }
+    }
+
+    private dispatch() {
+        while (this.idle.length > 0 && this.queue.length > 0) {
+            const worker = this.idle.pop()!;
+            const job = this.queue.shift()!;
+            this.active.set(worker, job);
+            worker.ref();   // keep the process alive while the job is in progress
+            worker.postMessage(job.request);
+        }
+    }
+
+    private release(worker: Worker): Job {
+        const job = this.active.get(worker)!;
+        this.active.delete(worker);
+        worker.unref();
+        return job;
+    }
+
+    private spawn(): Worker {
+        const worker = new Worker(WORKER_SCRIPT, { workerData: this.config });
+        worker.unref();     // idle workers should not prevent the process from exiting
+
+        worker.on('message', (response: WorkerResponse) => {
+            if (!this.active.has(worker)) return;   // the pool has been closed
+            const job = this.release(worker);
+            this.restarts = 0;
+            this.idle.push(worker);
+            this.dispatch();
+            if (response.error !== undefined) {
+                job.reject(deserializeError(response.error));
+            }
+            else {
+                job.resolve(response.result);
+            }
+        });
+
+        // a worker which failed with an uncaught exception emits both events; exit events on their
+        // own are emitted when the worker calls process.exit() or is terminated by the pool
+        worker.on('error', (error: Error) => this.replace(worker, new StarkError('Worker thread failed', error)));
+        worker.on('exit', (code: number) => this.replace(worker, new StarkError(`Worker thread exited with code ${code}`)));
+
+        return worker;
+    }
+
+    private replace(worker: Worker, reason: Error) {
+        if (this.failure) return;
+        // the worker is dead; reject its job and replace it with a fresh one, unless workers
+        // have been failing repeatedly, in which case the entire pool is shut down
+        const index = this.idle.indexOf(worker);
+        if (index !== -1) {
+            this.idle.splice(index, 1);
+        }
+        else if (this.active.has(worker)) {
+            this.release(worker).reject(reason);
+        }
+        else {
+            return;     // the worker has already been replaced
+        }
+
+        this.restarts++;
+        if (this.restarts > MAX_WORKER_RESTARTS) {
+            const workers = [...this.idle, ...this.active.keys()];
+            this.close(new StarkError(`Worker pool failed after ${MAX_WORKER_RESTARTS} restarts of worker threads`, reason));
+            workers.forEach(worker => worker.terminate());
+        }
+        else {
+            this.idle.push(this.spawn());
+            this.dispatch();
+        }
+    }
+
+    private buffersToMatrix(rows: Buffer[]): Matrix {
+        const elementSize = this.field.elementSize;
+        const values = rows.map(row => readBigIntArray(toBuffer(row), elementSize));
+        return this.field.newMatrixFrom(values);
+    }
+}
+
+// HELPER FUNCTIONS
+// ================================================================================================
+export function toBuffer(bytes: Uint8Array): Buffer {
+    // buffers passed between threads arrive as plain Uint8Arrays
+    return Buffer.isBuffer(bytes) ? bytes : Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+}
+
+export function serializeError(error: any): WorkerError {
+    const message = (error && error.message !== undefined) ? String(error.message) : String(error);
+    if (error instanceof ProofFormatError) return { name: 'ProofFormatError', message, code: error.code };
+    if (error instanceof StarkError) return { name: 'StarkError', message };
+    if (error instanceof TypeError) return { name: 'TypeError', message };
+    return { name: 'Error', message };
+}
+
+function deserializeError(error: WorkerError): Error {
+    switch (error.name) {
+        case 'ProofFormatError': return new ProofFormatError(error.code!, error.message);
+        case 'TypeError': return new TypeError(error.message);
+        default: return new StarkError(error.message);
+    }
+}
+
+function sliceVector(vector: Vector, start: number, end: number): Buffer {
+    // end can be past the end of the vector, in which case the slice wraps around
+    if (end <= vector.length) {
+        return vector.toBuffer(start, end - start);
+    }
+    return Buffer.concat([vector.toBuffer(start, vector.length - start), vector.toBuffer(0, end - vector.length)]);
+}
+
+function splitRange(length: number, parts: number): [number, number][] {
+    const chunkCount = Math.min(length, parts);
+    const chunkSize = Math.ceil(length / chunkCount);
+    const result: [number, number][] = [];
+    for (let start = 0; start < length; start += chunkSize) {
+        result.push([start, Math.min(start + chunkSize, length)]);
+    }
+    return result;
+}
+
+function range(start: number, end: number): number[] {
+    const result = new Array<number>(end - start);
+    for (let i = 0; i < result.length; i++) {
+        result[i] = start + i;
+    }
+    return result;
+}
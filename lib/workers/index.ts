@@ -0,0 +1,2 @@
+export { WorkerPool } from './WorkerPool';
+export { ProofSteps, ProofInputs, TraceInputs, runTasks, extendPolys, buildMerkleTree, evaluateConstraints } from './tasks';
\ No newline at end of file
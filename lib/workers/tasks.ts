@@ -0,0 +1,143 @@
+// IMPORTS
+// ================================================================================================
+import { FiniteField, Matrix, Vector, VerificationObject } from '@guildofweavers/air-script';
+import { MerkleTree, Hash } from '@guildofweavers/merkle';
+import { EvaluationDomain } from '../components';
+import { StarkError } from '../StarkError';
+
+// INTERFACES
+// ================================================================================================
+export interface ProofInputs {
+    readonly inputs         : any[];
+    readonly auxPublicInputs: bigint[][];
+    readonly auxSecretInputs: bigint[][];
+}
+
+export interface TraceInputs {
+    readonly trace          : bigint[][];
+    readonly traceShape     : number[];
+    readonly hiddenRegisters: bigint[][];
+    readonly auxPublicInputs: bigint[][];
+}
+
+export interface ExtendPolysTask {
+    readonly type           : 'extendPolys';
+    readonly polys          : Matrix;
+    readonly domain         : EvaluationDomain;
+}
+
+export interface BuildMerkleTreeTask {
+    readonly type           : 'buildMerkleTree';
+    readonly vectors        : Vector[];
+}
+
+export interface EvaluateConstraintsTask {
+    readonly type           : 'evaluateConstraints';
+    readonly pEvaluations   : Matrix;
+    readonly hEvaluations   : Vector[];
+    readonly domain         : EvaluationDomain;
+    readonly context        : VerificationObject;
+    readonly auxPublicInputs: bigint[][];
+    readonly start          : number;
+    readonly end            : number;
+}
+
+export type ProofTask = ExtendPolysTask | BuildMerkleTreeTask | EvaluateConstraintsTask;
+
+/**
+ * Proof computation expressed as a sequence of steps; every heavy computation is yielded as
+ * a task (or an array of independent tasks) so that it can be executed either in-line or
+ * by a pool of worker threads.
+ */
+export type ProofSteps<T> = Generator<ProofTask | ProofTask[], T, any>;
+
+// TASK BUILDERS
+// ================================================================================================
+export function extendPolys(polys: Matrix, domain: EvaluationDomain): ExtendPolysTask {
+    return { type: 'extendPolys', polys, domain };
+}
+
+export function buildMerkleTree(vectors: Vector[]): BuildMerkleTreeTask {
+    return { type: 'buildMerkleTree', vectors };
+}
+
+/**
+ * Evaluates transition constraints at positions [start, end) of the domain; the first column of
+ * evaluation matrices corresponds to the start position
+ */
+export function evaluateConstraints(pEvaluations: Matrix, hEvaluations: Vector[], domain: EvaluationDomain, context: VerificationObject, auxPublicInputs: bigint[][], start = 0, end = domain.size): EvaluateConstraintsTask {
+    return { type: 'evaluateConstraints', pEvaluations, hEvaluations, domain, context, auxPublicInputs, start, end };
+}
+
+// SYNCHRONOUS EXECUTION
+// ================================================================================================
+export function runTasks<T>(steps: ProofSteps<T>, field: FiniteField, hash: Hash): T {
+    let step = steps.next();
+    while (!step.done) {
+        let result: any;
+        try {
+            result = Array.isArray(step.value)
+                ? step.value.map(task => executeTask(task, field, hash))
+                : executeTask(step.value, field, hash);
+        }
+        catch (error) {
+            step = steps.throw(error);
+            continue;
+        }
+        step = steps.next(result);
+    }
+    return step.value;
+}
+
+export function executeTask(task: ProofTask, field: FiniteField, hash: Hash): any {
+    switch (task.type) {
+        case 'extendPolys': {
+            return task.domain.extendPolys(task.polys);
+        }
+        case 'buildMerkleTree': {
+            const leaves = hash.mergeVectorRows(task.vectors);
+            return MerkleTree.create(leaves, hash);
+        }
+        case 'evaluateConstraints': {
+            try {
+                return evaluateTransitionConstraints(task);
+            }
+            catch (error) {
+                throw new StarkError('Failed to evaluate transition constraints', error);
+            }
+        }
+    }
+}
+
+// HELPER FUNCTIONS
+// ================================================================================================
+function evaluateTransitionConstraints(task: EvaluateConstraintsTask): Matrix {
+    // constraints are evaluated at every point of the range from evaluations of P(x) and S(x), so
+    // Q(x) is never interpolated, and its degree is not limited by the size of any smaller domain;
+    // the next state of the trace is extension factor positions away from the current one
+    const { context, domain, pEvaluations, hEvaluations, start, end } = task;
+    const skip = domain.size / context.traceLength;
+    const registerCount = pEvaluations.rowCount;
+    const columnCount = pEvaluations.colCount;
+    const points = domain.values;
+
+    const qValues = new Array<bigint[]>(end - start);
+    for (let column = 0; column < qValues.length; column++) {
+        let next = (column + skip) % columnCount;
+        let rValues = new Array<bigint>(registerCount), nValues = new Array<bigint>(registerCount);
+        for (let i = 0; i < registerCount; i++) {
+            rValues[i] = pEvaluations.getValue(i, column);
+            nValues[i] = pEvaluations.getValue(i, next);
+        }
+        let hValues = hEvaluations.map(h => h.getValue(column));
+        qValues[column] = context.evaluateConstraintsAt(points.getValue(start + column), rValues, nValues, hValues);
+    }
+
+    // transpose the results so that each row holds evaluations of a single constraint
+    const constraintCount = qValues[0].length;
+    const rows = new Array<bigint[]>(constraintCount);
+    for (let i = 0; i < constraintCount; i++) {
+        rows[i] = qValues.map(values => values[i]);
+    }
+    return context.field.newMatrixFrom(rows);
+}
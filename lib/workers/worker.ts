@@ -0,0 +1,68 @@
+// IMPORTS
+// ================================================================================================
+import { parentPort, workerData } from 'worker_threads';
+import { Logger as ILogger } from '@guildofweavers/genstark';
+import { WorkerConfig, WorkerRequest, WorkerResponse, toBuffer, serializeError } from './WorkerPool';
+import { extendPolys, evaluateConstraints, executeTask } from './tasks';
+import { EvaluationDomain } from '../components';
+import { Stark } from '../Stark';
+import { readBigIntArray, noop } from '../utils';
+
+// MODULE VARIABLES
+// ================================================================================================
+const silentLogger: ILogger = { start: () => noop, sub: () => noop, done: noop };
+
+const config: WorkerConfig = workerData;
+if (config.hashModule) {
+    // the module is expected to register the hash algorithm again in this thread
+    require(config.hashModule);
+}
+const stark = new Stark(config.source, config.security, config.optimization, silentLogger);
+const field = stark.air.field;
+
+// MESSAGE HANDLER
+// ================================================================================================
+parentPort!.on('message', (request: WorkerRequest) => {
+    let response: WorkerResponse;
+    try {
+        response = { result: handleRequest(request) };
+    }
+    catch (error) {
+        response = { error: serializeError(error) };
+    }
+    parentPort!.postMessage(response);
+});
+
+function handleRequest(request: WorkerRequest): any {
+    switch (request.type) {
+        case 'extendPolys': {
+            const polys = buffersToMatrix(request.polys);
+            const domain = new EvaluationDomain(field, request.rootOfUnity, request.domainSize, request.offset);
+            const task = extendPolys(polys, domain);
+            return executeTask(task, field, stark.hash).rowsToBuffers();
+        }
+        case 'hashRows': {
+            const vectors = request.vectors.map(buffer => field.newVectorFrom(readBigIntArray(toBuffer(buffer), field.elementSize)));
+            return stark.hash.mergeVectorRows(vectors).toBuffer();
+        }
+        case 'evaluateConstraints': {
+            // constraints are evaluated with a verification context, so secret inputs are never sent to workers
+            const context = stark.air.initVerification(request.traceShape, request.auxPublicInputs);
+            const domain = new EvaluationDomain(field, request.rootOfUnity, request.domainSize, request.offset);
+            const pEvaluations = buffersToMatrix(request.pEvaluations);
+            const hEvaluations = request.hEvaluations.map(buffer => field.newVectorFrom(readBigIntArray(toBuffer(buffer), field.elementSize)));
+            const task = evaluateConstraints(pEvaluations, hEvaluations, domain, context, request.auxPublicInputs, request.start, request.end);
+            return executeTask(task, field, stark.hash).rowsToBuffers();
+        }
+        case 'verify': {
+            const proof = stark.parse(toBuffer(request.proof));
+            return stark.verify(request.assertions, proof, request.auxPublicInputs);
+        }
+    }
+}
+
+// HELPER FUNCTIONS
+// ================================================================================================
+function buffersToMatrix(rows: Buffer[]) {
+    return field.newMatrixFrom(rows.map(row => readBigIntArray(toBuffer(row), field.elementSize)));
+}
@@ -0,0 +1,115 @@
+// IMPORTS
+// ================================================================================================
+import * as assert from 'assert';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { createHash } from '@guildofweavers/merkle';
+import { registerHash, StarkError } from '../index';
+import { assertions, inputs, createStark, prove, testAsync } from './utils';
+
+// TESTS
+// ================================================================================================
+// asynchronous tests run after all synchronous suites, so the output of suites is not interleaved
+export async function run() {
+    console.log('async');
+
+    const stark = createStark();
+    const proof = prove(stark);
+
+    try {
+        await testAsync('proveAsync yields the same proof as prove', async () => {
+            const asyncProof = await stark.proveAsync(assertions, inputs);
+            assert.ok(stark.serialize(asyncProof).equals(stark.serialize(proof)));
+        });
+
+        await testAsync('proveWithStatsAsync yields the same proof as prove with statistics', async () => {
+            const { proof: asyncProof, stats } = await stark.proveWithStatsAsync(assertions, inputs);
+            assert.ok(stark.serialize(asyncProof).equals(stark.serialize(proof)));
+            assert.strictEqual(stats.traceLength, 64);
+            assert.strictEqual(stats.friLayerCount, proof.ldProof.components.length);
+            assert.ok(stats.stages.some(s => s.name === 'Computed low-degree proof'));
+        });
+
+        await testAsync('verifyAsync agrees with verify', async () => {
+            assert.strictEqual(await stark.verifyAsync(assertions, proof), stark.verify(assertions, proof));
+
+            // errors thrown in worker threads are re-thrown with the same class and message
+            const otherAssertions = assertions.map(a => ({ ...a, value: a.value + 1n }));
+            const expected = getError(() => stark.verify(otherAssertions, proof));
+            await assert.rejects(stark.verifyAsync(otherAssertions, proof), (error: Error) => {
+                return error instanceof StarkError && error.message === expected.message;
+            });
+        });
+
+        await testAsync('terminate stops workers and a new pool is started on the next call', async () => {
+            const rejected = assert.rejects(stark.proveAsync(assertions, inputs), /Worker pool has been terminated/);
+            await stark.terminate();
+            await rejected;
+            assert.ok(await stark.verifyAsync(assertions, proof));
+        });
+    }
+    finally {
+        await stark.terminate();
+    }
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'genstark-'));
+    try {
+        await testAsync('workers which fail to start reject pending proofs', async () => {
+            const failing = createWorkerStark(dir, 'throwing-hash', `throw new Error('cannot load hash module');`);
+            try {
+                await assert.rejects(failing.proveAsync(assertions, inputs), (error: Error) => {
+                    return error instanceof StarkError && error.message.includes('cannot load hash module');
+                });
+                await assert.rejects(failing.verifyAsync(assertions, proof), StarkError);
+            }
+            finally {
+                await failing.terminate();
+            }
+        });
+
+        await testAsync('workers which exit reject pending proofs', async () => {
+            const exiting = createWorkerStark(dir, 'exiting-hash', `process.exit(3);`);
+            try {
+                await assert.rejects(exiting.proveAsync(assertions, inputs), /Worker thread exited with code 3/);
+            }
+            finally {
+                await exiting.terminate();
+            }
+        });
+
+        await testAsync('hashes without a module path are rejected asynchronously', async () => {
+            registerHash('unloadable-hash', () => createHash('blake2s256', false));
+            const unloadable = createStark({ hashAlgorithm: 'unloadable-hash' });
+            const pending = unloadable.proveAsync(assertions, inputs);
+            assert.ok(pending instanceof Promise);
+            await assert.rejects(pending, /cannot be used in worker threads/);
+        });
+    }
+    finally {
+        for (let file of fs.readdirSync(dir)) {
+            fs.unlinkSync(path.join(dir, file));
+        }
+        fs.rmdirSync(dir);
+    }
+}
+
+// HELPER FUNCTIONS
+// ================================================================================================
+function createWorkerStark(dir: string, hashAlgorithm: string, moduleSource: string) {
+    // the hash works in the main thread, but the module which registers it in workers is broken
+    const modulePath = path.join(dir, `${hashAlgorithm}.js`);
+    fs.writeFileSync(modulePath, moduleSource);
+    registerHash(hashAlgorithm, () => createHash('blake2s256', false), modulePath);
+    return createStark({ hashAlgorithm });
+}
+
+function getError(fn: () => void): Error {
+    try {
+        fn();
+    }
+    catch (error) {
+        return error;
+    }
+    throw new Error('Expected function to throw');
+}
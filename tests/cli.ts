@@ -0,0 +1,84 @@
+// IMPORTS
+// ================================================================================================
+import * as assert from 'assert';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { spawnSync } from 'child_process';
+import { EXAMPLE_DIR, FIXTURE_DIR, test } from './utils';
+
+// MODULE VARIABLES
+// ================================================================================================
+const CLI = path.resolve(__dirname, '../cli.js');
+const script = path.join(EXAMPLE_DIR, 'fibonacci.air');
+const inputs = path.join(EXAMPLE_DIR, 'fibonacci.json');
+const security = path.join(EXAMPLE_DIR, 'security.json');
+
+// TESTS
+// ================================================================================================
+console.log('cli');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'genstark-'));
+const proofFile = path.join(dir, 'fibonacci.proof');
+
+try {
+    test('prove writes a proof file', () => {
+        const result = genstark('prove', script, inputs, '-s', security, '-o', proofFile, '--compress');
+        assert.strictEqual(result.status, 0, result.stderr);
+        assert.ok(fs.existsSync(proofFile));
+    });
+
+    test('verify accepts the proof', () => {
+        const result = genstark('verify', script, inputs, proofFile, '-s', security);
+        assert.strictEqual(result.status, 0, result.stderr);
+        assert.ok(result.stdout.includes('Proof is valid'));
+    });
+
+    test('verify rejects the proof for a different statement', () => {
+        const statement = JSON.parse(fs.readFileSync(inputs, 'utf8'));
+        statement.assertions[2].value = '1';
+        const otherInputs = path.join(dir, 'other.json');
+        fs.writeFileSync(otherInputs, JSON.stringify(statement));
+
+        const result = genstark('verify', script, otherInputs, proofFile, '-s', security);
+        assert.strictEqual(result.status, 1, result.stderr);
+    });
+
+    test('verify rejects a proof generated with different options', () => {
+        const result = genstark('verify', script, inputs, proofFile);
+        assert.strictEqual(result.status, 1, result.stderr);
+    });
+
+    test('inspect takes parameters from the proof header', () => {
+        const result = genstark('inspect', script, proofFile, inputs);
+        assert.strictEqual(result.status, 0, result.stderr);
+        assert.ok(result.stdout.includes('hash algorithm          blake2s256'));
+        assert.ok(result.stdout.includes('exe query count         48'));
+    });
+
+    test('inspect requires inputs to read a compressed proof', () => {
+        const result = genstark('inspect', script, proofFile);
+        assert.strictEqual(result.status, 2);
+        assert.ok(result.stderr.includes('statement'));
+    });
+
+    test('verify accepts a proof without a header', () => {
+        const result = genstark('verify', script, inputs, path.join(FIXTURE_DIR, 'fibonacci-legacy.bin'));
+        assert.strictEqual(result.status, 0, result.stderr);
+        assert.ok(result.stdout.includes('Proof is valid'));
+    });
+
+    test('unknown commands fail with a usage error', () => {
+        assert.strictEqual(genstark('sign', script).status, 2);
+    });
+}
+finally {
+    fs.readdirSync(dir).forEach(file => fs.unlinkSync(path.join(dir, file)));
+    fs.rmdirSync(dir);
+}
+
+// HELPER FUNCTIONS
+// ================================================================================================
+function genstark(...args: string[]) {
+    return spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8' });
+}
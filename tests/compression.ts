@@ -0,0 +1,54 @@
+// IMPORTS
+// ================================================================================================
+import * as assert from 'assert';
+import { ProofFormatError, MerkleProofSize } from '@guildofweavers/genstark';
+import { createStark, prove, assertions, test } from './utils';
+
+// TESTS
+// ================================================================================================
+console.log('compression');
+
+const statement = { assertions };
+
+for (let friFoldingFactor of [2, 4]) {
+    const stark = createStark({ friFoldingFactor });
+    const proof = prove(stark);
+    const raw = stark.serialize(proof);
+    const compressed = stark.serialize(proof, { compress: true, statement });
+
+    test(`compressed proofs are smaller than raw proofs (folding factor ${friFoldingFactor})`, () => {
+        assert.ok(compressed.byteLength < raw.byteLength);
+        assert.strictEqual(stark.sizeOf(proof, statement).compressed, compressed.byteLength);
+    });
+
+    test(`compressed and raw proofs parse into the same proof (folding factor ${friFoldingFactor})`, () => {
+        const parsed = stark.parse(compressed, statement);
+        assert.ok(stark.serialize(parsed).equals(raw));
+        assert.strictEqual(stark.verify(assertions, parsed), true);
+    });
+
+    test(`compressed Merkle proofs contain nothing but leaves and nodes (folding factor ${friFoldingFactor})`, () => {
+        // paths are derived from query positions, so no lengths or depths are written
+        const analysis = stark.analyzeProof(proof, { compress: true, statement });
+        const merkleProofs: MerkleProofSize[] = [analysis.evProof, analysis.cProof, analysis.ldProof.lcProof];
+        analysis.ldProof.layers.forEach(layer => merkleProofs.push(layer.columnProof, layer.polyProof));
+        for (let merkleProof of merkleProofs) {
+            assert.strictEqual(merkleProof.total, merkleProof.root + merkleProof.values + merkleProof.nodes);
+        }
+    });
+}
+
+const stark = createStark();
+const proof = prove(stark);
+const compressed = stark.serialize(proof, { compress: true, statement });
+
+test('compressed proofs cannot be written or read without their statement', () => {
+    assert.throws(() => stark.serialize(proof, { compress: true }), TypeError);
+    assert.strictEqual(stark.sizeOf(proof).compressed, undefined);
+    assert.throws(() => stark.parse(compressed), (error: ProofFormatError) => error.code === 'missingStatement');
+});
+
+test('compressed proofs are rejected for a different statement', () => {
+    const other = assertions.map((a, i) => (i === 2) ? { ...a, value: 1n } : a);
+    assert.throws(() => stark.verify(other, stark.parse(compressed, { assertions: other })));
+});
@@ -0,0 +1,67 @@
+// IMPORTS
+// ================================================================================================
+import * as assert from 'assert';
+import { createStark, assertions, inputs, test } from './utils';
+
+// MODULE VARIABLES
+// ================================================================================================
+// the second constraint does not match the transition function: it expects $r1 to become 2 * a0
+// rather than a0 + $r1, and so it does not hold at any step
+const brokenSource = `
+define BrokenFibonacci over prime field (2^32 - 3 * 2^25 + 1) {
+
+    transition 2 registers {
+        for each ($i0) {
+            init [$i0, $i0];
+            for steps [1..63] {
+                a0 <- $r0 + $r1;
+                [a0, a0 + $r1];
+            }
+        }
+    }
+
+    enforce 2 constraints {
+        for all steps {
+            a0 <- $r0 + $r1;
+            [a0, a0 + a0] = $n;
+        }
+    }
+}`;
+
+// TESTS
+// ================================================================================================
+console.log('debug');
+
+test('valid computations have no failures', () => {
+    const report = createStark().debug(assertions, inputs);
+    assert.strictEqual(report.isValid, true);
+    assert.strictEqual(report.traceLength, 64);
+    assert.deepStrictEqual(report.assertionFailures, []);
+    assert.deepStrictEqual(report.constraintFailures, []);
+});
+
+test('failing assertions are reported with expected and actual values', () => {
+    const wrong = assertions.map(a => (a.step === 63) ? { ...a, value: 5n } : a);
+    const report = createStark().debug(wrong, inputs);
+    assert.strictEqual(report.isValid, false);
+    assert.deepStrictEqual(report.assertionFailures, [{ register: 1, step: 63, expected: 5n, actual: 1783540607n }]);
+    assert.strictEqual(report.constraintFailureCount, 0);
+});
+
+test('failing transition constraints are reported by constraint and step', () => {
+    const stark = createStark({}, brokenSource);
+    const report = stark.debug(assertions, inputs);
+    assert.strictEqual(report.isValid, false);
+    assert.deepStrictEqual(report.assertionFailures, []);
+
+    // constraints do not apply to the last step
+    assert.strictEqual(report.constraintFailureCount, 63);
+    assert.ok(report.constraintFailures.every(f => f.constraint === 1 && f.actual !== 0n));
+    assert.deepStrictEqual(report.constraintFailures.map(f => f.step), Array.from({ length: 63 }, (_, i) => i));
+
+    const [first] = report.constraintFailures;
+    assert.deepStrictEqual(first.registers, [1n, 1n]);
+    assert.deepStrictEqual(first.nextRegisters, [2n, 3n]);
+    assert.deepStrictEqual(first.hiddenRegisters, [1n]);
+    assert.strictEqual(first.expected, 0n);
+});
@@ -0,0 +1,51 @@
+// IMPORTS
+// ================================================================================================
+import * as assert from 'assert';
+import { StarkError } from '../index';
+import { createStark, prove, assertions, test } from './utils';
+
+// TESTS
+// ================================================================================================
+console.log('deep');
+
+for (let extensionDegree of [2, 3]) {
+    const stark = createStark({ deepSampling: true, extensionDegree });
+    const proof = prove(stark);
+
+    test(`proofs with extension degree ${extensionDegree} round-trip and verify`, () => {
+        const k = extensionDegree;
+        assert.strictEqual(proof.deepValues!.pValues.length % k, 0);
+        assert.strictEqual(proof.deepValues!.cValues.length % (k * k), 0);
+
+        const parsed = stark.parse(stark.serialize(proof));
+        assert.strictEqual(stark.verify(assertions, parsed), true);
+        assert.strictEqual(stark.verify(assertions, stark.fromJSON(stark.toJSON(proof))), true);
+    });
+
+    test(`tampered out-of-domain values are rejected at extension degree ${extensionDegree}`, () => {
+        // every coordinate of out-of-domain values is checked, not just the first one
+        for (let key of ['pValues', 'nValues', 'cValues'] as const) {
+            const values = proof.deepValues![key].slice();
+            values[1] = values[1] + 1n;
+            const tampered = { ...proof, deepValues: { ...proof.deepValues!, [key]: values } };
+            assert.throws(() => stark.verify(assertions, tampered), key);
+        }
+    });
+}
+
+test('trace is opened only at queried positions with DEEP sampling', () => {
+    // without DEEP sampling, constraints are checked at queried positions, and so the trace is
+    // opened at the next step of every queried position as well
+    const exeQueryCount = 20;
+    const deep = createStark({ deepSampling: true, extensionDegree: 2, exeQueryCount });
+    const plain = createStark({ extensionDegree: 2, exeQueryCount });
+
+    assert.ok(prove(deep).evProof.values.length <= exeQueryCount);
+    assert.ok(prove(plain).evProof.values.length > exeQueryCount);
+});
+
+test('proofs without out-of-domain values are rejected', () => {
+    const stark = createStark({ deepSampling: true, extensionDegree: 2 });
+    const proof = prove(stark);
+    assert.throws(() => stark.verify(assertions, { ...proof, deepValues: undefined }), StarkError);
+});
@@ -0,0 +1,80 @@
+// IMPORTS
+// ================================================================================================
+import * as assert from 'assert';
+import { ProofFormatError, StarkError } from '../index';
+import { createStark, prove, assertions, test } from './utils';
+
+// MODULE VARIABLES
+// ================================================================================================
+// the Fibonacci trace has 64 steps, so the evaluation domain has 512 points and the linear combination
+// has degree below 64; each layer divides both by the folding factor until the layer has no more than
+// folding factor squared values, or its degree cannot be reduced any further
+const expectedShapes: { [foldingFactor: number]: [number, number] } = {
+    2   : [6, 8],       // 512 -> 256 -> 128 -> 64 -> 32 -> 16 -> 8, degree 64 -> 1
+    4   : [3, 8],       // 512 -> 128 -> 32 -> 8, degree 64 -> 1
+    8   : [1, 64],      // 512 -> 64
+    16  : [1, 32]       // 512 -> 32
+};
+
+// TESTS
+// ================================================================================================
+console.log('fri');
+
+for (let friFoldingFactor of [2, 4, 8, 16]) {
+    test(`proofs with folding factor ${friFoldingFactor} have the expected layers and verify`, () => {
+        const stark = createStark({ friFoldingFactor, friMaxRemainderSize: friFoldingFactor**2 });
+        const proof = prove(stark);
+
+        const [layerCount, remainderLength] = expectedShapes[friFoldingFactor];
+        assert.strictEqual(proof.ldProof.components.length, layerCount);
+        assert.strictEqual(proof.ldProof.remainder.length, remainderLength);
+        assert.strictEqual(stark.verify(assertions, stark.parse(stark.serialize(proof))), true);
+    });
+}
+
+test('proofs are not read with a different folding factor', () => {
+    const stark = createStark({ friFoldingFactor: 2 });
+    const proof = stark.serialize(prove(stark));
+    assert.throws(() => createStark({ friFoldingFactor: 8 }).parse(proof), ProofFormatError);
+});
+
+test('unsupported folding factors are rejected', () => {
+    assert.throws(() => createStark({ friFoldingFactor: 3 }), TypeError);
+    assert.throws(() => createStark({ friFoldingFactor: 32 }), TypeError);
+});
+
+test('remainders in coefficient form hold only coefficients below the remaining degree', () => {
+    // with the default folding factor and max remainder size, one layer folds 512 -> 128 values
+    // and degree 64 -> 16
+    const evaluations = createStark();
+    const coefficients = createStark({ friRemainderFormat: 'coefficients' });
+    const proof = prove(coefficients);
+
+    assert.strictEqual(prove(evaluations).ldProof.remainder.length, 128);
+    assert.strictEqual(proof.ldProof.remainder.length, 16);
+    assert.strictEqual(coefficients.verify(assertions, coefficients.parse(coefficients.serialize(proof))), true);
+});
+
+test('tampered remainders are rejected', () => {
+    for (let friRemainderFormat of ['evaluations', 'coefficients'] as const) {
+        const stark = createStark({ friRemainderFormat });
+        const proof = prove(stark);
+        const remainder = proof.ldProof.remainder.slice();
+        remainder[1] = remainder[1] + 1n;
+        const tampered = { ...proof, ldProof: { ...proof.ldProof, remainder } };
+        assert.throws(() => stark.verify(assertions, tampered), StarkError, friRemainderFormat);
+    }
+});
+
+test('smaller max remainder size adds layers', () => {
+    const stark = createStark({ friMaxRemainderSize: 16 });
+    const proof = prove(stark);
+    assert.strictEqual(proof.ldProof.components.length, 3);
+    assert.strictEqual(proof.ldProof.remainder.length, 8);
+    assert.strictEqual(stark.verify(assertions, proof), true);
+});
+
+test('invalid max remainder sizes are rejected', () => {
+    assert.throws(() => createStark({ friMaxRemainderSize: 24 }), /power of 2/);
+    assert.throws(() => createStark({ friFoldingFactor: 8, friMaxRemainderSize: 32 }), /between 64 and/);
+});
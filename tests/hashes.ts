@@ -0,0 +1,128 @@
+// IMPORTS
+// ================================================================================================
+import * as assert from 'assert';
+import { createPrimeField } from '@guildofweavers/galois';
+import { Hash } from '@guildofweavers/merkle';
+import { registerHash, createHash } from '../index';
+import { RescueHash } from '../lib/hashes/RescueHash';
+import { PoseidonHash, generateParameters, permutation } from '../lib/hashes/PoseidonHash';
+import { createStark, prove, assertions, test } from './utils';
+
+// MODULE VARIABLES
+// ================================================================================================
+const field = createPrimeField(2n**128n - 9n * 2n**32n + 1n);
+
+const inputs = {
+    empty       : Buffer.alloc(0),
+    elements    : Buffer.concat([toElement(1n), toElement(2n)]),
+    packed      : Buffer.alloc(16, 0xff)    // not a valid field element
+};
+
+const HASH_METHODS = ['digest', 'merge', 'buildMerkleNodes', 'mergeVectorRows', 'digestValues'];
+
+// TESTS
+// ================================================================================================
+console.log('hashes');
+
+test('registered hash algorithms are used for commitments and proofs', () => {
+    const calls = new Map<string, number>();
+    registerHash('counting-blake2s256', () => createCountingHash(calls));
+    const stark = createStark({ hashAlgorithm: 'counting-blake2s256' });
+    const proof = prove(stark);
+    assert.strictEqual(stark.verify(assertions, stark.parse(stark.serialize(proof))), true);
+    assert.ok(HASH_METHODS.every(m => calls.get(m)! > 0));
+
+    // the hash behaves exactly like blake2s256, and so the evaluation tree is the same; the name of
+    // the algorithm is bound into the transcript, and so all challenges are different
+    const expected = prove(createStark({ hashAlgorithm: 'blake2s256' }));
+    assert.deepStrictEqual(proof.evRoot, expected.evRoot);
+    assert.notDeepStrictEqual(proof.cRoot, expected.cRoot);
+});
+
+test('invalid hash registrations are rejected', () => {
+    assert.throws(() => registerHash('sha256', () => createHash('sha256', false)), /already been registered/);
+    assert.throws(() => registerHash('', () => createHash('sha256', false)), TypeError);
+    assert.throws(() => registerHash('no-factory', undefined as any), TypeError);
+    assert.throws(() => createStark({ hashAlgorithm: 'unregistered' }), /is not supported/);
+
+    registerHash('not-a-hash', () => ({ digestSize: 32 } as any));
+    assert.throws(() => createStark({ hashAlgorithm: 'not-a-hash' }), /did not return a valid Hash object/);
+});
+
+test('Poseidon parameters and permutation match the reference instance for BN254 with t = 3', () => {
+    const bn254 = createPrimeField(21888242871839275222246405745257275088548364400416034343698204186575808495617n);
+    const parameters = generateParameters(bn254, 3, 5n, 8, 57);
+    assert.strictEqual(parameters.constants[0][0], 0x0ee9a592ba9a9518d05986d656f40c2114c4993c11bb29938d21d47304cd8e6en);
+    assert.strictEqual(parameters.constants[0][1], 0x00f1445235f2148c5986587169fc1bcd887b08d4d00868df5696fff40956e864n);
+    assert.strictEqual(parameters.mds[0][0], 0x109b7f411ba0e4c9b2b70caf5c36a7b194be7c11ad24378bfedb68592ba8118bn);
+
+    assert.deepStrictEqual(permutation(bn254, parameters, [0n, 1n, 2n]), [
+        0x115cc0f5e7d690413df64c6b9662e9cf2a3617f2743245519e19607a4417189an,
+        0x0fca49b798923ab0239de1c9e7a4a9a2210312b6a2f616d18b5a87f9b628ae29n,
+        0x0e7ae82e40091e63cbd4f16a6d16310b3729d4b6e138fcf54110e2867045a30cn
+    ]);
+});
+
+test('Rescue parameters follow the Rescue-Prime reference implementation', () => {
+    const parameters = new RescueHash(field).parameters;
+    assert.strictEqual(parameters.alpha, 3n);
+    assert.strictEqual(parameters.rounds, 11);
+    assert.strictEqual(parameters.mds[0][0], 0xfffffffffffffffffffffff6ff250d96n);
+    assert.strictEqual(parameters.constants[0][0], 0xd0e229a6bf6541c86d02bcefd21f95c8n);
+});
+
+test('Rescue digests match known answers', () => {
+    const hash = new RescueHash(field);
+    assert.strictEqual(hash.digest(inputs.empty).toString('hex'), '9d66dc459d66f5ede84dab6a2470f97c7d5c6ccb1c64a9baa5ce7552be545a43');
+    assert.strictEqual(hash.digest(inputs.elements).toString('hex'), '1162d5e04fa646c3433be01e07406e232eafe863ea166ffe2e452a15a65f4a91');
+    assert.strictEqual(hash.digest(inputs.packed).toString('hex'), 'b82ac2411705aa90bfffcae58a7a1e7e5497c2822903de40f92ca15c4fb20c10');
+});
+
+test('Poseidon digests match known answers', () => {
+    const hash = new PoseidonHash(field);
+    assert.strictEqual(hash.parameters.fullRounds, 8);
+    assert.strictEqual(hash.parameters.partialRounds, 84);
+    assert.strictEqual(hash.digest(inputs.empty).toString('hex'), '089d320c8fc241615a5a494bcb925741a6c0eaafa439ee7ab09a63249b10211b');
+    assert.strictEqual(hash.digest(inputs.elements).toString('hex'), '510e26d9265fed3e3006b8f17c25af6fb1c428819071a6d9594a4f144e9bad67');
+    assert.strictEqual(hash.digest(inputs.packed).toString('hex'), 'f0ed31171badbf3dc5b5160a08cfb861037808436b9e05179537cd9ce80c7ea0');
+});
+
+for (let hashAlgorithm of ['rescue', 'poseidon']) {
+    test(`proofs with ${hashAlgorithm} hash round-trip and verify`, () => {
+        const stark = createStark({ hashAlgorithm, exeQueryCount: 20, friQueryCount: 20 });
+        const proof = prove(stark);
+        assert.strictEqual(stark.verify(assertions, stark.parse(stark.serialize(proof))), true);
+    });
+}
+
+test('input length is absorbed in base p when it does not fit into a field element', () => {
+    // 2 * 200 + 1 does not fit into an element of a 9-bit field, and is absorbed as [144, 1]
+    const hash = new RescueHash(createPrimeField(257n));
+    const value = Buffer.from(Array.from({ length: 200 }, (_, i) => i));
+    const digest = hash.digest(value);
+    const elements = Array.from({ length: hash.digestLength }, (_, i) => Number(digest.readBigUInt64LE(i * 8)));
+    assert.deepStrictEqual(elements, [
+        141, 216, 40, 145, 23, 80, 86, 191, 144, 121, 26, 160, 3, 11, 193,
+        197, 75, 250, 203, 217, 141, 4, 27, 55, 12, 233, 218, 63, 39
+    ]);
+});
+
+// HELPER FUNCTIONS
+// ================================================================================================
+function createCountingHash(calls: Map<string, number>): Hash {
+    const hash = createHash('blake2s256', false);
+    const result = Object.create(hash);
+    for (let method of HASH_METHODS) {
+        result[method] = (...args: any[]) => {
+            calls.set(method, (calls.get(method) || 0) + 1);
+            return (hash as any)[method](...args);
+        };
+    }
+    return result;
+}
+
+function toElement(value: bigint): Buffer {
+    const buffer = Buffer.alloc(field.elementSize);
+    buffer.writeBigUInt64LE(value);
+    return buffer;
+}
@@ -0,0 +1,20 @@
+// TEST SUITES
+// ================================================================================================
+import './serialization';
+import './json';
+import './compression';
+import './fri';
+import './deep';
+import './legacy';
+import './security';
+import './verifier';
+import './debug';
+import './trace';
+import './logging';
+import './stats';
+import './hashes';
+import './zeroKnowledge';
+import './cli';
+import * as asyncSuite from './async';
+
+asyncSuite.run();
@@ -0,0 +1,50 @@
+// IMPORTS
+// ================================================================================================
+import * as assert from 'assert';
+import { ProofFormatError } from '../index';
+import { createStark, prove, assertions, test } from './utils';
+
+// TESTS
+// ================================================================================================
+console.log('json');
+
+const stark = createStark({ deepSampling: true });
+const proof = prove(stark);
+const buffer = stark.serialize(proof);
+const json = JSON.stringify(stark.toJSON(proof));
+
+test('JSON round-trip yields the same bytes and a valid proof', () => {
+    const parsed = stark.fromJSON(json);
+    assert.ok(stark.serialize(parsed).equals(buffer));
+    assert.strictEqual(stark.verify(assertions, parsed), true);
+});
+
+test('malformed JSON is rejected', () => {
+    assert.throws(() => stark.fromJSON(json.slice(0, -1)), (error: ProofFormatError) => error.code === 'invalidJson');
+});
+
+test('malformed properties are rejected', () => {
+    const object = JSON.parse(json);
+    object.evRoot = object.evRoot.slice(2);
+    assert.throws(() => stark.fromJSON(object), ProofFormatError);
+});
+
+test('mismatched headers are rejected', () => {
+    const object = JSON.parse(json);
+    object.header.friQueryCount += 1;
+    assert.throws(() => stark.fromJSON(object), (error: ProofFormatError) => error.code === 'headerMismatch');
+});
+
+test('oversized FRI remainders are rejected', () => {
+    const object = JSON.parse(json);
+    object.ldProof.remainder = new Array(1024).fill('00');
+    assert.throws(() => stark.fromJSON(object), (error: ProofFormatError) => error.code === 'invalidLength');
+});
+
+test('FRI layers past the remainder are rejected', () => {
+    // the layer before the remainder is folded only if it is larger than the max remainder size
+    const object = JSON.parse(json);
+    object.ldProof.components.push(object.ldProof.components[0]);
+    object.ldProof.remainder = object.ldProof.remainder.slice(0, 64);
+    assert.throws(() => stark.fromJSON(object), (error: ProofFormatError) => error.code === 'invalidLength');
+});
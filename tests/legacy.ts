@@ -0,0 +1,45 @@
+// IMPORTS
+// ================================================================================================
+import * as assert from 'assert';
+import * as fs from 'fs';
+import * as path from 'path';
+import { ProofFormatError } from '../index';
+import { createStark, assertions, test, FIXTURE_DIR } from './utils';
+
+// TESTS
+// ================================================================================================
+console.log('legacy');
+
+// proof generated by the version which preceded the proof header, with default security options
+const buffer = fs.readFileSync(path.join(FIXTURE_DIR, 'fibonacci-legacy.bin'));
+const stark = createStark();
+
+test('proofs without a header are read and verified', () => {
+    const proof = stark.parseLegacy(buffer);
+    assert.strictEqual(proof.ldProof.remainder.length, 128);
+    assert.strictEqual(stark.verify(assertions, proof), true);
+});
+
+test('proofs without a header are not read as current proofs', () => {
+    assert.throws(() => stark.parse(buffer), (error: ProofFormatError) => error.code === 'malformedHeader');
+});
+
+test('legacy proofs are checked against the statement', () => {
+    const other = assertions.map(a => ({ ...a, value: a.value + 1n }));
+    assert.throws(() => stark.verify(other, stark.parseLegacy(buffer)));
+});
+
+test('corrupted legacy proofs are rejected', () => {
+    // a corrupted byte either makes the proof unreadable or makes it fail verification
+    for (let offset = 0; offset < buffer.byteLength; offset += 211) {
+        const corrupted = Buffer.from(buffer);
+        corrupted[offset] ^= 0xFF;
+        assert.throws(() => stark.verify(assertions, stark.parseLegacy(corrupted)), `offset ${offset}`);
+    }
+});
+
+test('legacy proofs are rejected by STARKs with options the legacy format did not have', () => {
+    const deep = createStark({ deepSampling: true });
+    assert.throws(() => deep.parseLegacy(buffer), (error: ProofFormatError) => error.code === 'headerMismatch');
+    assert.throws(() => deep.verify(assertions, stark.parseLegacy(buffer)), /DEEP sampling/);
+});
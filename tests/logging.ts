@@ -0,0 +1,63 @@
+// IMPORTS
+// ================================================================================================
+import * as assert from 'assert';
+import { Writable } from 'stream';
+import { LogEvent } from '@guildofweavers/genstark';
+import { Stark, StructuredLogger, jsonLinesSink } from '../index';
+import { source, assertions, inputs, test } from './utils';
+
+// TESTS
+// ================================================================================================
+console.log('logging');
+
+test('proof computation emits start, step, and done events with metrics', () => {
+    const events: LogEvent[] = [];
+    const stark = new Stark(source, {}, false, new StructuredLogger(event => events.push(event)));
+    stark.prove(assertions, inputs);
+
+    const [first, last] = [events[0], events[events.length - 1]];
+    assert.deepStrictEqual([first.type, first.stage, first.depth], ['start', 'Starting STARK computation', 0]);
+    assert.deepStrictEqual([last.type, last.scope, last.depth], ['done', 'Starting STARK computation', 0]);
+    assert.ok(events.every(e => e.duration >= 0 && e.memory.rss > 0 && e.memory.heapUsed > 0));
+
+    const setup = events.find(e => e.stage === 'Set up evaluation context')!;
+    assert.deepStrictEqual(setup.data, { traceLength: 64, evaluationDomainSize: 512 });
+
+    // sub-computations are reported at depth 1, within the scope of the computation
+    const ldEvents = events.filter(e => e.scope === 'Computing low degree proof');
+    assert.ok(ldEvents.length > 2 && ldEvents.every(e => e.depth === 1));
+    assert.ok(events.indexOf(ldEvents[ldEvents.length - 1]) < events.length - 1);
+});
+
+test('sub-computations are not reported when disabled', () => {
+    const events: LogEvent[] = [];
+    const stark = new Stark(source, {}, false, new StructuredLogger(event => events.push(event), false));
+    stark.prove(assertions, inputs);
+    assert.ok(events.length > 0);
+    assert.ok(events.every(e => e.depth === 0));
+});
+
+test('JSON lines sink writes one event per line', () => {
+    const chunks: string[] = [];
+    const stream = new Writable({
+        write(chunk, encoding, callback) {
+            chunks.push(chunk.toString());
+            callback();
+        }
+    });
+
+    const logger = new StructuredLogger(jsonLinesSink(stream));
+    const log = logger.start('Computation');
+    log('Step', { size: 4 });
+    logger.done(log, 'Done');
+
+    const lines = chunks.join('').split('\n');
+    assert.strictEqual(lines.pop(), '');
+    const events = lines.map(line => JSON.parse(line));
+    assert.deepStrictEqual(events.map(e => [e.type, e.stage]), [['start', 'Computation'], ['step', 'Step'], ['done', 'Done']]);
+    assert.deepStrictEqual(events[1].data, { size: 4 });
+});
+
+test('sinks must be functions', () => {
+    assert.throws(() => new StructuredLogger(undefined as any), TypeError);
+});
@@ -0,0 +1,55 @@
+// IMPORTS
+// ================================================================================================
+import * as assert from 'assert';
+import { SecurityOptions } from '@guildofweavers/genstark';
+import { createStark, prove, assertions, test } from './utils';
+
+// MODULE VARIABLES
+// ================================================================================================
+// a 32-bit field needs a cubic extension to reach the target; the Fibonacci trace has 64 steps
+const TARGET_SECURITY = 48;
+const options: Partial<SecurityOptions> = { deepSampling: true, extensionDegree: 3 };
+
+// TESTS
+// ================================================================================================
+console.log('security');
+
+test('options tuned for proof size reach the target and beat the fewest queries', () => {
+    const stark = createStark({ ...options, targetSecurity: TARGET_SECURITY, expectedTraceLength: 64 });
+    assert.ok(stark.securityReport().total.conjectured >= TARGET_SECURITY);
+
+    const proof = prove(stark);
+    assert.strictEqual(stark.verify(assertions, proof), true);
+
+    // the naive choice takes the extension factor which needs the smallest total number of queries
+    let naive: Partial<SecurityOptions> | undefined, naiveQueryCount = Infinity;
+    for (let extensionFactor of [2, 4, 8, 16, 32]) {
+        let exeQueryCount = 1, friQueryCount = 1;
+        while (createStark({ ...options, extensionFactor, exeQueryCount }).securityReport().exeQueries.conjectured < TARGET_SECURITY) {
+            exeQueryCount++;
+        }
+        while (createStark({ ...options, extensionFactor, friQueryCount }).securityReport().friQueries.conjectured < TARGET_SECURITY) {
+            friQueryCount++;
+        }
+        if (exeQueryCount + friQueryCount <= naiveQueryCount) {
+            naive = { ...options, extensionFactor, exeQueryCount, friQueryCount };
+            naiveQueryCount = exeQueryCount + friQueryCount;
+        }
+    }
+
+    const naiveStark = createStark(naive);
+    assert.ok(naiveStark.securityReport().total.conjectured >= TARGET_SECURITY);
+    assert.ok(stark.sizeOf(proof).raw < naiveStark.sizeOf(prove(naiveStark)).raw);
+});
+
+test('expected trace length shifts the choice towards larger extension factors', () => {
+    const short = createStark({ ...options, targetSecurity: TARGET_SECURITY, expectedTraceLength: 64 });
+    const long = createStark({ ...options, targetSecurity: TARGET_SECURITY, expectedTraceLength: 2**20 });
+    assert.ok(short.extensionFactor < long.extensionFactor);
+    assert.ok(long.securityReport().total.conjectured >= TARGET_SECURITY);
+});
+
+test('expected trace length cannot be specified without target security', () => {
+    assert.throws(() => createStark({ expectedTraceLength: 64 }), /only together with target security/);
+    assert.throws(() => createStark({ targetSecurity: 24, expectedTraceLength: 100 }), /power of 2/);
+});
@@ -0,0 +1,68 @@
+// IMPORTS
+// ================================================================================================
+import * as assert from 'assert';
+import { readProofHeader, ProofFormatError } from '../index';
+import { createStark, prove, assertions, test } from './utils';
+
+// TESTS
+// ================================================================================================
+console.log('serialization');
+
+const stark = createStark({ grindingBits: 4, friRemainderFormat: 'coefficients' });
+const proof = prove(stark);
+const buffer = stark.serialize(proof);
+
+test('binary round-trip yields the same bytes and a valid proof', () => {
+    const parsed = stark.parse(buffer);
+    assert.ok(stark.serialize(parsed).equals(buffer));
+    assert.strictEqual(stark.verify(assertions, parsed), true);
+});
+
+test('header describes the STARK configuration', () => {
+    const header = readProofHeader(buffer)!;
+    assert.strictEqual(header.version, 3);
+    assert.strictEqual(header.hashAlgorithm, 'sha256');
+    assert.strictEqual(header.grindingBits, 4);
+    assert.strictEqual(header.friRemainderFormat, 'coefficients');
+    assert.strictEqual(header.friMaxRemainderSize, 256);
+});
+
+test('mismatched headers are rejected', () => {
+    const other = createStark({ grindingBits: 2, friRemainderFormat: 'coefficients' });
+    assert.throws(() => other.parse(buffer), (error: ProofFormatError) => error.code === 'headerMismatch');
+});
+
+test('truncated proofs are rejected', () => {
+    for (let length of [2, 10, buffer.byteLength >> 1, buffer.byteLength - 1]) {
+        assert.throws(() => stark.parse(buffer.slice(0, length)), ProofFormatError, `length ${length}`);
+    }
+});
+
+test('trailing bytes are rejected', () => {
+    const extended = Buffer.concat([buffer, Buffer.alloc(1)]);
+    assert.throws(() => stark.parse(extended), (error: ProofFormatError) => error.code === 'trailingBytes');
+});
+
+test('corrupted proofs are rejected', () => {
+    // a corrupted byte either makes the proof unreadable or makes it fail verification
+    for (let offset = 0; offset < buffer.byteLength; offset += 97) {
+        const corrupted = Buffer.from(buffer);
+        corrupted[offset] ^= 0xFF;
+        assert.throws(() => stark.verify(assertions, stark.parse(corrupted)), `offset ${offset}`);
+    }
+});
+
+test('oversized FRI remainders are rejected', () => {
+    // remainder coefficients cannot outnumber the max remainder size
+    const oversized = { ...proof, ldProof: { ...proof.ldProof, remainder: new Array<bigint>(257).fill(0n) } };
+    assert.throws(() => stark.parse(stark.serialize(oversized)), (error: ProofFormatError) => error.code === 'invalidLength');
+    assert.throws(() => stark.verify(assertions, oversized), /FRI remainder must contain/);
+});
+
+test('proofs with a wrong number of FRI layers are rejected', () => {
+    const components = proof.ldProof.components;
+    for (let changed of [components.slice(1), [...components, components[components.length - 1]]]) {
+        const other = { ...proof, ldProof: { ...proof.ldProof, components: changed } };
+        assert.throws(() => stark.verify(assertions, stark.parse(stark.serialize(other))), /FRI layers/);
+    }
+});
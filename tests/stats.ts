@@ -0,0 +1,41 @@
+// IMPORTS
+// ================================================================================================
+import * as assert from 'assert';
+import { LogEvent } from '@guildofweavers/genstark';
+import { Stark, StructuredLogger } from '../index';
+import { source, createStark, assertions, inputs, test } from './utils';
+
+// TESTS
+// ================================================================================================
+console.log('stats');
+
+test('statistics describe the proof which is returned with them', () => {
+    const events: LogEvent[] = [];
+    const stark = new Stark(source, { friMaxRemainderSize: 16 }, false, new StructuredLogger(event => events.push(event)));
+    const rssBefore = process.memoryUsage().rss;
+    const { proof, stats } = stark.proveWithStats(assertions, inputs);
+
+    assert.ok(stark.serialize(proof).equals(stark.serialize(stark.prove(assertions, inputs))));
+    assert.strictEqual(stats.traceLength, 64);
+    assert.strictEqual(stats.evaluationDomainSize, 512);
+    assert.strictEqual(stats.compositionDegree, 64);
+    assert.strictEqual(stats.friLayerCount, 3);
+    assert.strictEqual(stats.remainderLength, proof.ldProof.remainder.length);
+    assert.ok(stats.maxRss >= rssBefore);
+
+    // messages are still passed to the logger of the STARK
+    assert.ok(events.some(e => e.stage === 'Set up evaluation context'));
+});
+
+test('stages of the computation and its sub-computations are timed', () => {
+    const { stats } = createStark().proveWithStats(assertions, inputs);
+
+    const names = stats.stages.map(s => s.name);
+    assert.ok(names.includes('Set up evaluation context'));
+    assert.ok(names.includes('Computed low-degree proof'));
+    assert.ok(stats.stages.some(s => s.depth === 1));
+    assert.ok(stats.stages.every(s => s.duration >= 0 && s.duration <= stats.totalTime));
+
+    const topLevelTime = stats.stages.filter(s => s.depth === 0).reduce((sum, s) => sum + s.duration, 0);
+    assert.ok(topLevelTime <= stats.totalTime);
+});
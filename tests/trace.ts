@@ -0,0 +1,118 @@
+// IMPORTS
+// ================================================================================================
+import * as assert from 'assert';
+import { traceToCsv, traceToJson, StarkError } from '../index';
+import { readReadonlyRegisters } from '../lib/utils/trace';
+import { createStark, test } from './utils';
+
+// MODULE VARIABLES
+// ================================================================================================
+// a computation with static, secret, and input registers; the comment in the readonly registers
+// section looks like a declaration, but must be skipped
+const cubeSource = `
+define Cube over prime field (2^32 - 3 * 2^25 + 1) {
+
+    transition 1 register {
+        for each ($i0) {
+            init { $i0 }
+            for steps [1..15] { $r0^3 + $k0 + $s0 + $i0; }
+        }
+    }
+
+    enforce 1 constraint {
+        for all steps {
+            transition($r) = $n;
+        }
+    }
+
+    using 2 readonly registers {
+        $k0: repeat [1, 2, 3, 4];
+        /* } $k1: repeat [9]; */
+        $s0: spread [...];
+    }
+}`;
+
+const cubeInputs = [[1n]];
+const secretInputs = [[5n, 6n, 7n, 8n]];
+const cubeAssertions = [{ register: 0, step: 0, value: 1n }, { register: 0, step: 1, value: 8n }];
+
+// TESTS
+// ================================================================================================
+console.log('trace');
+
+const cube = createStark({}, cubeSource);
+
+test('execution traces label mutable, static, secret, and input registers', () => {
+    const trace = cube.generateTrace(cubeInputs, [], secretInputs);
+    assert.strictEqual(trace.length, 16);
+    assert.deepStrictEqual(trace.registers.map(r => [r.name, r.kind]), [
+        ['$r0', 'mutable'], ['$k0', 'static'], ['$s0', 'secret'], ['$i0', 'input']
+    ]);
+
+    const [r0, k0, s0, i0] = trace.registers.map(r => r.values);
+    assert.deepStrictEqual(r0.slice(0, 3), [1n, 8n, 520n]);    // 1^3 + 1 + 5 + 1, 8^3 + 2 + 5 + 1
+    assert.deepStrictEqual(k0.slice(0, 5), [1n, 2n, 3n, 4n, 1n]);
+    assert.deepStrictEqual(s0.filter((_, step) => step % 4 === 0), [5n, 6n, 7n, 8n]);
+    assert.ok(i0.every(v => v === 1n));
+});
+
+test('execution traces are exported to CSV and JSON', () => {
+    const trace = cube.generateTrace(cubeInputs, [], secretInputs);
+
+    const lines = traceToCsv(trace).split('\n');
+    assert.strictEqual(lines.length, trace.length + 2);     // header and a trailing newline
+    assert.deepStrictEqual(lines.slice(0, 3), ['step,$r0,$k0,$s0,$i0', '0,1,1,5,1', '1,8,2,5,1']);
+
+    const json = JSON.parse(JSON.stringify(traceToJson(trace)));
+    assert.strictEqual(json.length, 16);
+    assert.deepStrictEqual(json.shape, trace.shape);
+    assert.deepStrictEqual(json.registers[0].values.slice(0, 3), ['1', '8', '520']);
+    assert.strictEqual(json.registers[2].kind, 'secret');
+});
+
+test('readonly register declarations are read from tokens, skipping comments', () => {
+    const source = `
+        using 1 readonly register { $p0: spread binary [...]; } // using 3 readonly registers {
+        using 2 readonly registers {
+            $k0: repeat [0x10, 2];  /* $k9: repeat [9]; */
+            $k1: spread [1,2];
+        }`;
+    assert.deepStrictEqual(readReadonlyRegisters(source), [
+        { name: '$p0', pattern: 'spread', values: undefined },
+        { name: '$k0', pattern: 'repeat', values: [16n, 2n] },
+        { name: '$k1', pattern: 'spread', values: [1n, 2n] }
+    ]);
+});
+
+test('malformed readonly register declarations are rejected', () => {
+    assert.throws(() => readReadonlyRegisters('using 2 readonly registers { $k0: repeat [1]; }'), /declares 2 registers, but defines 1/);
+    assert.throws(() => readReadonlyRegisters('using 1 readonly register { $k0: cycle [1]; }'), /Unknown value pattern 'cycle'/);
+    assert.throws(() => readReadonlyRegisters('using 1 readonly register { $k0: repeat [1, ]; }'), /Expected a value/);
+    assert.throws(() => readReadonlyRegisters('using 1 readonly register { $k0: repeat [1]'), /found 'end of source'/);
+});
+
+test('proofs of supplied traces with hidden registers are the same as proofs of generated traces', () => {
+    const trace = cube.generateTrace(cubeInputs, [], secretInputs);
+    const mutableRegisters = trace.registers.filter(r => r.kind === 'mutable').map(r => r.values);
+    const hiddenRegisters = trace.registers.filter(r => r.kind === 'secret' || r.kind === 'input').map(r => r.values);
+
+    const proof = cube.proveTrace(mutableRegisters, cubeAssertions, trace.shape, hiddenRegisters);
+    assert.strictEqual(cube.verify(cubeAssertions, proof), true);
+
+    const expected = cube.prove(cubeAssertions, cubeInputs, [], secretInputs);
+    assert.ok(cube.serialize(proof).equals(cube.serialize(expected)));
+});
+
+test('supplied traces which do not match the AIR are rejected', () => {
+    const trace = cube.generateTrace(cubeInputs, [], secretInputs);
+    const r0 = trace.registers[0].values;
+    const hiddenRegisters = [trace.registers[2].values, trace.registers[3].values];
+
+    const rejects = (fn: () => void, message: RegExp) => assert.throws(fn, (error: Error) => {
+        return error instanceof StarkError && /^Supplied execution trace is invalid/.test(error.message) && message.test(error.message);
+    });
+    rejects(() => cube.proveTrace([r0, r0], cubeAssertions, trace.shape, hiddenRegisters), /Execution trace must have 1 registers/);
+    rejects(() => cube.proveTrace([r0], cubeAssertions, trace.shape), /Hidden registers must have 2 registers/);
+    rejects(() => cube.proveTrace([r0], cubeAssertions, trace.shape, [hiddenRegisters[0].slice(1), hiddenRegisters[1]]), /must have 16 values/);
+    rejects(() => cube.proveTrace([r0], [{ register: 0, step: 1, value: 9n }], trace.shape, hiddenRegisters), /conflicts with execution trace/);
+});
@@ -0,0 +1,56 @@
+// IMPORTS
+// ================================================================================================
+import * as fs from 'fs';
+import * as path from 'path';
+import { Assertion, SecurityOptions, StarkProof } from '@guildofweavers/genstark';
+import { Stark, StructuredLogger, silentSink } from '../index';
+
+// MODULE VARIABLES
+// ================================================================================================
+// tests are compiled into bin/tests, and use the Fibonacci AIR from the CLI example
+export const EXAMPLE_DIR = path.resolve(__dirname, '../../examples/cli');
+
+// proofs generated by earlier versions, which later versions must still read
+export const FIXTURE_DIR = path.resolve(__dirname, '../../tests/fixtures');
+
+export const source = fs.readFileSync(path.join(EXAMPLE_DIR, 'fibonacci.air'), 'utf8');
+const statement = JSON.parse(fs.readFileSync(path.join(EXAMPLE_DIR, 'fibonacci.json'), 'utf8'));
+
+export const inputs = [statement.inputs[0].map(BigInt)];
+export const assertions: Assertion[] = statement.assertions.map((a: any) => ({
+    register: a.register, step: a.step, value: BigInt(a.value)
+}));
+
+// PUBLIC FUNCTIONS
+// ================================================================================================
+export function createStark(security?: Partial<SecurityOptions>, airSource = source): Stark {
+    return new Stark(airSource, security, false, new StructuredLogger(silentSink));
+}
+
+export function prove(stark: Stark): StarkProof {
+    return stark.prove(assertions, inputs);
+}
+
+export function test(name: string, fn: () => void) {
+    try {
+        fn();
+        console.log(`  ok      ${name}`);
+    }
+    catch (error) {
+        console.log(`  failed  ${name}`);
+        console.error(error);
+        process.exitCode = 1;
+    }
+}
+
+export async function testAsync(name: string, fn: () => Promise<void>) {
+    try {
+        await fn();
+        console.log(`  ok      ${name}`);
+    }
+    catch (error) {
+        console.log(`  failed  ${name}`);
+        console.error(error);
+        process.exitCode = 1;
+    }
+}
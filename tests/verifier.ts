@@ -0,0 +1,56 @@
+// IMPORTS
+// ================================================================================================
+import * as assert from 'assert';
+import * as path from 'path';
+import { spawnSync } from 'child_process';
+import { StarkVerifier, StarkError, StructuredLogger, silentSink } from '../index';
+import { createStark, prove, assertions, test } from './utils';
+
+// MODULE VARIABLES
+// ================================================================================================
+const VERIFIER_MODULE = path.resolve(__dirname, '../verifier.js');
+const PROVER_MODULES = [
+    'lib/Stark.js', 'lib/workers/', 'lib/components/index.js', 'lib/components/LowDegreeProver.js',
+    'lib/components/CompositionPolynomial.js', 'lib/utils/index.js', 'lib/utils/StructuredLogger.js',
+    'lib/utils/ProofStatsCollector.js', 'lib/utils/trace.js', 'lib/utils/security.js'
+];
+
+// TESTS
+// ================================================================================================
+console.log('verifier');
+
+const stark = createStark({ exeQueryCount: 40, friQueryCount: 20, friFoldingFactor: 8 });
+const proof = prove(stark);
+const logger = new StructuredLogger(silentSink);
+
+test('verifiers loaded from a verification key verify proofs of the STARK', () => {
+    const key = stark.exportVerificationKey();
+    for (let verifier of [new StarkVerifier(key, logger), new StarkVerifier(JSON.stringify(key), logger)]) {
+        assert.strictEqual(verifier.verify(assertions, verifier.parse(stark.serialize(proof))), true);
+
+        const otherAssertions = assertions.map(a => ({ ...a, value: a.value + 1n }));
+        assert.throws(() => verifier.verify(otherAssertions, proof), StarkError);
+    }
+});
+
+test('malformed verification keys are rejected', () => {
+    const key = stark.exportVerificationKey();
+    assert.throws(() => new StarkVerifier('{', logger), /not valid JSON/);
+    assert.throws(() => new StarkVerifier({ ...key, version: key.version + 1 }, logger), TypeError);
+    assert.throws(() => new StarkVerifier({ ...key, fieldModulus: 'ff' }, logger), /field modulus/);
+    assert.throws(() => new StarkVerifier({ ...key, security: { ...key.security, exeQueryCount: undefined as any } }, logger), TypeError);
+});
+
+test('verifier entry point does not load prover modules', () => {
+    const script = `require(${JSON.stringify(VERIFIER_MODULE)});`
+        + `console.log(JSON.stringify(Object.keys(require.cache)));`;
+    const result = spawnSync(process.execPath, ['-e', script], { encoding: 'utf8' });
+    assert.strictEqual(result.status, 0, result.stderr);
+
+    const root = path.dirname(VERIFIER_MODULE) + path.sep;
+    const loaded = (JSON.parse(result.stdout) as string[])
+        .filter(file => file.startsWith(root))
+        .map(file => file.slice(root.length).split(path.sep).join('/'));
+    assert.ok(loaded.includes('lib/StarkVerifier.js'));
+    assert.deepStrictEqual(loaded.filter(file => PROVER_MODULES.some(m => file.startsWith(m))), []);
+});
@@ -0,0 +1,73 @@
+// IMPORTS
+// ================================================================================================
+import * as assert from 'assert';
+import { StarkProof } from '@guildofweavers/genstark';
+import { Stark, StarkError } from '../index';
+import { readBigIntArray } from '../lib/utils/serialization';
+import { createStark, prove, assertions, inputs, test } from './utils';
+
+// MODULE VARIABLES
+// ================================================================================================
+// values of P(x) and S(x) come first in every evaluation tree leaf; salt values follow them
+const TRACE_VALUE_COUNT = 3;
+
+// with default query counts, masks are too large for the 64-step Fibonacci trace
+const options = { exeQueryCount: 20, friQueryCount: 20 };
+
+// TESTS
+// ================================================================================================
+console.log('zero-knowledge');
+
+const stark = createStark({ ...options, zeroKnowledge: true });
+const proof = prove(stark);
+
+test('zero-knowledge proofs round-trip and verify', () => {
+    assert.strictEqual(stark.verify(assertions, proof), true);
+    assert.strictEqual(stark.verify(assertions, stark.parse(stark.serialize(proof))), true);
+    assert.strictEqual(stark.verify(assertions, stark.fromJSON(stark.toJSON(proof))), true);
+});
+
+test('every zero-knowledge proof of the same statement is different', () => {
+    const other = prove(stark);
+    assert.strictEqual(stark.verify(assertions, other), true);
+    assert.notDeepStrictEqual(other.evRoot, proof.evRoot);
+    assert.notDeepStrictEqual(other.cRoot, proof.cRoot);
+    assert.notDeepStrictEqual(other.ldProof.lcRoot, proof.ldProof.lcRoot);
+});
+
+test('opened evaluations do not reveal execution trace values', () => {
+    // without zero-knowledge, the evaluation domain contains the execution domain, and the input
+    // register is constant, so trace values are opened; with it, none of them are
+    const plain = createStark(options);
+    assert.ok(getOpenedTraceValues(plain, prove(plain)).length > 0);
+    assert.deepStrictEqual(getOpenedTraceValues(stark, proof), []);
+});
+
+test('leaves of evaluation trees are salted', () => {
+    const plainLeafSize = prove(createStark(options)).evProof.values[0].length;
+    assert.ok(proof.evProof.values[0].length > plainLeafSize);
+});
+
+test('traces too short to be masked are rejected before they are extended', () => {
+    assert.throws(() => prove(createStark({ zeroKnowledge: true })), (error: Error) => {
+        return error instanceof StarkError && /too short to be masked/.test(error.message);
+    });
+});
+
+// HELPER FUNCTIONS
+// ================================================================================================
+function getOpenedTraceValues(stark: Stark, proof: StarkProof): bigint[] {
+    const trace = stark.generateTrace(inputs);
+    const traceValues = new Set<bigint>();
+    for (let register of trace.registers) {
+        register.values.forEach(v => traceValues.add(v));
+    }
+
+    const elementSize = stark.air.field.elementSize;
+    const opened: bigint[] = [];
+    for (let leaf of proof.evProof.values) {
+        let values = readBigIntArray(leaf, elementSize).slice(0, TRACE_VALUE_COUNT);
+        opened.push(...values.filter(v => traceValues.has(v)));
+    }
+    return opened;
+}
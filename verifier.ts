@@ -0,0 +1,8 @@
+// RE-EXPORTS
+// ================================================================================================
+// entry point for services which only verify proofs; unlike the main module, it does not load the
+// prover, worker threads, or WebAssembly optimization
+export { StarkVerifier } from './lib/StarkVerifier';
+export { registerHash } from './lib/hashes';
+export { readProofHeader } from './lib/Serializer';
+export { StarkError, ProofFormatError } from './lib/StarkError';